@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * Headless batch renderer.
+ *
+ * Renders saved profiles (and animation profiles) to the same bundle layout
+ * the browser exports, using the pure-JS raster backend: no browser, no
+ * native canvas module, no network.
+ *
+ *   node bin/geo-render.js --profiles profiles.json [--anim anims.json] [--out exports]
+ *
+ * profiles.json is either the image-profile map as stored in localStorage
+ * ({ name: { seed, note, aspects } }) or { profiles, animations }.
+ */
+
+import { parseArgs } from 'node:util';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+import { createRenderer } from '../js/renderer.js';
+import { createRasterBackend } from '../js/raster-backend.js';
+import { createPixelMotionBlur, createShutterAccumulator } from '../js/motion-blur.js';
+import { analyzeContinuity, frameThumbnail } from '../js/continuity.js';
+import {
+    encodeGif, downscaleRgba, DEFAULT_GIF_WIDTH, DEFAULT_GIF_STEP,
+    DEFAULT_GIF_QUANTIZER, DEFAULT_GIF_DITHER, DEFAULT_GIF_PALETTE,
+} from '../js/gif.js';
+import {
+    evalAspectsAt, normalizeLanes, normalizeSeries, TIME_WARP_STRENGTH, INTERPOLATION_MODES, DEFAULT_INTERPOLATION,
+    PLAYBACK_MODES, DEFAULT_PLAYBACK,
+} from '../js/interpolation.js';
+import {
+    ANIM_FPS, MOTION_BLUR_ENABLED, MB_DECAY, MB_ADD, SEED_MODES, DEFAULT_SEED_MODE, normalizeMotionBlur, renderSchedule,
+    DEFAULT_WEB_LOOP_WIDTH, DEFAULT_WEB_LOOP_STEP, DEFAULT_EXPORT_PRESET, resolveExportPreset, deriveAnimSeed, frameSeed, totalFrameCount,
+} from '../js/animation.js';
+import {
+    encodePngBands, renderSvg, safeName, computeKeyframeText, computeLoopSummaryTitleAlt,
+    buildStillMetadata, buildAnimManifest, framesReadme, assembleWebLoops,
+} from '../js/export.js';
+
+const USAGE = `Usage: geo-render --profiles <file.json> [options]
+
+  --profiles <file>   image profiles JSON (localStorage shape, or { profiles, animations })
+  --anim <file>       animation profiles JSON (defaults to "animations" in --profiles)
+  --out <dir>         output directory (default: exports)
+  --width <px>        frame width (default: 1400)
+  --height <px>       frame height (default: 900)
+  --fps <n>           animation frame rate (default: ${ANIM_FPS})
+  --only <name>       render only this profile / animation (repeatable)
+  --gif               also write animation.gif (up to ${DEFAULT_GIF_WIDTH} px wide, 1 frame in ${DEFAULT_GIF_STEP})
+  --apng              also write a looping animation.png (up to ${DEFAULT_WEB_LOOP_WIDTH} px wide, 1 frame in ${DEFAULT_WEB_LOOP_STEP})
+  --no-stills         skip image profiles
+  --no-anims          skip animation profiles
+  -h, --help          show this help
+`;
+
+const { values: args } = parseArgs({
+    options: {
+        profiles: { type: 'string' },
+        anim: { type: 'string' },
+        out: { type: 'string', default: 'exports' },
+        width: { type: 'string', default: '1400' },
+        height: { type: 'string', default: '900' },
+        fps: { type: 'string', default: String(ANIM_FPS) },
+        only: { type: 'string', multiple: true },
+        gif: { type: 'boolean', default: false },
+        apng: { type: 'boolean', default: false },
+        'no-stills': { type: 'boolean', default: false },
+        'no-anims': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+    },
+});
+
+function fail(msg) {
+    process.stderr.write(`geo-render: ${msg}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+function positiveInt(name) {
+    const n = Number(args[name]);
+    if (!Number.isInteger(n) || n <= 0) fail(`--${name} must be a positive integer`);
+    return n;
+}
+
+async function readJson(path) {
+    try {
+        return JSON.parse(await readFile(path, 'utf8'));
+    } catch (err) {
+        fail(`cannot read ${path}: ${err.message}`);
+    }
+}
+
+/* ── Output helpers ── */
+
+async function pngFromRaster(backend, textEntries) {
+    const { width, height, data } = backend;
+    const blob = await encodePngBands({
+        width,
+        height,
+        bandHeight: 256,
+        readBand: async (y, rows) => data.subarray(y * width * 4, (y + rows) * width * 4),
+        getTextEntries: () => textEntries,
+    });
+    return Buffer.from(await blob.arrayBuffer());
+}
+
+async function writeJson(path, obj) {
+    await writeFile(path, JSON.stringify(obj, null, 2) + '\n');
+}
+
+/* ── Stills ── */
+
+async function renderStill(name, profile, { width, height, outDir }) {
+    const { seed, note = '', aspects } = profile;
+    const backend = createRasterBackend(width, height);
+    const meta = createRenderer(backend).renderWith(seed, aspects);
+
+    const dir = join(outDir, safeName(name));
+    await mkdir(dir, { recursive: true });
+
+    await writeFile(join(dir, 'image.png'), await pngFromRaster(backend, [
+        { keyword: 'Title', text: meta.title },
+        { keyword: 'Description', text: meta.altText },
+    ]));
+    await writeFile(join(dir, 'image.svg'), renderSvg({ seed, aspects, width, height, grainMode: 'filter' }));
+    await writeFile(join(dir, 'title.txt'), meta.title + '\n');
+    await writeFile(join(dir, 'alt-text.txt'), meta.altText + '\n');
+    await writeFile(join(dir, 'note.txt'), note + '\n');
+    await writeJson(join(dir, 'metadata.json'), buildStillMetadata({
+        kind: 'still', seed, note, aspects, title: meta.title, width, height,
+        extra: { svg: { grain: 'filter' } }
+    }));
+    return dir;
+}
+
+/* ── Animations ── */
+
+async function renderAnimation(name, anim, profiles, { width, height, fps, outDir, gif, apng }) {
+    const landmarks = [];
+    (anim.landmarks || []).forEach((lname, i) => {
+        const p = profiles[lname];
+        if (p?.aspects) landmarks.push({ name: lname, ...p, ...anim.keys?.[i] });
+        else process.stderr.write(`  skipping missing landmark "${lname}"\n`);
+    });
+    if (landmarks.length < 2) throw new Error('needs 2+ landmarks');
+
+    // The profile's export preset sets frame size and rate; 'canvas' leaves them to --width / --height / --fps
+    const preset = resolveExportPreset(anim.exportPreset, width, height);
+    if (anim.exportPreset && preset.name !== anim.exportPreset) throw new Error(`unknown exportPreset "${anim.exportPreset}"`);
+    if (preset.name === DEFAULT_EXPORT_PRESET) preset.fps = fps;
+    ({ width, height, fps } = preset);
+
+    const seed = deriveAnimSeed(landmarks);
+    const durationMs = anim.durationMs;
+    const interpolation = anim.interpolation || DEFAULT_INTERPOLATION;
+    if (!INTERPOLATION_MODES.includes(interpolation)) throw new Error(`unknown interpolation "${interpolation}"`);
+    const series = normalizeSeries(anim.series);
+    const lanes = normalizeLanes(anim.lanes);
+    const playback = anim.playback || DEFAULT_PLAYBACK;
+    if (!PLAYBACK_MODES.includes(playback)) throw new Error(`unknown playback "${playback}"`);
+    const path = { playback, introLandmarks: anim.introLandmarks };
+    const seedMode = anim.seedMode || DEFAULT_SEED_MODE;
+    if (!SEED_MODES.includes(seedMode)) throw new Error(`unknown seedMode "${seedMode}"`);
+    const motionBlur = normalizeMotionBlur(anim.motionBlur);
+    if (anim.motionBlur?.mode && anim.motionBlur.mode !== motionBlur.mode) {
+        throw new Error(`unknown motionBlur mode "${anim.motionBlur.mode}"`);
+    }
+    const totalFrames = totalFrameCount(durationMs, fps);
+    if (anim.audio) process.stderr.write(`  ignoring audio "${anim.audio.name}" (decoding it needs a browser)\n`);
+
+    const dir = join(outDir, safeName(name));
+    const framesDir = join(dir, 'frames');
+    await mkdir(framesDir, { recursive: true });
+
+    const backend = createRasterBackend(width, height);
+    const renderer = createRenderer(backend);
+    const blur = createPixelMotionBlur(width, height, { decay: MB_DECAY, add: MB_ADD });
+    const shutter = MOTION_BLUR_ENABLED && motionBlur.mode === 'shutter' ? createShutterAccumulator(width, height) : null;
+    const thumbs = [];
+    const gifWidth = Math.min(DEFAULT_GIF_WIDTH, width);
+    const gifHeight = Math.max(1, Math.round(gifWidth * height / width));
+    const gifFrames = [];
+    const gifTimes = [];
+    const loopWidth = Math.min(DEFAULT_WEB_LOOP_WIDTH, width);
+    const loopHeight = Math.max(1, Math.round(loopWidth * height / width));
+    const loopPngs = [];
+    const loopIndices = [];
+
+    for (const { tNorm, frame: index, last } of renderSchedule(totalFrames, playback, motionBlur)) {
+        const opts = { durationMs, interpolation, series, lanes, ...path, seedMode };
+        const frame = frameSeed(tNorm, landmarks, seed, opts);
+        renderer.renderWith(frame.seed, evalAspectsAt(tNorm, landmarks, opts), { morph: frame.morph });
+        if (shutter) {
+            shutter.add(backend.data);
+            if (!last) continue; // more shutter samples to come
+            shutter.resolve(backend.data);
+        } else if (MOTION_BLUR_ENABLED) {
+            blur.apply(backend.data);
+        }
+        if (index < 0) continue; // pre-roll: blur history only
+
+        thumbs.push(frameThumbnail(backend.data, width, height));
+        if (gif && index % DEFAULT_GIF_STEP === 0) {
+            gifFrames.push(downscaleRgba(backend.data, width, height, gifWidth, gifHeight));
+            gifTimes.push(index * 1000 / fps);
+        }
+        if (apng && index % DEFAULT_WEB_LOOP_STEP === 0) {
+            const data = downscaleRgba(backend.data, width, height, loopWidth, loopHeight);
+            loopPngs.push(new Blob([await pngFromRaster({ width: loopWidth, height: loopHeight, data }, [])]));
+            loopIndices.push(index);
+        }
+        const file = `frame_${String(index).padStart(5, '0')}.png`;
+        await writeFile(join(framesDir, file), await pngFromRaster(backend, []));
+        process.stdout.write(`\r  frame ${index + 1}/${totalFrames}`);
+    }
+    process.stdout.write('\n');
+
+    const continuity = analyzeContinuity(landmarks, { durationMs, fps, interpolation, series, lanes, ...path, thumbs });
+    const serious = continuity.flags.filter(f => f.kind !== 'count');
+    console.log(`  continuity ${continuity.score.toFixed(2)}` +
+        (serious.length ? ` (${serious.map(f => `${f.kind} at frame ${f.frame}`).join(', ')})` : ''));
+
+    const rec = { kind: 'frames', seed, fps, durationMs, totalFrames };
+    if (gif) {
+        const loop = playback !== 'once';
+        const out = await encodeGif(gifFrames, { width: gifWidth, height: gifHeight, times: gifTimes, durationMs, loop });
+        await writeFile(join(dir, 'animation.gif'), out.bytes);
+        rec.gif = {
+            width: out.width, height: out.height, frames: gifFrames.length, fps: fps / DEFAULT_GIF_STEP, loop,
+            quantizer: DEFAULT_GIF_QUANTIZER, dither: DEFAULT_GIF_DITHER, palette: DEFAULT_GIF_PALETTE,
+            bytes: out.bytes.length,
+        };
+        console.log(`  gif ${out.width}×${out.height}, ${(out.bytes.length / 1024).toFixed(0)} KB`);
+    }
+    const keyframes = computeKeyframeText(seed, landmarks, { interpolation });
+    const summary = computeLoopSummaryTitleAlt(seed, landmarks, durationMs / 1000, { interpolation, series, lanes, ...path });
+    let webLoops = {};
+    if (apng) {
+        rec.webLoops = {
+            width: loopWidth, height: loopHeight, step: DEFAULT_WEB_LOOP_STEP, indices: loopIndices,
+            png: loopPngs, webp: null, webpQuality: 1,
+        };
+        webLoops = await assembleWebLoops(rec, summary);
+        if (!webLoops.apng) throw new Error('APNG assembly failed');
+        await writeFile(join(dir, 'animation.png'), Buffer.from(await webLoops.apng.arrayBuffer()));
+        console.log(`  apng ${loopWidth}×${loopHeight}, ${(webLoops.apng.size / 1024).toFixed(0)} KB`);
+    }
+
+    await writeFile(join(framesDir, 'README.txt'), framesReadme(fps, 'it was rendered by the headless CLI'));
+    await writeFile(join(dir, 'title.txt'), summary.title + '\n');
+    await writeFile(join(dir, 'alt-text.txt'), summary.altText + '\n');
+    await writeJson(join(dir, 'keyframes.json'), keyframes);
+    await writeJson(join(dir, 'manifest.json'), buildAnimManifest(rec, {
+        landmarks,
+        loopLandmarkNames: landmarks.map(l => l.name),
+        timeWarpStrength: TIME_WARP_STRENGTH,
+        interpolation,
+        series,
+        lanes,
+        ...path,
+        seedMode,
+        continuity,
+        webLoops,
+        preset,
+        motionBlur,
+    }));
+    return dir;
+}
+
+/* ── Main ── */
+
+async function main() {
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!args.profiles) fail('--profiles is required');
+
+    const width = positiveInt('width');
+    const height = positiveInt('height');
+    const fps = positiveInt('fps');
+    const outDir = args.out;
+
+    const source = await readJson(args.profiles);
+    const profiles = source.profiles && typeof source.profiles === 'object' ? source.profiles : source;
+    const animations = args.anim ? await readJson(args.anim) : (source.animations || {});
+    const only = args.only ? new Set(args.only) : null;
+    const wanted = (name) => !only || only.has(name);
+
+    let failures = 0;
+
+    if (!args['no-stills']) {
+        for (const [name, profile] of Object.entries(profiles)) {
+            if (!wanted(name) || !profile?.aspects) continue;
+            try {
+                const dir = await renderStill(name, profile, { width, height, outDir });
+                console.log(`still      ${name} → ${dir}`);
+            } catch (err) {
+                failures++;
+                console.error(`still      ${name} failed: ${err.message}`);
+            }
+        }
+    }
+
+    if (!args['no-anims']) {
+        for (const [name, anim] of Object.entries(animations)) {
+            if (!wanted(name)) continue;
+            console.log(`animation  ${name}`);
+            try {
+                const dir = await renderAnimation(name, anim, profiles, { width, height, fps, outDir, gif: args.gif, apng: args.apng });
+                console.log(`animation  ${name} → ${dir}`);
+            } catch (err) {
+                failures++;
+                console.error(`animation  ${name} failed: ${err.message}`);
+            }
+        }
+    }
+
+    if (failures) process.exitCode = 1;
+}
+
+main();
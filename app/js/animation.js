@@ -1,13 +1,27 @@
 /**
  * Animation playback controller and programmatic frame export.
  *
- * Playback: pre-renders all frames into an ImageBitmap[] buffer,
- *           then blits from the buffer at 24fps via requestAnimationFrame.
- * Export:   encodes the pre-rendered buffer via WebCodecs + mp4-muxer
- *           when available, falls back to PNG frame sequence otherwise.
+ * Frames:   renderFrameStream() renders a loop in order (parallel raw frames,
+ *           sequential motion blur) and hands out one frame at a time.
+ * Playback: pre-renders the stream into an ImageBitmap[] buffer (optionally
+ *           downscaled / decimated), then blits it via requestAnimationFrame.
+ * Export:   encodes frames via WebCodecs when available, negotiating H.264
+ *           (MP4, via mp4-muxer), VP9 or AV1 (WebM, via webm.js), with the
+ *           audio track if one is loaded; falls back to PNG frame sequence
+ *           otherwise. Frames come from the full-size buffer, or
+ *           straight from the stream without buffering. An optional GIF is
+ *           encoded from a small copy of the same frames (see gif.js), and
+ *           optional APNG / animated WebP loops keep a still of each frame
+ *           (assembled by packageAnimZip, with the bundle's title and alt text).
  */
 
-import { evalAspectsAt } from './interpolation.js';
+import { evalAspectsAt, segmentAt, isSeamless } from './interpolation.js';
+import { createMotionBlur, createShutterAccumulator, shutterOffsets } from './motion-blur.js';
+import { modulateAspects, encodeAudioTrack } from './audio.js';
+import {
+    encodeGif, DEFAULT_GIF_WIDTH, DEFAULT_GIF_STEP, DEFAULT_GIF_QUANTIZER, DEFAULT_GIF_DITHER, DEFAULT_GIF_PALETTE,
+} from './gif.js';
+import { createWebmMuxer } from './webm.js';
 import { Muxer, ArrayBufferTarget } from './vendor/mp4-muxer.mjs';
 
 export const ANIM_FPS = 24;
@@ -15,124 +29,498 @@ export const MOTION_BLUR_ENABLED = true;
 export const MB_DECAY = 0.18;
 export const MB_ADD = 0.90;
 
+/**
+ * Motion blur modes (an animation profile's `motionBlur.mode`):
+ * - decay:   the exponential trail above, warmed up by pre-roll frames
+ * - shutter: each frame averages `samples` renders spread across the
+ *            shutter angle (see shutterOffsets), with no history
+ */
+export const MOTION_BLUR_MODES = ['decay', 'shutter'];
+export const DEFAULT_MOTION_BLUR_MODE = 'decay';
+export const DEFAULT_SHUTTER_ANGLE = 180;
+export const DEFAULT_SHUTTER_SAMPLES = 5;
+const MAX_SHUTTER_SAMPLES = 16;
+
 const PRE_ROLL_FRAMES = 12;
 
 /**
- * Pre-render all animation frames into an ImageBitmap[] buffer.
+ * Export presets: the size and rate the animation frames are rendered at.
+ * 'canvas' keeps the preview canvas size (width / height null). Playback
+ * shows the frames fitted into the canvas, whatever their size.
+ */
+export const EXPORT_PRESETS = {
+    canvas: { width: null, height: null, fps: ANIM_FPS },
+    square: { width: 1080, height: 1080, fps: ANIM_FPS },
+    vertical: { width: 1080, height: 1920, fps: ANIM_FPS },
+    hd: { width: 1920, height: 1080, fps: ANIM_FPS },
+    '4k': { width: 3840, height: 2160, fps: ANIM_FPS },
+    smooth: { width: 1920, height: 1080, fps: 60 },
+};
+export const DEFAULT_EXPORT_PRESET = 'canvas';
+
+/**
+ * Frame size and rate for an export preset.
+ * @param {string} name - EXPORT_PRESETS key; unknown names resolve to the default
+ * @param {number} canvasWidth - size for 'canvas'
+ * @param {number} canvasHeight
+ * @returns {{ name: string, width: number, height: number, fps: number }}
+ */
+export function resolveExportPreset(name, canvasWidth, canvasHeight) {
+    const key = EXPORT_PRESETS[name] ? name : DEFAULT_EXPORT_PRESET;
+    const { width, height, fps } = EXPORT_PRESETS[key];
+    return { name: key, width: width ?? canvasWidth, height: height ?? canvasHeight, fps };
+}
+
+/** APNG / animated WebP defaults: output width (capped at the frame width) and frame decimation. */
+export const DEFAULT_WEB_LOOP_WIDTH = 640;
+export const DEFAULT_WEB_LOOP_STEP = 2;
+
+/**
+ * Video formats by muxer codec, in 'auto' order. Codec strings go from the
+ * lowest level up; the first the encoder accepts is used. maxQuantizer is
+ * the codec's worst constant-quality quantizer.
+ */
+const VIDEO_FORMATS = {
+    avc: { container: 'mp4', maxQuantizer: 51, codecs: ['avc1.42E01E', 'avc1.640028'] },
+    vp9: { container: 'webm', maxQuantizer: 63, codecs: ['vp09.00.40.08', 'vp09.00.50.08'] },
+    av1: { container: 'webm', maxQuantizer: 63, codecs: ['av01.0.08M.08', 'av01.0.12M.08'] },
+};
+
+/** Preferred video codec for export; 'auto' takes the first format the browser can encode. */
+export const VIDEO_CODECS = ['auto', ...Object.keys(VIDEO_FORMATS)];
+export const DEFAULT_VIDEO_CODEC = 'auto';
+
+/**
+ * Rate control: a target bitrate (variable or constant), or constant
+ * quality (a fixed quantizer per frame, from a 0..100 quality).
+ */
+export const VIDEO_RATE_MODES = ['variable', 'constant', 'quality'];
+export const DEFAULT_VIDEO_RATE_MODE = 'variable';
+export const DEFAULT_VIDEO_BITRATE = 8_000_000;
+export const DEFAULT_VIDEO_QUALITY = 80;
+export const DEFAULT_KEYFRAME_SEC = 2;
+
+/** Decoded preview frames kept for playback before the buffer is downscaled. */
+export const PREVIEW_BUFFER_BUDGET = 1024 ** 3;
+
+/** Preview buffer layouts: pixel scale and frame step (1 = every frame). */
+export const PREVIEW_BUFFERS = {
+    full: { scale: 1, step: 1 },
+    half: { scale: 0.5, step: 1 },
+    lite: { scale: 0.5, step: 2 },
+};
+
+export function totalFrameCount(durationMs, fps = ANIM_FPS) {
+    return Math.max(1, Math.round(durationMs / 1000 * fps));
+}
+
+/**
+ * Pick a preview buffer layout. 'auto' takes the largest one that fits
+ * PREVIEW_BUFFER_BUDGET.
+ * @param {'auto'|'full'|'half'|'lite'} mode
+ * @returns {'full'|'half'|'lite'}
+ */
+export function choosePreviewBuffer(mode, width, height, totalFrames) {
+    if (mode !== 'auto' && PREVIEW_BUFFERS[mode]) return mode;
+    for (const [key, { scale, step }] of Object.entries(PREVIEW_BUFFERS)) {
+        const bytes = Math.round(width * scale) * Math.round(height * scale) * 4 * Math.ceil(totalFrames / step);
+        if (bytes <= PREVIEW_BUFFER_BUDGET) return key;
+    }
+    return 'lite';
+}
+
+/**
+ * How frames get their seed (an animation profile's `seedMode`).
+ * - shared: every frame uses the animation seed (deriveAnimSeed), so only
+ *           the aspects change
+ * - morph:  each landmark keeps the seed it was saved with, and the layout
+ *           morphs between consecutive landmarks' seeds
+ */
+export const SEED_MODES = ['shared', 'morph'];
+export const DEFAULT_SEED_MODE = 'shared';
+
+/** The seed a landmark was saved with (its name when it has none). */
+export function landmarkSeed(landmark) {
+    return landmark.seed || landmark.name;
+}
+
+/**
+ * Derive the animation seed from the ordered landmarks' seeds.
+ * @param {Array<{ name: string, seed?: string }>} landmarks
+ */
+export function deriveAnimSeed(landmarks) {
+    if (landmarks.length === 0) return 'anim-seed';
+    const combined = landmarks.map(landmarkSeed).join('::');
+    return 'anim::' + combined;
+}
+
+/**
+ * Seed for the frame at tNorm: the animation seed, or with seed morphing the
+ * seed of the landmark being left plus the morph towards the next one.
+ * @param {object} opts - evalAspectsAt() options plus `seedMode`
+ * @returns {{ seed: string, morph?: { seed: string, t: number } }}
+ */
+export function frameSeed(tNorm, landmarks, animSeed, opts) {
+    if (opts.seedMode !== 'morph') return { seed: animSeed };
+    const seg = segmentAt(tNorm, landmarks, opts);
+    if (!seg) return { seed: animSeed };
+    const seed = landmarkSeed(landmarks[seg.from]);
+    if (seg.t <= 0) return { seed };
+    return { seed, morph: { seed: landmarkSeed(landmarks[seg.to]), t: seg.t } };
+}
+
+/**
+ * Motion blur settings from a profile (missing or invalid fields take the
+ * defaults).
+ * @param {{ mode?: string, shutterAngle?: number, samples?: number }} [motionBlur]
+ * @returns {{ mode: string, shutterAngle: number, samples: number }}
+ */
+export function normalizeMotionBlur(motionBlur) {
+    const mode = MOTION_BLUR_MODES.includes(motionBlur?.mode) ? motionBlur.mode : DEFAULT_MOTION_BLUR_MODE;
+    const angle = Number(motionBlur?.shutterAngle);
+    const samples = Math.round(Number(motionBlur?.samples));
+    return {
+        mode,
+        shutterAngle: angle > 0 ? Math.min(angle, 360) : DEFAULT_SHUTTER_ANGLE,
+        samples: samples >= 2 ? Math.min(samples, MAX_SHUTTER_SAMPLES) : DEFAULT_SHUTTER_SAMPLES,
+    };
+}
+
+/** Frames the path is spread over: a one-shot ends on its last frame. */
+function scheduleSpan(totalFrames, playback) {
+    return playback === 'once' ? Math.max(1, totalFrames - 1) : totalFrames;
+}
+
+/**
+ * Frame times for one loop, preceded by motion-blur pre-roll samples.
+ * Pre-roll entries have a negative index and wrap to the end of the loop,
+ * so frame 0 already carries blur history (seamless loop). Animations that
+ * start from rest (once, intro) hold the first frame instead, and a one-shot
+ * puts its last frame on the final landmark.
+ *
+ * @param {number} totalFrames
+ * @param {string} [playback='loop'] - one of PLAYBACK_MODES
+ * @returns {Generator<{ index: number, tNorm: number }>}
+ */
+export function* frameSchedule(totalFrames, playback = 'loop') {
+    const seamless = isSeamless(playback);
+    for (let p = PRE_ROLL_FRAMES; p > 0; p--) {
+        yield { index: -p, tNorm: seamless ? (((-p / totalFrames) % 1) + 1) % 1 : 0 };
+    }
+    const span = scheduleSpan(totalFrames, playback);
+    for (let f = 0; f < totalFrames; f++) {
+        yield { index: f, tNorm: f / span };
+    }
+}
+
+/**
+ * The renders behind the frames of one loop. Decay blur: frameSchedule(),
+ * one render per entry. Shutter blur: no pre-roll, and one render per
+ * shutter sample at the sample's time (fractional index; tNorm wraps round
+ * a seamless loop and clamps at the ends of the others).
+ *
+ * @param {number} totalFrames
+ * @param {string} [playback='loop']
+ * @param {object} [motionBlur] - see normalizeMotionBlur
+ * @returns {Array<{ index: number, tNorm: number, frame: number, last: boolean }>}
+ *          frame: the frame the render belongs to (negative for pre-roll);
+ *          last: its final render, when the frame is complete
+ */
+export function renderSchedule(totalFrames, playback = 'loop', motionBlur) {
+    const { mode, shutterAngle, samples } = normalizeMotionBlur(motionBlur);
+    if (mode !== 'shutter') {
+        return [...frameSchedule(totalFrames, playback)].map(e => ({ ...e, frame: e.index, last: true }));
+    }
+    const span = scheduleSpan(totalFrames, playback);
+    const seamless = isSeamless(playback);
+    const offsets = shutterOffsets(samples, shutterAngle);
+    const renders = [];
+    for (let f = 0; f < totalFrames; f++) {
+        offsets.forEach((o, s) => {
+            const t = (f + o) / span;
+            renders.push({
+                index: f + o,
+                tNorm: seamless ? ((t % 1) + 1) % 1 : Math.min(Math.max(t, 0), 1),
+                frame: f,
+                last: s === offsets.length - 1,
+            });
+        });
+    }
+    return renders;
+}
+
+/**
+ * Aspects of one frameSchedule() entry: the path at its tNorm, plus audio
+ * modulation at the frame's time in the video (a one-shot spreads its path
+ * over totalFrames - 1 frames, but the video still runs at the frame rate).
+ * @param {{ index: number, tNorm: number }} entry
+ * @param {number} totalFrames
+ * @param {Array} landmarks
+ * @param {object} opts - evalAspectsAt() options plus `audio` (see modulateAspects)
+ */
+export function scheduledAspects({ index, tNorm }, totalFrames, landmarks, opts) {
+    const aspects = evalAspectsAt(tNorm, landmarks, opts);
+    if (!opts.audio) return aspects;
+    const ms = (index >= 0 ? index / totalFrames : tNorm) * opts.durationMs;
+    return modulateAspects(aspects, ms, opts.audio);
+}
+
+/**
+ * Render an animation loop frame by frame, in order.
+ *
+ * Raw frames are independent, so they render in parallel across the render
+ * pool (a sliding window of `pool.capacity() * 2` requests in flight). The
+ * motion-blur decay accumulation is the only sequential step: it runs here,
+ * in frame order, as each raw frame arrives. With shutter blur each frame is
+ * several renders (see renderSchedule), averaged here as they arrive.
+ *
+ * Each yielded `image` is a canvas that is only valid until the next
+ * iteration; copy or encode it before continuing. Breaking out of the loop
+ * cancels the outstanding renders.
  *
  * @param {object} opts
- * @param {HTMLCanvasElement} opts.canvas
- * @param {object} opts.renderer - createRenderer() instance
- * @param {object} opts.motionBlur - createMotionBlur() instance
- * @param {Array} opts.landmarks - ordered landmark objects with .aspects
+ * @param {object} opts.pool - createRenderPool() instance
+ * @param {number} opts.width - frame width in pixels
+ * @param {number} opts.height - frame height in pixels
+ * @param {Array} opts.landmarks - ordered landmark objects with .aspects (and optional atMs/holdMs)
  * @param {string} opts.seed - animation seed string
  * @param {number} opts.durationMs - total loop duration in milliseconds
  * @param {number} [opts.fps=24] - frames per second
+ * @param {string} [opts.interpolation] - path shape (see INTERPOLATION_MODES)
+ * @param {object} [opts.series] - imported data series (see evalAspectsAt)
+ * @param {object} [opts.lanes] - per-aspect automation lanes (see evalAspectsAt)
+ * @param {string} [opts.playback='loop'] - one of PLAYBACK_MODES
+ * @param {number} [opts.introLandmarks] - landmarks played once before the loop ('intro')
+ * @param {string} [opts.seedMode='shared'] - one of SEED_MODES
+ * @param {{ features: object, routes: Array, offsetMs?: number, fit?: string }} [opts.audio] - audio modulation (see audio.js)
+ * @param {{ mode?: string, shutterAngle?: number, samples?: number }} [opts.motionBlur] - see normalizeMotionBlur
+ * @returns {AsyncGenerator<{ index: number, total: number, image: HTMLCanvasElement }>}
+ */
+export async function* renderFrameStream(opts) {
+    const {
+        pool, width, height, landmarks, seed, durationMs, fps = ANIM_FPS,
+        interpolation, series, lanes, playback, introLandmarks, seedMode = DEFAULT_SEED_MODE, audio,
+    } = opts;
+
+    const totalFrames = totalFrameCount(durationMs, fps);
+    const schedule = renderSchedule(totalFrames, playback, opts.motionBlur);
+    const pathOpts = { durationMs, interpolation, series, lanes, playback, introLandmarks, seedMode, audio };
+    const shutter = MOTION_BLUR_ENABLED && normalizeMotionBlur(opts.motionBlur).mode === 'shutter';
+
+    const blurCanvas = document.createElement('canvas');
+    blurCanvas.width = width;
+    blurCanvas.height = height;
+    const blurCtx = blurCanvas.getContext('2d', { willReadFrequently: shutter });
+    const motionBlur = createMotionBlur(blurCanvas, blurCtx, { decay: MB_DECAY, add: MB_ADD });
+    motionBlur.setEnabled(MOTION_BLUR_ENABLED && !shutter);
+    const accumulator = shutter ? createShutterAccumulator(width, height) : null;
+    const averaged = shutter ? blurCtx.createImageData(width, height) : null;
+
+    const windowSize = pool.capacity() * 2;
+    const jobs = new Array(schedule.length);
+    let submitted = 0;
+    let next = 0;
+
+    try {
+        for (; next < schedule.length; next++) {
+            while (submitted < schedule.length && submitted < next + windowSize) {
+                const { tNorm } = schedule[submitted];
+                const aspects = scheduledAspects(schedule[submitted], totalFrames, landmarks, pathOpts);
+                jobs[submitted] = pool.render({ ...frameSeed(tNorm, landmarks, seed, pathOpts), aspects, width, height });
+                submitted++;
+            }
+
+            const result = await jobs[next].promise;
+            jobs[next] = null;
+            if (!result) return; // cancelled underneath us
+
+            if (accumulator) blurCtx.clearRect(0, 0, width, height);
+            blurCtx.drawImage(result.bitmap, 0, 0);
+            result.bitmap.close();
+            if (accumulator) {
+                accumulator.add(blurCtx.getImageData(0, 0, width, height).data);
+                if (!schedule[next].last) continue;
+                accumulator.resolve(averaged.data);
+                blurCtx.putImageData(averaged, 0, 0);
+            } else {
+                motionBlur.apply();
+            }
+
+            const f = schedule[next].frame;
+            if (f < 0) continue; // pre-roll: blur history only
+
+            yield { index: f, total: totalFrames, image: blurCanvas };
+        }
+    } finally {
+        // Early exit (break, cancel, error): drop renders still in flight
+        for (let i = next; i < submitted; i++) {
+            if (!jobs[i]) continue;
+            jobs[i].cancel();
+            jobs[i].promise.then(r => r?.bitmap.close(), () => {});
+        }
+    }
+}
+
+/**
+ * Stream over an already rendered ImageBitmap[] buffer.
+ * @returns {AsyncGenerator<{ index: number, total: number, image: ImageBitmap }>}
+ */
+export async function* bufferFrameStream(frames) {
+    for (let f = 0; f < frames.length; f++) {
+        yield { index: f, total: frames.length, image: frames[f] };
+    }
+}
+
+/**
+ * Pre-render all animation frames into an ImageBitmap[] buffer for playback.
+ *
+ * @param {object} opts - renderFrameStream() options, plus:
+ * @param {number} [opts.previewScale=1] - pixel scale of the kept frames
+ * @param {number} [opts.previewStep=1] - keep every n-th frame
  * @param {function} [opts.onProgress] - called with (done, total)
  * @param {function} [opts.isCancelled] - return true to abort
  * @returns {Promise<ImageBitmap[]|null>} - null if cancelled
  */
 export async function preRenderFrames(opts) {
-    const { canvas, renderer, motionBlur, landmarks, seed, durationMs, fps = ANIM_FPS, onProgress, isCancelled } = opts;
+    const { width, height, previewScale = 1, previewStep = 1, onProgress, isCancelled } = opts;
 
-    const totalFrames = Math.max(1, Math.round(durationMs / 1000 * fps));
-
-    // Pre-roll: warm motion blur so frame 0 has blur history (seamless loop)
-    motionBlur.setEnabled(MOTION_BLUR_ENABLED);
-    motionBlur.clear();
-    for (let p = PRE_ROLL_FRAMES; p > 0; p--) {
-        const preT = (((-p / totalFrames) % 1) + 1) % 1;
-        const aspects = evalAspectsAt(preT, landmarks);
-        renderer.renderWith(seed, aspects);
-        motionBlur.apply();
-    }
+    const resize = previewScale !== 1
+        ? { resizeWidth: Math.round(width * previewScale), resizeHeight: Math.round(height * previewScale), resizeQuality: 'medium' }
+        : undefined;
 
     const frames = [];
-
-    for (let f = 0; f < totalFrames; f++) {
-        if (isCancelled?.()) {
-            for (const bm of frames) bm.close();
-            return null;
+    let completed = false;
+    try {
+        for await (const { index, total, image } of renderFrameStream(opts)) {
+            if (isCancelled?.()) break;
+            if (index % previewStep === 0) frames.push(await createImageBitmap(image, resize));
+            onProgress?.(index + 1, total);
+            if (index === total - 1) completed = true;
         }
-
-        const tNorm = f / totalFrames;
-        const aspects = evalAspectsAt(tNorm, landmarks);
-        renderer.renderWith(seed, aspects);
-        motionBlur.apply();
-
-        const bitmap = await createImageBitmap(canvas);
-        frames.push(bitmap);
-
-        onProgress?.(f + 1, totalFrames);
-
-        // Yield every 4 frames for UI responsiveness
-        if ((f & 3) === 3) await new Promise(r => setTimeout(r, 0));
+    } finally {
+        if (!completed) for (const bm of frames) bm.close();
     }
-
-    return frames;
+    return completed ? frames : null;
 }
 
 
 /**
- * Create a playback controller bound to the given canvas + modules.
+ * Create a playback controller for a buffer of pre-rendered frames.
+ *
+ * The playhead survives pause/resume and can be moved with seek() and step().
+ * Playback wraps within the loop range (a sub-span of the loop, in tNorm) and
+ * advances at the given speed. Without a range set, a buffer loaded with
+ * `loopFrom` plays its intro once and then loops from there, and a `once`
+ * buffer stops on its last frame.
  *
  * @param {object} opts
- * @param {object} opts.renderer - createRenderer() instance
- * @param {object} opts.motionBlur - createMotionBlur() instance
  * @param {function} opts.drawFrame - called with (ImageBitmap) to blit a frame
- * @param {function} opts.getLandmarks - returns array of { name, aspects, ... }
- * @param {function} opts.getAnimSeed - returns the current animation seed string
- * @param {function} opts.getLoopDurationMs - returns current loop duration in ms
- * @param {function} opts.onFrame - called with (tNorm, frameIndex) each rendered frame
- * @param {function} opts.onPlayStateChange - called with (playing: boolean)
+ * @param {function} [opts.onFrame] - called with (tNorm, frameIndex) whenever the playhead moves
+ * @param {function} [opts.onPlayStateChange] - called with (playing: boolean)
  */
 export function createAnimationController(opts) {
     const { drawFrame, onFrame, onPlayStateChange } = opts;
 
     const state = {
         playing: false,
-        startMs: 0,
-        lastFrameIndex: -1,
         frames: null,
         durationMs: 0,
+        positionMs: 0,          // playhead, 0..durationMs
+        lastNowMs: 0,
+        lastFrameIndex: -1,
+        rafId: 0,
+        speed: 1,
+        rangeStart: 0,          // loop range, tNorm
+        rangeEnd: 1,
+        loopFrom: 0,            // where the full buffer loops back to, tNorm
+        once: false,            // full buffer plays through and stops
     };
 
-    function tickBuffer(nowMs) {
-        if (!state.playing || !state.frames) return;
+    function fullRange() { return state.rangeStart === 0 && state.rangeEnd === 1; }
+
+    function frameCount() { return state.frames ? state.frames.length : 0; }
 
-        const elapsed = nowMs - state.startMs;
-        const wrapped = ((elapsed % state.durationMs) + state.durationMs) % state.durationMs;
-        const tNorm = wrapped / state.durationMs;
+    function frameIndexAt(positionMs) {
+        const n = frameCount();
+        // Epsilon: positions set from a frame index must land on that frame
+        return Math.min(Math.floor((positionMs / state.durationMs) * n + 1e-6), n - 1);
+    }
 
-        const frameIndex = Math.min(
-            Math.floor(tNorm * state.frames.length),
-            state.frames.length - 1
-        );
+    function wrapIntoRange(positionMs) {
+        const lo = state.rangeStart * state.durationMs;
+        const hi = state.rangeEnd * state.durationMs;
+        if (positionMs >= lo && positionMs < hi) return positionMs;
+        const from = fullRange() ? state.loopFrom * state.durationMs : lo;
+        const len = hi - from;
+        return from + ((((positionMs - from) % len) + len) % len);
+    }
 
+    function show(force) {
+        const frameIndex = frameIndexAt(state.positionMs);
         if (frameIndex !== state.lastFrameIndex) {
             drawFrame(state.frames[frameIndex]);
-            onFrame?.(tNorm, frameIndex);
             state.lastFrameIndex = frameIndex;
+        } else if (!force) {
+            return;
         }
-
-        requestAnimationFrame(tickBuffer);
+        onFrame?.(state.positionMs / state.durationMs, frameIndex);
     }
 
-    function playFromBuffer(frames, durationMs) {
-        if (!frames || frames.length === 0) return false;
+    function tick(nowMs) {
+        if (!state.playing || !state.frames) return;
+        const positionMs = state.positionMs + (nowMs - state.lastNowMs) * state.speed;
+        if (state.once && fullRange() && positionMs >= state.durationMs) {
+            state.positionMs = state.durationMs - 1e-3;
+            show(false);
+            pause();
+            return;
+        }
+        state.positionMs = wrapIntoRange(positionMs);
+        state.lastNowMs = nowMs;
+        show(false);
+        state.rafId = requestAnimationFrame(tick);
+    }
 
-        state.playing = true;
-        state.frames = frames;
+    /**
+     * Bind a frame buffer; the playhead and loop range reset to the start.
+     * @param {object} [opts]
+     * @param {number} [opts.loopFrom=0] - tNorm the buffer loops back to (after an intro)
+     * @param {boolean} [opts.once=false] - stop at the end instead of looping
+     */
+    function load(frames, durationMs, { loopFrom = 0, once = false } = {}) {
+        pause();
+        state.frames = frames && frames.length ? frames : null;
         state.durationMs = durationMs;
-        state.startMs = performance.now();
+        state.positionMs = 0;
+        state.rangeStart = 0;
+        state.rangeEnd = 1;
+        state.loopFrom = Math.min(Math.max(loopFrom, 0), 1 - 1 / Math.max(1, frameCount()));
+        state.once = once;
         state.lastFrameIndex = -1;
+        return !!state.frames;
+    }
 
+    /** Resume from the playhead (a finished one-shot starts over). */
+    function play() {
+        if (!state.frames) return false;
+        if (state.playing) return true;
+        if (state.once && fullRange() && frameIndexAt(state.positionMs) === frameCount() - 1) state.positionMs = 0;
+        state.playing = true;
+        state.positionMs = wrapIntoRange(state.positionMs);
+        state.lastNowMs = performance.now();
+        state.lastFrameIndex = -1;
         onPlayStateChange?.(true);
-        requestAnimationFrame(tickBuffer);
+        state.rafId = requestAnimationFrame(tick);
         return true;
     }
 
+    function playFromBuffer(frames, durationMs, opts) {
+        return load(frames, durationMs, opts) && play();
+    }
+
     function pause() {
+        cancelAnimationFrame(state.rafId);
+        if (!state.playing) return;
         state.playing = false;
         onPlayStateChange?.(false);
     }
@@ -140,126 +528,420 @@ export function createAnimationController(opts) {
     function toggle(frames, durationMs) {
         if (state.playing) {
             pause();
-        } else {
+        } else if (frames && frames !== state.frames) {
             return playFromBuffer(frames, durationMs);
+        } else {
+            return play();
         }
     }
 
+    /** Pause and rewind to the start of the loop range. */
     function stop() {
-        state.playing = false;
-        onPlayStateChange?.(false);
+        pause();
+        state.positionMs = state.rangeStart * state.durationMs;
+    }
+
+    /** Move the playhead to tNorm (0..1) and draw that frame. */
+    function seek(tNorm) {
+        if (!state.frames) return;
+        const t = Math.min(Math.max(tNorm, 0), 1);
+        state.positionMs = Math.min(t * state.durationMs, state.durationMs - 1e-3);
+        show(true);
+    }
+
+    /** Pause and move by `delta` frames, wrapping within the loop range. */
+    function step(delta) {
+        if (!state.frames) return;
+        pause();
+        const n = frameCount();
+        const first = Math.floor(state.rangeStart * n);
+        const last = Math.max(first, Math.ceil(state.rangeEnd * n) - 1);
+        const span = last - first + 1;
+        const index = first + ((((frameIndexAt(state.positionMs) + delta - first) % span) + span) % span);
+        state.positionMs = (index / n) * state.durationMs;
+        show(true);
+    }
+
+    function setSpeed(speed) {
+        if (speed > 0) state.speed = speed;
+    }
+
+    /**
+     * Restrict playback to [startT, endT] (tNorm). A span shorter than one
+     * frame resets to the whole loop.
+     */
+    function setRange(startT, endT) {
+        const a = Math.min(Math.max(Math.min(startT, endT), 0), 1);
+        const b = Math.min(Math.max(Math.max(startT, endT), 0), 1);
+        const n = frameCount();
+        if (n === 0 || (b - a) * n < 1) {
+            state.rangeStart = 0;
+            state.rangeEnd = 1;
+        } else {
+            state.rangeStart = a;
+            state.rangeEnd = b;
+        }
+        if (state.playing) state.positionMs = wrapIntoRange(state.positionMs);
+    }
+
+    function getRange() { return { start: state.rangeStart, end: state.rangeEnd }; }
+
+    function getPosition() {
+        if (!state.frames) return { tNorm: 0, frameIndex: 0, frameCount: 0 };
+        return {
+            tNorm: state.positionMs / state.durationMs,
+            frameIndex: frameIndexAt(state.positionMs),
+            frameCount: frameCount(),
+        };
     }
 
     function isPlaying() { return state.playing; }
 
-    return { playFromBuffer, pause, toggle, stop, isPlaying };
+    return {
+        load, play, playFromBuffer, pause, toggle, stop, seek, step,
+        setSpeed, setRange, getRange, getPosition, isPlaying,
+    };
 }
 
 
 /**
  * Encode pre-rendered ImageBitmap[] into a downloadable format.
  *
- * Primary path: WebCodecs VideoEncoder + mp4-muxer -> MP4 blob
- * Fallback: PNG frame sequence
- *
  * @param {object} opts
- * @param {ImageBitmap[]} opts.frames - pre-rendered frame bitmaps
+ * @param {ImageBitmap[]} opts.frames - pre-rendered frame bitmaps (full size)
  * @param {number} opts.fps - frames per second
  * @param {number} opts.durationMs - total duration in ms
  * @param {string} opts.seed - animation seed string
- * @param {HTMLCanvasElement} opts.canvas - used for dimensions and PNG fallback
+ * @param {number} [opts.width] - frame size (defaults to opts.canvas's)
+ * @param {number} [opts.height]
+ * @param {HTMLCanvasElement} [opts.canvas] - used for dimensions without width / height
+ * @param {{ zip: object, base: string }} opts.archive - openAnimArchive(); without a video encoder the
+ *          frames are written into it as PNGs, under base/frames/, one by one as they are encoded
+ * @param {{ buffer: AudioBuffer, offsetMs?: number, fit?: string }} [opts.audio] - muxed as the video's audio track
+ * @param {object} [opts.video] - encoder settings: { codec?, rateMode?, bitrate?, quality?, keyframeSec? }
+ *          (codec one of VIDEO_CODECS, rateMode one of VIDEO_RATE_MODES, bitrate in bits/s, quality 0..100)
+ * @param {object} [opts.gif] - also encode a GIF: { width?, step?, loop?, quantizer?, dither?, palette?, maxBytes? }
+ *          (width and step default to DEFAULT_GIF_WIDTH / DEFAULT_GIF_STEP; the rest see encodeGif)
+ * @param {object} [opts.webLoops] - also keep stills for looping APNG / WebP: { apng?, webp?, width?, step?, webpQuality? }
+ *          (webpQuality 0..1, default 1: lossless where the browser's encoder supports it)
  * @param {function} [opts.onProgress] - called with (tNorm)
- * @returns {Promise<{ kind: 'video'|'frames', blob?, frames?, ext?, fps, durationMs, seed, totalFrames }>}
+ * @returns {Promise<{ kind: 'video'|'frames', blob?, frameCount?, ext?, fps, durationMs, seed, totalFrames, video?, audio?, gif?, webLoops? }>}
+ *          video: the encoder as negotiated, { codec, format, container, rateMode, bitrate, quantizer, keyframeSec };
+ *          audio: whether the video carries the soundtrack; gif: the GIF and how it was made, null if it failed;
+ *          webLoops: { width, height, step, indices, png: Blob[]|null, webp: Blob[]|null, webpQuality }
+ *          (webp null without a WebP encoder)
  */
 export async function exportFromBuffer(opts) {
-    const { frames, fps = ANIM_FPS, durationMs, seed, canvas, onProgress } = opts;
-    const totalFrames = frames.length;
+    const {
+        frames, fps = ANIM_FPS, durationMs, seed, canvas, width = canvas.width, height = canvas.height,
+        archive, video, audio, gif, webLoops, onProgress,
+    } = opts;
+    return exportFrames({
+        openFrames: () => bufferFrameStream(frames),
+        totalFrames: frames.length,
+        width,
+        height,
+        fps, durationMs, seed, archive, video, audio, gif, webLoops, onProgress,
+    });
+}
+
+/**
+ * Render and encode in one pass: each frame goes straight from the render
+ * stream to the encoder, so memory use does not grow with loop length.
+ *
+ * @param {object} opts - renderFrameStream() options, plus:
+ * @param {{ zip: object, base: string }} opts.archive - as for exportFromBuffer()
+ * @param {function} [opts.onProgress] - called with (tNorm)
+ * @param {function} [opts.isCancelled] - return true to abort
+ * @returns {Promise<object|null>} same result as exportFromBuffer(), null if cancelled
+ */
+export async function exportStreaming(opts) {
+    const { width, height, durationMs, fps = ANIM_FPS, seed, archive, video, audio, gif, webLoops, onProgress, isCancelled } = opts;
+    return exportFrames({
+        openFrames: () => renderFrameStream(opts),
+        totalFrames: totalFrameCount(durationMs, fps),
+        width, height, fps, durationMs, seed, archive, video, audio, gif, webLoops, onProgress, isCancelled,
+    });
+}
+
+/**
+ * Encode a frame stream.
+ * Primary path: WebCodecs VideoEncoder -> MP4 or WebM blob (see negotiateVideoCodec)
+ * Fallback: PNG frame sequence (the stream is reopened from the start)
+ * Then, if asked for, a GIF and APNG / WebP stills from the frames kept on
+ * the way through.
+ *
+ * @param {object} opts
+ * @param {function} opts.openFrames - () => async iterable of { index, image }
+ */
+async function exportFrames(opts) {
+    const { fps } = opts;
     const frameDurationUs = Math.round(1_000_000 / fps);
+    const gifTap = opts.gif ? createGifTap(opts.gif, opts.width, opts.height) : null;
+    const stillTap = opts.webLoops ? createStillTap(opts.webLoops, opts.width, opts.height) : null;
+    const openFrames = () => {
+        let stream = opts.openFrames();
+        if (gifTap) stream = gifTap.wrap(stream);
+        if (stillTap) stream = stillTap.wrap(stream);
+        return stream;
+    };
 
+    let result = null;
     // Try WebCodecs path
     if (typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined') {
-        const result = await _exportBufferViaWebCodecs({ frames, canvas, totalFrames, frameDurationUs, fps, durationMs, seed, onProgress });
-        if (result) return result;
+        result = await _exportViaWebCodecs({ ...opts, openFrames, frameDurationUs });
+    }
+    if (!result) {
+        if (opts.isCancelled?.()) return null;
+        // Fallback: PNG frames
+        result = await _exportViaPng({ ...opts, openFrames });
     }
+    if (result && gifTap) result.gif = await _exportGif(gifTap, opts);
+    if (result && stillTap) result.webLoops = stillTap.result();
+    return result;
+}
 
-    // Fallback: PNG frames
-    return _exportBufferViaPng({ frames, canvas, totalFrames, fps, durationMs, seed, onProgress });
+function canvasBlob(canvas, type, quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
 }
 
+/**
+ * Keeps a PNG and / or WebP still of every `step`th frame of the stream it
+ * wraps, at web-loop size (reset each time the stream is reopened).
+ */
+function createStillTap({
+    apng = false, webp = false, width: loopWidth = DEFAULT_WEB_LOOP_WIDTH, step = DEFAULT_WEB_LOOP_STEP, webpQuality = 1,
+}, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.min(loopWidth, width);
+    canvas.height = Math.max(1, Math.round(canvas.width * height / width));
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+
+    let png = [];
+    let webpFrames = [];
+    let webpSupported = webp;
+    let indices = [];
+    return {
+        async* wrap(stream) {
+            png = [];
+            webpFrames = [];
+            indices = [];
+            for await (const item of stream) {
+                if (item.index % step === 0) {
+                    ctx.drawImage(item.image, 0, 0, canvas.width, canvas.height);
+                    if (apng) png.push(await canvasBlob(canvas, 'image/png'));
+                    if (webpSupported) {
+                        const blob = await canvasBlob(canvas, 'image/webp', webpQuality);
+                        // Browsers without a WebP encoder hand back a PNG
+                        if (blob?.type === 'image/webp') webpFrames.push(blob);
+                        else webpSupported = false;
+                    }
+                    indices.push(item.index);
+                }
+                yield item;
+            }
+        },
+        result() {
+            if (webp && !webpSupported) console.warn('No WebP encoder available, exporting without the WebP loop');
+            return {
+                width: canvas.width,
+                height: canvas.height,
+                step,
+                indices,
+                png: apng ? png : null,
+                webp: webpSupported ? webpFrames : null,
+                webpQuality,
+            };
+        },
+    };
+}
 
-async function _exportBufferViaWebCodecs({ frames, canvas, totalFrames, frameDurationUs, fps, durationMs, seed, onProgress }) {
-    const W = canvas.width, H = canvas.height;
+/**
+ * Keeps a GIF-sized RGBA copy of every `step`th frame of the stream it
+ * wraps (reset each time the stream is reopened).
+ */
+function createGifTap({ width: gifWidth = DEFAULT_GIF_WIDTH, step = DEFAULT_GIF_STEP }, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.min(gifWidth, width);
+    canvas.height = Math.max(1, Math.round(canvas.width * height / width));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingQuality = 'high';
+
+    const tap = { width: canvas.width, height: canvas.height, step, frames: [], indices: [] };
+    tap.wrap = async function* (stream) {
+        tap.frames = [];
+        tap.indices = [];
+        for await (const item of stream) {
+            if (item.index % step === 0) {
+                ctx.drawImage(item.image, 0, 0, canvas.width, canvas.height);
+                tap.frames.push(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+                tap.indices.push(item.index);
+            }
+            yield item;
+        }
+    };
+    return tap;
+}
 
-    const codecCandidates = [
-        { codec: 'avc1.42E01E', container: 'mp4', muxCodec: 'avc' },
-        { codec: 'avc1.640028', container: 'mp4', muxCodec: 'avc' },
-    ];
+/** Encode the tapped frames; a failure leaves the export without a GIF. */
+async function _exportGif(tap, { gif, fps, durationMs, onProgress }) {
+    try {
+        const {
+            loop = true, quantizer = DEFAULT_GIF_QUANTIZER, dither = DEFAULT_GIF_DITHER,
+            palette = DEFAULT_GIF_PALETTE, maxBytes = 0,
+        } = gif;
+        const out = await encodeGif(tap.frames, {
+            width: tap.width,
+            height: tap.height,
+            times: tap.indices.map(f => f * 1000 / fps),
+            durationMs,
+            loop, quantizer, dither, palette, maxBytes,
+            onProgress,
+        });
+        return {
+            blob: new Blob([out.bytes], { type: 'image/gif' }),
+            width: out.width,
+            height: out.height,
+            frames: tap.frames.length,
+            fps: fps / tap.step,
+            loop, quantizer, dither, palette, maxBytes,
+            bytes: out.bytes.length,
+            fits: out.fits,
+        };
+    } catch (err) {
+        console.warn('GIF encoding failed, exporting without it:', err);
+        return null;
+    } finally {
+        tap.frames = [];
+    }
+}
 
-    let chosen = null;
-    for (const c of codecCandidates) {
-        try {
-            const support = await VideoEncoder.isConfigSupported({
-                codec: c.codec,
-                width: W,
-                height: H,
-                bitrate: 8_000_000,
-                framerate: fps,
-            });
-            if (support.supported) { chosen = c; break; }
-        } catch { /* skip */ }
+
+/**
+ * Find an encoder configuration: the preferred format first, then the rest
+ * in 'auto' order. A format whose encoder rejects the rate mode is tried
+ * again at a variable bitrate before moving on.
+ * @returns {Promise<{ format: string, container: 'mp4'|'webm', rateMode: string, config: object }|null>}
+ */
+async function negotiateVideoCodec({ width, height, fps, codec = DEFAULT_VIDEO_CODEC, rateMode = DEFAULT_VIDEO_RATE_MODE, bitrate }) {
+    const formats = Object.keys(VIDEO_FORMATS);
+    const order = VIDEO_FORMATS[codec] ? [codec, ...formats.filter(f => f !== codec)] : formats;
+    const modes = rateMode === 'variable' ? ['variable'] : [rateMode, 'variable'];
+    for (const format of order) {
+        for (const mode of modes) {
+            for (const c of VIDEO_FORMATS[format].codecs) {
+                const config = {
+                    codec: c,
+                    width,
+                    height,
+                    framerate: fps,
+                    latencyMode: 'quality',
+                    bitrateMode: mode === 'quality' ? 'quantizer' : mode,
+                    ...(mode === 'quality' ? {} : { bitrate }),
+                };
+                try {
+                    const support = await VideoEncoder.isConfigSupported(config);
+                    if (support.supported) return { format, container: VIDEO_FORMATS[format].container, rateMode: mode, config };
+                } catch { /* skip */ }
+            }
+        }
     }
+    return null;
+}
 
+async function _exportViaWebCodecs({ openFrames, width: W, height: H, totalFrames, frameDurationUs, fps, durationMs, seed, video, audio, onProgress, isCancelled }) {
+    const {
+        codec, rateMode, bitrate = DEFAULT_VIDEO_BITRATE, quality = DEFAULT_VIDEO_QUALITY, keyframeSec = DEFAULT_KEYFRAME_SEC,
+    } = video || {};
+    const chosen = await negotiateVideoCodec({ width: W, height: H, fps, codec, rateMode, bitrate });
     if (!chosen) return null;
+    if (codec && codec !== 'auto' && chosen.format !== codec) console.warn(`No ${codec} encoder available, exporting ${chosen.format}`);
+
+    const quantizer = chosen.rateMode === 'quality'
+        ? Math.round((1 - Math.min(Math.max(quality, 0), 100) / 100) * VIDEO_FORMATS[chosen.format].maxQuantizer)
+        : null;
+    const keyInterval = Math.max(1, Math.round(fps * keyframeSec));
+
+    let sound = null;
+    if (audio?.buffer) {
+        try {
+            sound = await encodeAudioTrack(audio.buffer, durationMs, audio, chosen.container);
+            if (!sound) console.warn('No audio encoder available, exporting without sound');
+        } catch (err) {
+            console.warn('Audio encoding failed, exporting without sound:', err);
+        }
+    }
 
-    const target = new ArrayBufferTarget();
-    const muxer = new Muxer({
+    const target = chosen.container === 'mp4' ? new ArrayBufferTarget() : null;
+    const muxer = target ? new Muxer({
         target,
         video: {
-            codec: chosen.muxCodec,
+            codec: chosen.format,
             width: W,
             height: H,
         },
+        // Encoders may prime the audio with a negative first timestamp
+        ...(sound ? { audio: sound.track, firstTimestampBehavior: 'offset' } : {}),
         fastStart: 'in-memory',
+    }) : createWebmMuxer({
+        video: { codec: chosen.format, codecString: chosen.config.codec, width: W, height: H, frameRate: fps },
+        audio: sound?.track,
+        durationMs,
     });
+    for (const { chunk, meta } of sound?.chunks || []) muxer.addAudioChunk(chunk, meta);
 
     const encoder = new VideoEncoder({
         output: (chunk, meta) => { muxer.addVideoChunk(chunk, meta); },
         error: (e) => { console.error('VideoEncoder error:', e); },
     });
 
-    encoder.configure({
-        codec: chosen.codec,
-        width: W,
-        height: H,
-        bitrate: 8_000_000,
-        framerate: fps,
-        latencyMode: 'quality',
-    });
+    encoder.configure(chosen.config);
 
     try {
-        for (let f = 0; f < totalFrames; f++) {
+        for await (const { index: f, image } of openFrames()) {
+            if (isCancelled?.()) {
+                encoder.close();
+                return null;
+            }
+
             const timestamp = f * frameDurationUs;
-            const frame = new VideoFrame(frames[f], { timestamp, duration: frameDurationUs });
+            const frame = new VideoFrame(image, { timestamp, duration: frameDurationUs });
 
-            const isKey = (f % (fps * 2) === 0);
-            encoder.encode(frame, { keyFrame: isKey });
+            const isKey = (f % keyInterval === 0);
+            encoder.encode(frame, quantizer === null
+                ? { keyFrame: isKey }
+                : { keyFrame: isKey, [chosen.format]: { quantizer } });
             frame.close();
 
             onProgress?.(f / totalFrames);
 
+            // Backpressure: a streamed source must not pile up inside the encoder queue
+            while (encoder.encodeQueueSize > 4) await new Promise(r => setTimeout(r, 1));
             if ((f & 7) === 7) await new Promise(r => setTimeout(r, 0));
         }
 
         await encoder.flush();
         encoder.close();
-        muxer.finalize();
-
-        const { buffer } = target;
-        const blob = new Blob([buffer], { type: 'video/mp4' });
+        // mp4-muxer writes into its target; the WebM muxer returns the file
+        const bytes = muxer.finalize();
+        const blob = new Blob([target ? target.buffer : bytes], { type: `video/${chosen.container}` });
 
         if (blob.size < 1024) return null;
 
-        return { kind: 'video', blob, ext: 'mp4', fps, durationMs, seed, totalFrames };
+        return {
+            kind: 'video', blob, ext: chosen.container, fps, durationMs, seed, totalFrames,
+            video: {
+                codec: chosen.config.codec,
+                format: chosen.format,
+                container: chosen.container,
+                rateMode: chosen.rateMode,
+                bitrate: quantizer === null ? bitrate : null,
+                quantizer,
+                keyframeSec: +(keyInterval / fps).toFixed(3),
+            },
+            audio: !!sound,
+        };
 
     } catch (err) {
         console.warn('WebCodecs export failed, falling back to PNG frames:', err);
@@ -269,26 +951,31 @@ async function _exportBufferViaWebCodecs({ frames, canvas, totalFrames, frameDur
 }
 
 
-async function _exportBufferViaPng({ frames, canvas, totalFrames, fps, durationMs, seed, onProgress }) {
-    // Draw each ImageBitmap to a temp canvas and convert to PNG blob
+async function _exportViaPng({ openFrames, archive, width, height, totalFrames, fps, durationMs, seed, onProgress, isCancelled }) {
+    // Draw each frame to a temp canvas and add it to the archive as a PNG
+    // straight away: nothing is kept here, and the ZIP references the blob
+    // (which the browser may page out) rather than copying it.
     const tmpCanvas = document.createElement('canvas');
-    tmpCanvas.width = canvas.width;
-    tmpCanvas.height = canvas.height;
+    tmpCanvas.width = width;
+    tmpCanvas.height = height;
     const tmpCtx = tmpCanvas.getContext('2d');
 
-    const pngFrames = [];
+    let frameCount = 0;
+
+    for await (const { index: f, image } of openFrames()) {
+        if (isCancelled?.()) return null;
 
-    for (let f = 0; f < totalFrames; f++) {
         tmpCtx.clearRect(0, 0, tmpCanvas.width, tmpCanvas.height);
-        tmpCtx.drawImage(frames[f], 0, 0);
+        tmpCtx.drawImage(image, 0, 0);
 
         const blob = await new Promise(r => tmpCanvas.toBlob(r, 'image/png'));
-        pngFrames.push({ index: f, blob });
+        await archive.zip.addFile(`${archive.base}/frames/frame_${String(f).padStart(5, '0')}.png`, blob);
+        frameCount++;
 
         onProgress?.(f / totalFrames);
 
         await new Promise(r => setTimeout(r, 0));
     }
 
-    return { kind: 'frames', frames: pngFrames, fps, durationMs, seed, totalFrames };
+    return { kind: 'frames', frameCount, fps, durationMs, seed, totalFrames };
 }
@@ -0,0 +1,311 @@
+/**
+ * Audio-reactive modulation.
+ *
+ * A local audio file is decoded through an OfflineAudioContext (no playback,
+ * no network) and reduced to a few features sampled FEATURE_RATE times a
+ * second, each normalised to 0..1:
+ *
+ * - energy:   RMS loudness
+ * - centroid: spectral centroid (brightness), on a log scale 100 Hz – 8 kHz
+ * - onsets:   note / beat attacks from spectral flux, as spikes that decay
+ *             over ONSET_DECAY_MS
+ *
+ * Routes map a feature onto an aspect offset ({ feature, aspect, amount },
+ * amount in -1..1) added on top of the landmark curves at the frame's time
+ * in the video. The same audio is muxed into the MP4 export (see
+ * encodeAudioTrack).
+ *
+ * Alignment ({ offsetMs, fit }) places the file against the video: playback
+ * starts `offsetMs` into the file, and a file that runs out before the video
+ * either falls silent ('trim') or repeats from the offset ('loop').
+ * Modulation and the exported track both follow it.
+ */
+
+import { clamp01 } from './prng.js';
+import { ASPECT_KEYS } from './interpolation.js';
+
+export const AUDIO_FEATURES = ['energy', 'centroid', 'onsets'];
+
+/** Energy brightens, onsets add tension spikes. */
+export const DEFAULT_AUDIO_ROUTES = [
+    { feature: 'energy', aspect: 'radiance', amount: 0.3 },
+    { feature: 'onsets', aspect: 'tension', amount: 0.25 },
+];
+
+/** How a file shorter than the animation is fitted to it. */
+export const AUDIO_FITS = ['trim', 'loop'];
+export const DEFAULT_AUDIO_FIT = 'trim';
+
+/** Feature samples per second. */
+export const FEATURE_RATE = 100;
+
+/** Decode rate: both AAC and Opus encoders accept it. */
+const DECODE_SAMPLE_RATE = 48_000;
+const WINDOW_SIZE = 2048;
+const ONSET_DECAY_MS = 150;
+/** Flux must exceed the local median by this factor (plus a floor) to count. */
+const ONSET_THRESHOLD = 1.5;
+const ONSET_WINDOW = 10;            // feature samples either side for the local median
+const CENTROID_MIN_HZ = 100;
+const CENTROID_MAX_HZ = 8000;
+
+/**
+ * Decode an audio file (WAV, MP3, OGG, … whatever the browser supports).
+ * @param {Blob} file
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeAudioFile(file) {
+    const data = await file.arrayBuffer();
+    const ctx = new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+    return ctx.decodeAudioData(data);
+}
+
+/** In-place radix-2 FFT; re/im lengths must be a power of two. */
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+        const ang = -2 * Math.PI / len;
+        const wr = Math.cos(ang);
+        const wi = Math.sin(ang);
+        for (let i = 0; i < n; i += len) {
+            let cr = 1;
+            let ci = 0;
+            for (let k = 0; k < len / 2; k++) {
+                const a = i + k;
+                const b = a + len / 2;
+                const tr = re[b] * cr - im[b] * ci;
+                const ti = re[b] * ci + im[b] * cr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+                const next = cr * wr - ci * wi;
+                ci = cr * wi + ci * wr;
+                cr = next;
+            }
+        }
+    }
+}
+
+/** Value below which `fraction` of the samples fall. */
+function percentile(values, fraction) {
+    const sorted = Float32Array.from(values).sort();
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))] || 0;
+}
+
+/**
+ * Reduce decoded audio to per-sample features.
+ * @param {AudioBuffer} buffer - anything with sampleRate, length, numberOfChannels, getChannelData()
+ * @returns {{ rate: number, durationMs: number, energy: Float32Array, centroid: Float32Array, onsets: Float32Array }}
+ */
+export function analyzeAudio(buffer) {
+    const { sampleRate, length, numberOfChannels } = buffer;
+    const mono = new Float32Array(length);
+    for (let c = 0; c < numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < length; i++) mono[i] += data[i] / numberOfChannels;
+    }
+
+    const hop = sampleRate / FEATURE_RATE;
+    const count = Math.max(1, Math.ceil(length / hop));
+    const rms = new Float32Array(count);
+    const centroid = new Float32Array(count);
+    const flux = new Float32Array(count);
+
+    const hann = new Float32Array(WINDOW_SIZE);
+    for (let i = 0; i < WINDOW_SIZE; i++) hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (WINDOW_SIZE - 1));
+    const re = new Float32Array(WINDOW_SIZE);
+    const im = new Float32Array(WINDOW_SIZE);
+    const bins = WINDOW_SIZE / 2;
+    let prevMag = new Float32Array(bins);
+    let mag = new Float32Array(bins);
+    const logMin = Math.log(CENTROID_MIN_HZ);
+    const logSpan = Math.log(CENTROID_MAX_HZ) - logMin;
+
+    for (let f = 0; f < count; f++) {
+        // Window centred on the sample's time
+        const start = Math.round(f * hop) - WINDOW_SIZE / 2;
+        let sumSq = 0;
+        for (let i = 0; i < WINDOW_SIZE; i++) {
+            const s = start + i >= 0 && start + i < length ? mono[start + i] : 0;
+            sumSq += s * s;
+            re[i] = s * hann[i];
+            im[i] = 0;
+        }
+        rms[f] = Math.sqrt(sumSq / WINDOW_SIZE);
+
+        fft(re, im);
+        let weighted = 0;
+        let total = 0;
+        let rise = 0;
+        for (let k = 1; k < bins; k++) {
+            mag[k] = Math.hypot(re[k], im[k]);
+            weighted += k * mag[k];
+            total += mag[k];
+            rise += Math.max(0, mag[k] - prevMag[k]);
+        }
+        const hz = total > 1e-9 ? (weighted / total) * sampleRate / WINDOW_SIZE : 0;
+        centroid[f] = hz > 0 ? clamp01((Math.log(Math.max(hz, CENTROID_MIN_HZ)) - logMin) / logSpan) : 0;
+        flux[f] = rise;
+        [prevMag, mag] = [mag, prevMag];
+    }
+
+    // Loudness relative to the loud parts of this file, not to full scale
+    const energyRef = percentile(rms, 0.95) || 1;
+    const energy = rms.map(v => clamp01(v / energyRef));
+
+    // Onsets: local flux peaks well above the running median
+    const onsets = new Float32Array(count);
+    const fluxRef = percentile(flux, 0.99) || 1;
+    const decay = Math.exp(-1000 / (FEATURE_RATE * ONSET_DECAY_MS));
+    let level = 0;
+    for (let f = 0; f < count; f++) {
+        level *= decay;
+        const lo = Math.max(0, f - ONSET_WINDOW);
+        const hi = Math.min(count, f + ONSET_WINDOW + 1);
+        const median = percentile(flux.subarray(lo, hi), 0.5);
+        const peak = flux[f] >= (flux[f - 1] ?? 0) && flux[f] > (flux[f + 1] ?? 0);
+        if (peak && flux[f] > median * ONSET_THRESHOLD + 0.05 * fluxRef) {
+            level = Math.max(level, clamp01(flux[f] / fluxRef));
+        }
+        onsets[f] = level;
+    }
+
+    return { rate: FEATURE_RATE, durationMs: (length / sampleRate) * 1000, energy, centroid, onsets };
+}
+
+/**
+ * Position in the file (ms) heard `ms` into the video, or null where a
+ * trimmed file has run out.
+ * @param {number} ms
+ * @param {number} fileMs - length of the file
+ * @param {{ offsetMs?: number, fit?: string }} [align]
+ */
+export function audioSourceMs(ms, fileMs, { offsetMs = 0, fit = DEFAULT_AUDIO_FIT } = {}) {
+    const span = fileMs - offsetMs;
+    if (span <= 0 || ms < 0) return null;
+    if (fit === 'loop') return offsetMs + (ms % span);
+    return ms < span ? offsetMs + ms : null;
+}
+
+/** A feature at `ms` into the audio (linear between samples, 0 outside it). */
+export function featureAt(features, name, ms) {
+    const values = features[name];
+    const x = (ms / 1000) * features.rate;
+    if (!values || x < 0 || x > values.length - 1) return 0;
+    const i = Math.floor(x);
+    const u = x - i;
+    return u > 0 ? values[i] + (values[i + 1] - values[i]) * u : values[i];
+}
+
+/** Clean stored routes: known features and aspects, amounts in -1..1. */
+export function normalizeAudioRoutes(routes) {
+    if (!Array.isArray(routes)) return [];
+    return routes
+        .filter(r => AUDIO_FEATURES.includes(r?.feature) && ASPECT_KEYS.includes(r?.aspect) && Number.isFinite(r.amount))
+        .map(r => ({ feature: r.feature, aspect: r.aspect, amount: Math.min(Math.max(r.amount, -1), 1) }));
+}
+
+/**
+ * Add the routed audio features to a set of aspects.
+ * @param {object} aspects - from evalAspectsAt()
+ * @param {number} ms - time in the video
+ * @param {{ features: object, routes: Array, offsetMs?: number, fit?: string }} [audio]
+ * @returns {object} modulated copy (the input itself without routes)
+ */
+export function modulateAspects(aspects, ms, audio) {
+    if (!audio?.features || !audio.routes?.length) return aspects;
+    const at = audioSourceMs(ms, audio.features.durationMs, audio);
+    if (at === null) return aspects;
+    const out = { ...aspects };
+    for (const { feature, aspect, amount } of audio.routes) {
+        out[aspect] = clamp01(out[aspect] + amount * featureAt(audio.features, feature, at));
+    }
+    return out;
+}
+
+/* ── Export ── */
+
+/** In order of preference; WebM carries Opus only. */
+const AUDIO_CODECS = [
+    { codec: 'mp4a.40.2', muxCodec: 'aac', containers: ['mp4'] },
+    { codec: 'opus', muxCodec: 'opus', containers: ['mp4', 'webm'] },
+];
+const AUDIO_BITRATE = 160_000;
+const AUDIO_CHUNK_FRAMES = 4096;
+
+/**
+ * Encode `durationMs` of the audio, aligned as for modulation, for the
+ * video's audio track. Encoding happens before the muxer is created, so a
+ * browser without a usable audio encoder still gets a silent video instead
+ * of a failed export.
+ *
+ * @param {AudioBuffer} buffer
+ * @param {number} durationMs
+ * @param {{ offsetMs?: number, fit?: string }} [align]
+ * @param {'mp4'|'webm'} [container='mp4'] - limits the codecs tried
+ * @returns {Promise<{ track: object, chunks: Array<{ chunk: EncodedAudioChunk, meta: object }> }|null>}
+ *          track is the muxer's `audio` option; null if no encoder is available
+ */
+export async function encodeAudioTrack(buffer, durationMs, align, container = 'mp4') {
+    if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') return null;
+    const { sampleRate } = buffer;
+    const numberOfChannels = Math.min(2, buffer.numberOfChannels);
+
+    let chosen = null;
+    for (const c of AUDIO_CODECS.filter(c => c.containers.includes(container))) {
+        try {
+            const support = await AudioEncoder.isConfigSupported({
+                codec: c.codec, sampleRate, numberOfChannels, bitrate: AUDIO_BITRATE,
+            });
+            if (support.supported) { chosen = c; break; }
+        } catch { /* skip */ }
+    }
+    if (!chosen) return null;
+
+    const chunks = [];
+    let failure = null;
+    const encoder = new AudioEncoder({
+        output: (chunk, meta) => chunks.push({ chunk, meta }),
+        error: (e) => { failure = e; },
+    });
+    encoder.configure({ codec: chosen.codec, sampleRate, numberOfChannels, bitrate: AUDIO_BITRATE });
+
+    const total = Math.round((durationMs / 1000) * sampleRate);
+    const fileMs = (buffer.length / sampleRate) * 1000;
+    const channels = Array.from({ length: numberOfChannels }, (_, c) => buffer.getChannelData(c));
+    for (let offset = 0; offset < total; offset += AUDIO_CHUNK_FRAMES) {
+        const frames = Math.min(AUDIO_CHUNK_FRAMES, total - offset);
+        const planar = new Float32Array(frames * numberOfChannels);
+        for (let i = 0; i < frames; i++) {
+            const at = audioSourceMs(((offset + i) / sampleRate) * 1000, fileMs, align);
+            if (at === null) continue;
+            const src = Math.min(Math.round((at / 1000) * sampleRate), buffer.length - 1);
+            for (let c = 0; c < numberOfChannels; c++) planar[c * frames + i] = channels[c][src];
+        }
+        const data = new AudioData({
+            format: 'f32-planar', sampleRate, numberOfFrames: frames, numberOfChannels,
+            timestamp: Math.round((offset / sampleRate) * 1_000_000), data: planar,
+        });
+        encoder.encode(data);
+        data.close();
+    }
+
+    try {
+        await encoder.flush();
+    } finally {
+        if (encoder.state !== 'closed') encoder.close();
+    }
+    if (failure) throw failure;
+
+    return { track: { codec: chosen.muxCodec, numberOfChannels, sampleRate }, chunks };
+}
@@ -0,0 +1,132 @@
+/**
+ * Drawing backend interface + the default Canvas2D implementation.
+ *
+ * The renderer never touches a 2D context directly; it issues stateless
+ * calls against a backend. Every call carries its own paint and composite
+ * mode, so a backend needs no save/restore bookkeeping:
+ *
+ *   width, height                                   output size in pixels
+ *   beginFrame({ width, height, x, y })             start drawing in frame coords
+ *   endFrame()                                      end of vector drawing
+ *   fillRect(x, y, w, h, paint, op)
+ *   fillCircle(cx, cy, r, paint, op)
+ *   fillPath(points, closed, paint, op)             points = [x0, y0, x1, y1, …]
+ *   strokePath(points, closed, paint, lineWidth, cap, op)
+ *   grain(seed, amount, frame, blend)               per-pixel noise pass; blend
+ *                                                   { seed, t } crossfades in a second field
+ *
+ * paint is a CSS colour string or a radialGradient() descriptor.
+ * op is a canvas composite name: 'source-over' | 'screen' | 'lighter'.
+ */
+
+import { mulberry32At } from './prng.js';
+
+/**
+ * Backend-neutral radial gradient descriptor (canvas createRadialGradient semantics).
+ * @param {Array<[number, string]>} stops - [offset, colour] pairs
+ */
+export function radialGradient(x0, y0, r0, x1, y1, r1, stops) {
+    return { type: 'radial', x0, y0, r0, x1, y1, r1, stops };
+}
+
+/**
+ * Per-pixel grain on RGBA data. One draw per pixel in frame row-major
+ * order; each row seeks the generator to its frame offset, so a tile's grain
+ * matches the same region of a full-frame render.
+ *
+ * @param {Uint8ClampedArray} d - RGBA pixels, w × h
+ * @param {number} w
+ * @param {number} h
+ * @param {number} seed
+ * @param {number} amount
+ * @param {{ width: number, x: number, y: number }} frame
+ * @param {{ seed: number, t: number }} [blend] - mix in a second seed's field,
+ *        t of the way (0..1). The weights are normalised to keep the grain's
+ *        contrast, so a morph fades one field into the other without a pop.
+ */
+export function applyGrain(d, w, h, seed, amount, frame, blend = null) {
+    const a = amount * 255;
+    const t = blend ? blend.t : 0;
+    const norm = Math.hypot(1 - t, t);
+    const wa = (1 - t) / norm * a;
+    const wb = t / norm * a;
+    for (let y = 0; y < h; y++) {
+        const offset = (frame.y + y) * frame.width + frame.x;
+        const rng = mulberry32At(seed, offset);
+        const rngB = wb > 0 ? mulberry32At(blend.seed, offset) : null;
+        for (let i = y * w * 4, end = i + w * 4; i < end; i += 4) {
+            const n = (rng() * 2 - 1) * wa + (rngB ? (rngB() * 2 - 1) * wb : 0);
+            d[i] = Math.max(0, Math.min(255, d[i] + n));
+            d[i + 1] = Math.max(0, Math.min(255, d[i + 1] + n));
+            d[i + 2] = Math.max(0, Math.min(255, d[i + 2] + n));
+        }
+    }
+}
+
+export function createCanvas2DBackend(canvas, ctx) {
+
+    function paintStyle(paint) {
+        if (typeof paint === 'string') return paint;
+        const g = ctx.createRadialGradient(paint.x0, paint.y0, paint.r0, paint.x1, paint.y1, paint.r1);
+        for (const [offset, color] of paint.stops) g.addColorStop(offset, color);
+        return g;
+    }
+
+    function tracePath(points, closed) {
+        ctx.beginPath();
+        ctx.moveTo(points[0], points[1]);
+        for (let i = 2; i < points.length; i += 2) ctx.lineTo(points[i], points[i + 1]);
+        if (closed) ctx.closePath();
+    }
+
+    return {
+        get width() { return canvas.width; },
+        get height() { return canvas.height; },
+
+        beginFrame(frame) {
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, -frame.x, -frame.y);
+        },
+
+        endFrame() {
+            ctx.restore();
+        },
+
+        fillRect(x, y, w, h, paint, op) {
+            ctx.globalCompositeOperation = op;
+            ctx.fillStyle = paintStyle(paint);
+            ctx.fillRect(x, y, w, h);
+        },
+
+        fillCircle(cx, cy, r, paint, op) {
+            ctx.globalCompositeOperation = op;
+            ctx.fillStyle = paintStyle(paint);
+            ctx.beginPath();
+            ctx.arc(cx, cy, r, 0, Math.PI * 2);
+            ctx.fill();
+        },
+
+        fillPath(points, closed, paint, op) {
+            ctx.globalCompositeOperation = op;
+            ctx.fillStyle = paintStyle(paint);
+            tracePath(points, closed);
+            ctx.fill();
+        },
+
+        strokePath(points, closed, paint, lineWidth, cap, op) {
+            ctx.globalCompositeOperation = op;
+            ctx.strokeStyle = paintStyle(paint);
+            ctx.lineWidth = lineWidth;
+            ctx.lineCap = cap;
+            tracePath(points, closed);
+            ctx.stroke();
+        },
+
+        grain(seed, amount, frame, blend) {
+            const W = canvas.width, H = canvas.height;
+            const img = ctx.getImageData(0, 0, W, H);
+            applyGrain(img.data, W, H, seed, amount, frame, blend);
+            ctx.putImageData(img, 0, 0);
+        },
+    };
+}
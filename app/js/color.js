@@ -0,0 +1,57 @@
+/**
+ * CSS colour string parsing for non-canvas outputs.
+ * Understands the forms the renderer emits: hsl()/hsla(), rgb()/rgba() and #hex.
+ */
+
+function hslToRgb(h, s, l) {
+    h = ((h % 360) + 360) % 360 / 360;
+    s = Math.max(0, Math.min(1, s));
+    l = Math.max(0, Math.min(1, l));
+    if (s === 0) return [l * 255, l * 255, l * 255];
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const hue = (t) => {
+        t = (t + 1) % 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    return [hue(h + 1 / 3) * 255, hue(h) * 255, hue(h - 1 / 3) * 255];
+}
+
+/**
+ * Parse a CSS colour string.
+ * @param {string} str
+ * @returns {{ r: number, g: number, b: number, a: number }} channels 0–255, alpha 0–1
+ */
+export function parseColor(str) {
+    const s = String(str).trim().toLowerCase();
+
+    if (s[0] === '#') {
+        const hex = s.length === 4
+            ? s.slice(1).split('').map(c => c + c).join('')
+            : s.slice(1, 7);
+        const n = parseInt(hex, 16);
+        return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255, a: 1 };
+    }
+
+    const m = s.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (!m) return { r: 0, g: 0, b: 0, a: 1 };
+
+    const parts = m[2].split(/[\s,/]+/).filter(Boolean);
+    const num = (v) => parseFloat(v);
+    const a = parts.length > 3 ? Math.max(0, Math.min(1, num(parts[3]))) : 1;
+
+    if (m[1].startsWith('rgb')) {
+        return { r: num(parts[0]), g: num(parts[1]), b: num(parts[2]), a };
+    }
+    const [r, g, b] = hslToRgb(num(parts[0]), num(parts[1]) / 100, num(parts[2]) / 100);
+    return { r, g, b, a };
+}
+
+/** Format channels as #rrggbb (alpha is carried separately). */
+export function toHex({ r, g, b }) {
+    const h = (v) => Math.round(Math.max(0, Math.min(255, v))).toString(16).padStart(2, '0');
+    return `#${h(r)}${h(g)}${h(b)}`;
+}
@@ -0,0 +1,236 @@
+/**
+ * Loop continuity diagnostics.
+ *
+ * A looping animation promises no seam: PRE_ROLL_FRAMES give frame 0 its
+ * motion-blur history and the closed spline meets itself at the wrap. This
+ * checks that promise across a whole frame buffer, from two sides:
+ *
+ * - Motion: aspects sampled at the frame times (the schedule the renderer
+ *   uses). Flags clamp kinks (a spline overshoot flattened at 0 or 1, so the
+ *   aspect stops dead), steps in the integer counts the renderer cannot
+ *   blend away (nodeCount, shardLayers) and spikes in aspect velocity.
+ * - Pixels: a small luma thumbnail per rendered frame (frameThumbnail).
+ *   Flags frame-to-frame deltas that spike against their neighbours, and
+ *   compares the last frame with the one playback wraps back to. A seam
+ *   spike where the motion is smooth is put down to the motion-blur warm-up.
+ *
+ * The report is plain data, for the timeline and manifest.json.
+ */
+
+import { loopStartT } from './interpolation.js';
+import { deriveParams } from './params.js';
+import { ANIM_FPS, frameSchedule, scheduledAspects, totalFrameCount } from './animation.js';
+
+/** Thumbnail width in samples; height follows the frame's aspect ratio. */
+export const THUMB_WIDTH = 48;
+
+/** A delta this many times the mean of its neighbours counts as a jump. */
+const SPIKE_RATIO = 2.5;
+/** Deltas below these are too small to see, whatever their ratio. */
+const MIN_PIXEL_DELTA = 0.005;
+const MIN_SPEED = 0.002;
+/** Per-frame aspect change that makes stopping dead at a clamp visible. */
+const KINK_SPEED = 0.004;
+/**
+ * Score cost of each kink: a clamp stop is not blended and has no spike
+ * ratio behind it. Count steps cost nothing, as the renderer fades the
+ * boundary element; jumps and seams already set the ratio.
+ */
+const KINK_PENALTY = 0.1;
+
+/** Integer counts that restructure the layout when they step (see renderer.js). */
+const COUNTS = {
+    nodeCountF: 'node count',
+    shardLayersF: 'shard layers',
+};
+
+/**
+ * Reduce a frame to a luma grid (0..1, premultiplied by alpha) for pixel
+ * deltas. Box-averages, so any frame size gives a comparable thumbnail.
+ * @param {Uint8ClampedArray} rgba
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float32Array} THUMB_WIDTH × round(THUMB_WIDTH * height / width) samples
+ */
+export function frameThumbnail(rgba, width, height) {
+    const tw = Math.min(THUMB_WIDTH, width);
+    const th = Math.max(1, Math.round(tw * height / width));
+    const sums = new Float32Array(tw * th);
+    const counts = new Uint32Array(tw * th);
+    for (let y = 0; y < height; y++) {
+        const row = Math.min(Math.floor(y * th / height), th - 1) * tw;
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const cell = row + Math.min(Math.floor(x * tw / width), tw - 1);
+            sums[cell] += (0.2126 * rgba[i] + 0.7152 * rgba[i + 1] + 0.0722 * rgba[i + 2]) * rgba[i + 3] / (255 * 255);
+            counts[cell]++;
+        }
+    }
+    for (let c = 0; c < sums.length; c++) sums[c] /= counts[c] || 1;
+    return sums;
+}
+
+/**
+ * frameThumbnail() of each frame in a buffer (browser only).
+ * @param {Array<ImageBitmap|HTMLCanvasElement>} images - same-size frames
+ * @returns {Float32Array[]}
+ */
+export function imageThumbnails(images) {
+    if (images.length === 0) return [];
+    const { width, height } = images[0];
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.min(THUMB_WIDTH, width);
+    canvas.height = Math.max(1, Math.round(canvas.width * height / width));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingQuality = 'high';
+    return images.map((image) => {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return frameThumbnail(ctx.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height);
+    });
+}
+
+function meanAbsDelta(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+    return sum / a.length;
+}
+
+/** How far `value` stands out from its neighbours (1 = in line with them). */
+function spikeRatio(value, before, after, floor) {
+    if (value < floor) return 1;
+    return value / Math.max(floor, (before + after) / 2);
+}
+
+/**
+ * Check a rendered (or about to be rendered) animation for discontinuities.
+ *
+ * @param {Array} landmarks - ordered landmark objects with .aspects (as for renderFrameStream)
+ * @param {object} opts
+ * @param {number} opts.durationMs
+ * @param {number} [opts.fps=24]
+ * @param {string} [opts.interpolation]
+ * @param {object} [opts.series]
+ * @param {object} [opts.lanes]
+ * @param {string} [opts.playback='loop']
+ * @param {number} [opts.introLandmarks]
+ * @param {object} [opts.audio] - audio modulation (see modulateAspects)
+ * @param {Float32Array[]} [opts.thumbs] - frameThumbnail() of each buffered frame, in order
+ * @param {number} [opts.thumbStep=1] - frames between thumbnails (decimated preview buffers)
+ * @returns {{
+ *   score: number,
+ *   seam: number|null,
+ *   flags: { frame: number, tNorm: number, kind: string, detail: string }[]
+ * }} score is 1 when no change (in the aspects or the pixels) stands out
+ *    against its neighbours and no kink is flagged; it falls towards 0 with
+ *    the worst spike and with each kink (count flags are informational);
+ *    seam is the mean luma delta across the wrap (null for a one-shot, or
+ *    without thumbnails). Flag tNorms are timeline positions (frame / totalFrames).
+ */
+export function analyzeContinuity(landmarks, opts) {
+    const { durationMs, fps = ANIM_FPS, thumbs, thumbStep = 1 } = opts;
+    const totalFrames = totalFrameCount(durationMs, fps);
+    const loopStart = loopStartT(landmarks, durationMs, opts);
+    // The frame playback wraps back to (see the controller's frameIndexAt)
+    const wrapFrame = loopStart === null ? null : Math.min(Math.floor(loopStart * totalFrames + 1e-6), totalFrames - 1);
+
+    const flags = [];
+    const flag = (frame, kind, detail) => flags.push({ frame, tNorm: frame / totalFrames, kind, detail });
+
+    /* ── Motion ── */
+
+    const samples = [];
+    for (const entry of frameSchedule(totalFrames, opts.playback)) {
+        if (entry.index < 0) continue;
+        const aspects = scheduledAspects(entry, totalFrames, landmarks, opts);
+        samples.push({ aspects, params: deriveParams(aspects, () => 0.5) });
+    }
+    const next = (f) => (f + 1 < totalFrames ? f + 1 : wrapFrame);
+    const prev = (f) => (f > 0 ? f - 1 : (wrapFrame === 0 ? totalFrames - 1 : null));
+    const pinned = (v) => v <= 0 || v >= 1;
+
+    // speeds[f]: largest aspect change from frame f to the one after it
+    const speeds = samples.map((s, f) => {
+        const g = next(f);
+        if (g === null) return 0;
+        let max = 0;
+        for (const [k, v] of Object.entries(s.aspects)) max = Math.max(max, Math.abs(samples[g].aspects[k] - v));
+        return max;
+    });
+
+    let motionWorst = 1;
+    for (let f = 0; f < totalFrames; f++) {
+        const g = next(f);
+        if (g === null || totalFrames < 3) break;
+        // Outside an open path the aspects are at rest
+        const before = prev(f) === null ? 0 : speeds[prev(f)];
+        const after = next(g) === null ? 0 : speeds[g];
+        const ratio = spikeRatio(speeds[f], before, after, MIN_SPEED);
+        motionWorst = Math.max(motionWorst, ratio);
+        if (ratio > SPIKE_RATIO) flag(g, 'jump', `aspects change ${ratio.toFixed(1)}× faster than around it`);
+
+        const steps = [];
+        for (const [key, label] of Object.entries(COUNTS)) {
+            const from = Math.floor(samples[f].params[key]);
+            const to = Math.floor(samples[g].params[key]);
+            if (from !== to) steps.push(`${label} ${from} → ${to}`);
+        }
+        if (steps.length) flag(g, 'count', steps.join(', '));
+
+        // Entering or leaving a clamp at speed: the aspect stops (or starts) dead.
+        // A jump onto the bound is already flagged as one.
+        if (ratio > SPIKE_RATIO) continue;
+        const h = next(g);
+        const e = prev(f);
+        for (const [k, v] of Object.entries(samples[g].aspects)) {
+            const was = samples[f].aspects[k];
+            if (Math.abs(v - was) <= KINK_SPEED) continue;
+            if (!pinned(was) && pinned(v) && h !== null && samples[h].aspects[k] === v) {
+                flag(g, 'kink', `${k} clamps at ${v}`);
+            } else if (pinned(was) && !pinned(v) && e !== null && samples[e].aspects[k] === was) {
+                flag(g, 'kink', `${k} leaves the clamp at ${was}`);
+            }
+        }
+    }
+
+    /* ── Pixels ── */
+
+    let seam = null;
+    let pixelWorst = 1;
+    if (thumbs && thumbs.length > 2) {
+        const last = thumbs.length - 1;
+        const deltas = thumbs.map((t, i) => (i > 0 ? meanAbsDelta(t, thumbs[i - 1]) : 0));
+        const wrapThumb = wrapFrame === null ? null : Math.min(Math.round(wrapFrame / thumbStep), last);
+
+        for (let i = 1; i <= last; i++) {
+            const before = i > 1 ? deltas[i - 1] : (wrapThumb === 0 ? meanAbsDelta(thumbs[0], thumbs[last]) : deltas[i + 1]);
+            const after = i < last ? deltas[i + 1] : deltas[i - 1];
+            const ratio = spikeRatio(deltas[i], before, after, MIN_PIXEL_DELTA);
+            pixelWorst = Math.max(pixelWorst, ratio);
+            if (ratio > SPIKE_RATIO) flag(i * thumbStep, 'jump', `frame changes ${ratio.toFixed(1)}× more than its neighbours`);
+        }
+
+        if (wrapThumb !== null) {
+            seam = meanAbsDelta(thumbs[wrapThumb], thumbs[last]);
+            const after = wrapThumb < last ? deltas[wrapThumb + 1] : deltas[last];
+            const ratio = spikeRatio(seam, deltas[last], after, MIN_PIXEL_DELTA);
+            pixelWorst = Math.max(pixelWorst, ratio);
+            if (ratio > SPIKE_RATIO) {
+                // Motion runs smoothly through the wrap: the difference is blur history
+                const smooth = !flags.some(fl => fl.frame === wrapFrame && fl.kind !== 'kink');
+                flag(wrapFrame, smooth ? 'warm-up' : 'seam',
+                    `last → ${wrapFrame === 0 ? 'first' : 'loop start'} frame changes ${ratio.toFixed(1)}× more than its neighbours`);
+            }
+        }
+    }
+
+    flags.sort((a, b) => a.frame - b.frame);
+    // The worst spike on either side, less a share for every kink
+    let score = Math.min(1, SPIKE_RATIO / Math.max(motionWorst, pixelWorst));
+    for (const fl of flags) if (fl.kind === 'kink') score *= 1 - KINK_PENALTY;
+    return {
+        score: +score.toFixed(3),
+        seam: seam === null ? null : +seam.toFixed(5),
+        flags,
+    };
+}
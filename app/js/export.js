@@ -5,8 +5,14 @@
 import { xmur3, mulberry32 } from './prng.js';
 import { deriveParams } from './params.js';
 import { generateTitle, generateAltText, generateAnimAltText } from './text.js';
-import { evalAspectsAt } from './interpolation.js';
-import { ANIM_FPS, MOTION_BLUR_ENABLED, MB_DECAY, MB_ADD } from './animation.js';
+import { evalAspectsAt, landmarkTimes, loopStartT, introLandmarkCount, pathDurationMs, DEFAULT_INTERPOLATION, DEFAULT_EASING, DEFAULT_PLAYBACK } from './interpolation.js';
+import { ANIM_FPS, MOTION_BLUR_ENABLED, MB_DECAY, MB_ADD, DEFAULT_SEED_MODE, landmarkSeed, normalizeMotionBlur } from './animation.js';
+import { DEFAULT_AUDIO_FIT } from './audio.js';
+import { createRenderer } from './renderer.js';
+import { createSvgBackend, escapeXml } from './svg-backend.js';
+import { createZipWriter, crc32 } from './zip-writer.js';
+
+export const PRINT_TILE_SIZE = 2048;
 
 export function downloadBlob(filename, blob) {
     const url = URL.createObjectURL(blob);
@@ -28,39 +34,26 @@ export function canvasToPngBlob(canvas) {
 
 /* ── PNG tEXt chunk injection ── */
 
-function crc32Table() {
-    const t = new Uint32Array(256);
-    for (let n = 0; n < 256; n++) {
-        let c = n;
-        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
-        t[n] = c;
-    }
-    return t;
-}
-
-const CRC_TABLE = crc32Table();
-
-function crc32(buf) {
-    let crc = 0xFFFFFFFF;
-    for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
-    return (crc ^ 0xFFFFFFFF) >>> 0;
+function makePngChunk(type, data) {
+    const chunk = new Uint8Array(4 + 4 + data.length + 4); // length + type + data + crc
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    const crcData = chunk.subarray(4, 4 + 4 + data.length); // type + data
+    view.setUint32(4 + 4 + data.length, crc32(crcData));
+    return chunk;
 }
 
 function makePngTextChunk(keyword, text) {
     const enc = new TextEncoder();
     const kwBytes = enc.encode(keyword);
     const txtBytes = enc.encode(text);
-    const dataLen = kwBytes.length + 1 + txtBytes.length; // keyword + null + text
-    const chunk = new Uint8Array(4 + 4 + dataLen + 4); // length + type + data + crc
-    const view = new DataView(chunk.buffer);
-    view.setUint32(0, dataLen);
-    chunk.set([0x74, 0x45, 0x58, 0x74], 4); // "tEXt"
-    chunk.set(kwBytes, 8);
-    chunk[8 + kwBytes.length] = 0; // null separator
-    chunk.set(txtBytes, 8 + kwBytes.length + 1);
-    const crcData = chunk.subarray(4, 4 + 4 + dataLen); // type + data
-    view.setUint32(4 + 4 + dataLen, crc32(crcData));
-    return chunk;
+    const data = new Uint8Array(kwBytes.length + 1 + txtBytes.length); // keyword + null + text
+    data.set(kwBytes, 0);
+    data[kwBytes.length] = 0; // null separator
+    data.set(txtBytes, kwBytes.length + 1);
+    return makePngChunk('tEXt', data);
 }
 
 /**
@@ -92,11 +85,343 @@ export async function injectPngTextChunks(pngBlob, entries) {
     return new Blob([out], { type: 'image/png' });
 }
 
+/* ── Tiled PNG encoding (beyond browser canvas limits) ── */
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+/**
+ * Encode an RGB PNG band by band without ever holding the full image.
+ * Scanlines are Sub-filtered and deflated through CompressionStream; each
+ * compressed chunk becomes an IDAT chunk, yielded as soon as its band is
+ * written, so the file can be piped on (e.g. into a ZIP) as it is made.
+ *
+ * @param {object} opts
+ * @param {number} opts.width
+ * @param {number} opts.height
+ * @param {number} opts.bandHeight - rows delivered per readBand call
+ * @param {function} opts.readBand - async (y, rows) => Uint8ClampedArray RGBA, width × rows
+ * @param {function} [opts.getTextEntries] - returns tEXt { keyword, text }[];
+ *        called after the last band and written before IEND
+ * @returns {AsyncGenerator<Uint8Array>} the PNG file, in order
+ */
+export async function* encodePngStream({ width, height, bandHeight, readBand, getTextEntries }) {
+    if (typeof CompressionStream === 'undefined') throw new Error('CompressionStream not supported');
+
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    ihdr[8] = 8;  // bit depth
+    ihdr[9] = 2;  // colour type: RGB
+    // compression, filter, interlace: 0
+
+    yield PNG_SIGNATURE;
+    yield makePngChunk('IHDR', ihdr);
+
+    const cs = new CompressionStream('deflate');
+    const writer = cs.writable.getWriter();
+    const idat = [];
+    const pump = (async () => {
+        const reader = cs.readable.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            idat.push(makePngChunk('IDAT', value));
+        }
+    })();
+
+    const stride = 1 + width * 3;
+    for (let y = 0; y < height; y += bandHeight) {
+        const rows = Math.min(bandHeight, height - y);
+        const rgba = await readBand(y, rows);
+        const out = new Uint8Array(stride * rows);
+        for (let r = 0; r < rows; r++) {
+            const o = r * stride;
+            let i = r * width * 4;
+            out[o] = 1; // filter: Sub
+            let pr = 0, pg = 0, pb = 0;
+            for (let x = 0, j = o + 1; x < width; x++, i += 4, j += 3) {
+                const cr = rgba[i], cg = rgba[i + 1], cb = rgba[i + 2];
+                out[j] = (cr - pr) & 0xFF;
+                out[j + 1] = (cg - pg) & 0xFF;
+                out[j + 2] = (cb - pb) & 0xFF;
+                pr = cr; pg = cg; pb = cb;
+            }
+        }
+        await writer.write(out);
+        yield* idat.splice(0);
+    }
+    await writer.close();
+    await pump;
+    yield* idat.splice(0);
+
+    for (const e of getTextEntries?.() ?? []) yield makePngTextChunk(e.keyword, e.text);
+    yield makePngChunk('IEND', new Uint8Array(0));
+}
+
+/**
+ * encodePngStream() collected into a Blob.
+ * @param {object} opts - as for encodePngStream
+ * @returns {Promise<Blob>}
+ */
+export async function encodePngBands(opts) {
+    const parts = [];
+    for await (const part of encodePngStream(opts)) parts.push(part);
+    return new Blob(parts, { type: 'image/png' });
+}
+
+/* ── Animated PNG / WebP ── */
+
+/** A PNG file's chunks as { type, data } (data views into bytes). */
+function readPngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    for (let p = PNG_SIGNATURE.length; p + 8 <= bytes.length;) {
+        const length = view.getUint32(p);
+        const type = String.fromCharCode(...bytes.subarray(p + 4, p + 8));
+        chunks.push({ type, data: bytes.subarray(p + 8, p + 8 + length) });
+        p += 12 + length;
+    }
+    return chunks;
+}
+
+/**
+ * Assemble an APNG from same-size PNG frames. Each frame replaces the last
+ * outright (no disposal, no blending); the first is also the still shown
+ * where APNG is not supported.
+ *
+ * @param {Uint8Array[]} frames - PNG files
+ * @param {object} opts
+ * @param {Array<[number, number]>} opts.delays - per frame, in seconds as [numerator, denominator]
+ * @param {number} [opts.plays=0] - times to play; 0 loops forever
+ * @param {{ keyword: string, text: string }[]} [opts.textEntries] - tEXt chunks
+ * @returns {Blob}
+ */
+export function encodeApng(frames, { delays, plays = 0, textEntries = [] }) {
+    const parts = [PNG_SIGNATURE];
+    let ihdr = null;
+    let sequence = 0;
+
+    frames.forEach((png, i) => {
+        const chunks = readPngChunks(png);
+        const header = chunks.find(c => c.type === 'IHDR')?.data;
+        if (!header) throw new Error('APNG frame is not a PNG');
+        if (!ihdr) {
+            ihdr = header;
+            const actl = new Uint8Array(8);
+            new DataView(actl.buffer).setUint32(0, frames.length);
+            new DataView(actl.buffer).setUint32(4, plays);
+            parts.push(makePngChunk('IHDR', ihdr), makePngChunk('acTL', actl));
+            for (const e of textEntries) parts.push(makePngTextChunk(e.keyword, e.text));
+        } else if (header.some((b, k) => b !== ihdr[k])) {
+            throw new Error('APNG frames differ in size or format');
+        }
+
+        const fctl = new Uint8Array(26);
+        const view = new DataView(fctl.buffer);
+        view.setUint32(0, sequence++);
+        fctl.set(ihdr.subarray(0, 8), 4);     // width, height; x and y offsets stay 0
+        view.setUint16(20, delays[i][0]);
+        view.setUint16(22, delays[i][1]);
+        // dispose_op 0 (none), blend_op 0 (source)
+        parts.push(makePngChunk('fcTL', fctl));
+
+        for (const { type, data } of chunks) {
+            if (type !== 'IDAT') continue;
+            if (i === 0) {
+                parts.push(makePngChunk('IDAT', data));
+            } else {
+                const fdat = new Uint8Array(4 + data.length);
+                new DataView(fdat.buffer).setUint32(0, sequence++);
+                fdat.set(data, 4);
+                parts.push(makePngChunk('fdAT', fdat));
+            }
+        }
+    });
+
+    parts.push(makePngChunk('IEND', new Uint8Array(0)));
+    return new Blob(parts, { type: 'image/apng' });
+}
+
+function riffChunk(type, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length & 1)); // padded to even
+    for (let i = 0; i < 4; i++) chunk[i] = type.charCodeAt(i);
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+}
+
+function setUint24(bytes, offset, v) {
+    bytes[offset] = v & 0xFF;
+    bytes[offset + 1] = (v >> 8) & 0xFF;
+    bytes[offset + 2] = (v >> 16) & 0xFF;
+}
+
+/** A WebP file's chunks after the RIFF header, as { type, data }. */
+function readWebpChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    for (let p = 12; p + 8 <= bytes.length;) {
+        const length = view.getUint32(p + 4, true);
+        chunks.push({ type: String.fromCharCode(...bytes.subarray(p, p + 4)), data: bytes.subarray(p + 8, p + 8 + length) });
+        p += 8 + length + (length & 1);
+    }
+    return chunks;
+}
+
+/** XMP packet carrying a title and description (Dublin Core), for WebP. */
+function xmpPacket(title, description) {
+    const alt = (s) => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(s)}</rdf:li></rdf:Alt>`;
+    return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+        '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+        `<dc:title>${alt(title)}</dc:title><dc:description>${alt(description)}</dc:description>` +
+        '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+}
+
+/**
+ * Assemble an animated WebP from same-size still WebP frames (lossy or
+ * lossless, as the browser encoded them). Each frame replaces the last
+ * (no blending, no disposal).
+ *
+ * @param {Uint8Array[]} frames - WebP files
+ * @param {object} opts
+ * @param {number} opts.width
+ * @param {number} opts.height
+ * @param {number[]} opts.durations - per frame, in ms
+ * @param {number} [opts.loops=0] - times to play; 0 loops forever
+ * @param {{ title: string, description: string }} [opts.text] - written as XMP
+ * @returns {Blob}
+ */
+export function encodeAnimatedWebp(frames, { width, height, durations, loops = 0, text }) {
+    let alpha = false;
+    const anmf = frames.map((webp, i) => {
+        // The image data: VP8 (with ALPH for lossy alpha) or VP8L; the still's VP8X is dropped
+        const data = readWebpChunks(webp).filter(c => c.type === 'ALPH' || c.type === 'VP8 ' || c.type === 'VP8L');
+        if (!data.some(c => c.type !== 'ALPH')) throw new Error('animated WebP frame is not a WebP');
+        const vp8l = data.find(c => c.type === 'VP8L')?.data;
+        if (data.some(c => c.type === 'ALPH') || (vp8l && (vp8l[4] & 0x10))) alpha = true;
+
+        const body = data.map(c => riffChunk(c.type, c.data));
+        const payload = new Uint8Array(16 + body.reduce((n, c) => n + c.length, 0));
+        // X / 2 and Y / 2 stay 0
+        setUint24(payload, 6, width - 1);
+        setUint24(payload, 9, height - 1);
+        setUint24(payload, 12, durations[i]);
+        payload[15] = 0x02;     // do not blend; dispose none
+        let o = 16;
+        for (const c of body) { payload.set(c, o); o += c.length; }
+        return riffChunk('ANMF', payload);
+    });
+
+    const xmp = text ? riffChunk('XMP ', new TextEncoder().encode(xmpPacket(text.title, text.description))) : null;
+
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = 0x02 | (alpha ? 0x10 : 0) | (xmp ? 0x04 : 0);     // animation, alpha, XMP
+    setUint24(vp8x, 4, width - 1);
+    setUint24(vp8x, 7, height - 1);
+
+    const anim = new Uint8Array(6);             // background colour 0 (BGRA)
+    new DataView(anim.buffer).setUint16(4, loops, true);
+
+    const chunks = [riffChunk('VP8X', vp8x), riffChunk('ANIM', anim), ...anmf, ...(xmp ? [xmp] : [])];
+    const size = 4 + chunks.reduce((n, c) => n + c.length, 0);
+    const header = new Uint8Array(12);
+    header.set([0x52, 0x49, 0x46, 0x46], 0);    // RIFF
+    new DataView(header.buffer).setUint32(4, size, true);
+    header.set([0x57, 0x45, 0x42, 0x50], 8);    // WEBP
+    return new Blob([header, ...chunks], { type: 'image/webp' });
+}
+
+/**
+ * Render one profile at an arbitrary size as a tiled PNG stream.
+ * Each band of tiles is rendered through createRenderer on a small canvas
+ * with the `frame` option, so glows, vignette and grain are continuous.
+ *
+ * @param {object} opts
+ * @param {string} opts.seed
+ * @param {object} opts.aspects
+ * @param {number} opts.width
+ * @param {number} opts.height
+ * @param {number} [opts.tileSize]
+ * @param {function} [opts.onProgress] - called with (tilesDone, tilesTotal)
+ * @returns {{ parts: AsyncGenerator<Uint8Array>, meta: function(): object }}
+ *          parts: the PNG file (see encodePngStream); meta: the renderer's
+ *          title / alt text metadata, once the first band is rendered
+ */
+export function renderTiledPng({ seed, aspects, width, height, tileSize = PRINT_TILE_SIZE, onProgress }) {
+    const tileCanvas = document.createElement('canvas');
+    const tileCtx = tileCanvas.getContext('2d', { willReadFrequently: true });
+    const tileRenderer = createRenderer(tileCanvas, tileCtx);
+
+    const cols = Math.ceil(width / tileSize);
+    const total = cols * Math.ceil(height / tileSize);
+    let done = 0;
+    let meta = null;
+
+    const parts = encodePngStream({
+        width,
+        height,
+        bandHeight: tileSize,
+        getTextEntries: () => [
+            { keyword: 'Title', text: meta.title },
+            { keyword: 'Description', text: meta.altText },
+        ],
+        async readBand(y, rows) {
+            const band = new Uint8ClampedArray(width * rows * 4);
+            for (let c = 0; c < cols; c++) {
+                const x = c * tileSize;
+                const cw = Math.min(tileSize, width - x);
+                tileCanvas.width = cw;
+                tileCanvas.height = rows;
+                // Title/alt derive from the full frame, so every tile returns the same meta
+                meta = tileRenderer.renderWith(seed, aspects, { frame: { width, height, x, y } });
+                const tile = tileCtx.getImageData(0, 0, cw, rows).data;
+                for (let r = 0; r < rows; r++) {
+                    band.set(tile.subarray(r * cw * 4, (r + 1) * cw * 4), (r * width + x) * 4);
+                }
+                onProgress?.(++done, total);
+                await new Promise(r => setTimeout(r, 0));
+            }
+            return band;
+        },
+    });
+
+    return { parts, meta: () => meta };
+}
+
+/**
+ * Render one profile as an SVG document with the same geometry as the canvas.
+ * @param {object} opts
+ * @param {string} opts.seed
+ * @param {object} opts.aspects
+ * @param {number} opts.width
+ * @param {number} opts.height
+ * @param {'raster'|'filter'|'none'} [opts.grainMode='raster']
+ * @returns {string}
+ */
+export function renderSvg({ seed, aspects, width, height, grainMode = 'raster' }) {
+    const svg = createSvgBackend(width, height);
+    const meta = createRenderer(svg).renderWith(seed, aspects);
+    return svg.toSvg({ grainMode, title: meta.title, description: meta.altText });
+}
+
 export function safeName(s) {
     return (s || 'seed').replace(/[^a-z0-9_-]+/gi, '_').slice(0, 80);
 }
 
-export function computeKeyframeText(seedForTitles, landmarks) {
+/** Name of the audio file shipped in a bundle whose video has no soundtrack. */
+function audioFileName(name) {
+    const ext = /\.[a-z0-9]{1,5}$/i.exec(name || '')?.[0].toLowerCase() || '';
+    return `audio${ext}`;
+}
+
+/**
+ * keyframes.json entries. `interpolation` (the same for every entry) and
+ * `easing` describe the transition leaving each keyframe, recorded so exports
+ * are reproducible.
+ */
+export function computeKeyframeText(seedForTitles, landmarks, { interpolation = DEFAULT_INTERPOLATION } = {}) {
     const out = [];
     for (const k of landmarks) {
         const seedFn = xmur3(seedForTitles + '::' + k.name);
@@ -115,28 +440,210 @@ export function computeKeyframeText(seedForTitles, landmarks) {
             note: k.note ?? '',
             aspects: k.aspects,
             title,
-            altText: alt
+            altText: alt,
+            interpolation,
+            easing: k.easing || DEFAULT_EASING,
+            ...(interpolation === 'bezier' ? { tangent: k.tangent ?? 1 } : {})
         });
     }
     return out;
 }
 
-export function computeLoopSummaryTitleAlt(seed, landmarks, durationSecs) {
-    const a0 = evalAspectsAt(0.0, landmarks);
+export function computeLoopSummaryTitleAlt(seed, landmarks, durationSecs, { interpolation, series, lanes, playback = DEFAULT_PLAYBACK, introLandmarks } = {}) {
+    const a0 = evalAspectsAt(0.0, landmarks, { durationMs: durationSecs * 1000, interpolation, series, lanes, playback, introLandmarks });
     const seedFn = xmur3(seed + '::bundle');
     const rng = mulberry32(seedFn());
     const title = generateTitle(a0, rng);
 
     const keyframeTexts = computeKeyframeText(seed, landmarks);
-    const altText = generateAnimAltText(landmarks, durationSecs, keyframeTexts);
+    const altText = generateAnimAltText(landmarks, durationSecs, keyframeTexts, {
+        playback,
+        introLandmarks: introLandmarkCount(introLandmarks, landmarks.length),
+    });
 
     return { title, altText };
 }
 
+/* ── Bundle metadata (shared by the browser ZIPs and the batch CLI) ── */
+
+/**
+ * metadata.json for a still bundle.
+ * @param {object} opts
+ * @param {'still'|'print'} opts.kind
+ * @param {object} [opts.extra] - kind-specific fields appended at the end
+ */
+export function buildStillMetadata({ kind, seed, note, aspects, title, width, height, extra = {} }) {
+    return {
+        kind,
+        seed,
+        note,
+        aspects,
+        title,
+        generated_at: new Date().toISOString(),
+        canvas: { width, height },
+        ...extra
+    };
+}
+
+/**
+ * manifest.json for an animation bundle.
+ * @param {object} rec - { kind, ext?, seed, fps, durationMs, totalFrames, video?, audio?, gif?, webLoops? }
+ * @param {object} opts
+ * @param {Array} opts.landmarks - landmarks as rendered (for resolved key timing)
+ * @param {string} [opts.interpolation] - path shape (see INTERPOLATION_MODES)
+ * @param {object} [opts.series] - imported data series (see series.js)
+ * @param {object} [opts.lanes] - automation lanes; recorded only when some are set
+ * @param {string} [opts.playback] - one of PLAYBACK_MODES
+ * @param {number} [opts.introLandmarks] - landmarks played once before the loop ('intro')
+ * @param {string} [opts.seedMode] - one of SEED_MODES; 'morph' records each key's seed
+ * @param {object} [opts.continuity] - analyzeContinuity() report of the rendered frames
+ * @param {object} [opts.audio] - { name, features, routes, offsetMs?, fit? } (see audio.js)
+ * @param {{ apng?: Blob, webp?: Blob }} [opts.webLoops] - the looping APNG / WebP, as assembled
+ * @param {{ name: string, width: number, height: number, fps: number }} [opts.preset] - export preset
+ *        the frames were rendered at (see resolveExportPreset)
+ * @param {object} [opts.motionBlur] - motion blur settings (see normalizeMotionBlur)
+ */
+export function buildAnimManifest(rec, {
+    landmarks, loopLandmarkNames, timeWarpStrength,
+    interpolation = DEFAULT_INTERPOLATION, series = null, lanes = {}, playback = DEFAULT_PLAYBACK, introLandmarks,
+    seedMode = DEFAULT_SEED_MODE, continuity = null, audio = null, webLoops = {}, preset = null, motionBlur,
+}) {
+    const blur = normalizeMotionBlur(motionBlur);
+    const webLoop = (file, blob) => ({
+        file,
+        width: rec.webLoops.width,
+        height: rec.webLoops.height,
+        fps: +(rec.fps / rec.webLoops.step).toFixed(3),
+        frames: rec.webLoops.indices.length,
+        loop: true,
+        bytes: blob.size,
+    });
+    const path = { playback, introLandmarks };
+    const pathMs = pathDurationMs(rec.durationMs, playback);
+    const loopStart = loopStartT(landmarks, rec.durationMs, path);
+    const intro = playback === 'intro' ? introLandmarkCount(introLandmarks, landmarks.length) : 0;
+    return {
+        kind: 'animation',
+        export_kind: rec.kind,
+        seed: rec.seed,
+        seed_mode: seedMode,
+        fps: rec.fps,
+        ...(preset ? { export_preset: { name: preset.name, width: preset.width, height: preset.height, fps: preset.fps } } : {}),
+        duration_ms: rec.durationMs,
+        total_frames: rec.totalFrames,
+        time_warp_strength: timeWarpStrength,
+        interpolation,
+        playback,
+        ...(intro ? { intro_landmarks: intro } : {}),
+        // Where a player should loop back to; null for a one-shot
+        loop_start_ms: loopStart === null ? null : Math.round(loopStart * rec.durationMs),
+        motion_blur: {
+            enabled: MOTION_BLUR_ENABLED,
+            mode: blur.mode,
+            ...(blur.mode === 'shutter'
+                ? { shutter_angle: blur.shutterAngle, samples: blur.samples }
+                : { decay: MB_DECAY, add: MB_ADD }),
+        },
+        landmarks: loopLandmarkNames.slice(),
+        keys: landmarkTimes(landmarks, rec.durationMs, path).map(({ t, hold }, i) => ({
+            name: landmarks[i].name,
+            ...(seedMode === 'morph' ? { seed: landmarkSeed(landmarks[i]) } : {}),
+            at_ms: Math.round(t * pathMs),
+            hold_ms: Math.round(hold * pathMs),
+            easing: landmarks[i].easing || DEFAULT_EASING,
+            ...(interpolation === 'bezier' ? { tangent: landmarks[i].tangent ?? 1 } : {}),
+        })),
+        // Samples are evenly spaced over the path, first row to last, before smoothing
+        ...(series ? {
+            series: {
+                file: series.name,
+                rows: series.rows,
+                smoothing_ms: series.smoothingMs,
+                samples: series.samples,
+            },
+        } : {}),
+        ...(Object.keys(lanes).length ? { lanes } : {}),
+        // The encoder as negotiated; bitrate is null at constant quality (quantizer instead)
+        ...(rec.video ? {
+            video: {
+                file: `animation.${rec.ext}`,
+                codec: rec.video.codec,
+                format: rec.video.format,
+                container: rec.video.container,
+                bitrate_mode: rec.video.rateMode,
+                bitrate: rec.video.bitrate,
+                ...(rec.video.quantizer !== null ? { quantizer: rec.video.quantizer } : {}),
+                keyframe_interval_s: rec.video.keyframeSec,
+            },
+        } : {}),
+        // Alignment: the video starts offset_ms into the file; past its end it is silent or loops (fit).
+        // Without a soundtrack in the video (frames, or no audio encoder) the file ships as `bundled`.
+        ...(audio ? {
+            audio: {
+                file: audio.name,
+                duration_ms: Math.round(audio.features.durationMs),
+                offset_ms: Math.round(audio.offsetMs || 0),
+                fit: audio.fit || DEFAULT_AUDIO_FIT,
+                routes: audio.routes,
+                muxed: !!rec.audio,
+                ...(rec.audio ? {} : { bundled: audioFileName(audio.name) }),
+            },
+        } : {}),
+        // max_bytes: the size target, if any; fits: whether the GIF got under it
+        ...(rec.gif ? {
+            gif: {
+                file: 'animation.gif',
+                width: rec.gif.width,
+                height: rec.gif.height,
+                fps: +rec.gif.fps.toFixed(3),
+                frames: rec.gif.frames,
+                loop: rec.gif.loop,
+                palette: rec.gif.palette,
+                quantizer: rec.gif.quantizer,
+                dither: rec.gif.dither,
+                bytes: rec.gif.bytes,
+                ...(rec.gif.maxBytes ? { max_bytes: rec.gif.maxBytes, fits: rec.gif.fits } : {}),
+            },
+        } : {}),
+        ...(webLoops.apng ? { apng: webLoop('animation.png', webLoops.apng) } : {}),
+        // quality: 'lossless' at 1 (where the browser's WebP encoder honours it), else the lossy quality
+        ...(webLoops.webp ? {
+            webp: {
+                ...webLoop('animation.webp', webLoops.webp),
+                quality: rec.webLoops.webpQuality >= 1 ? 'lossless' : rec.webLoops.webpQuality,
+            },
+        } : {}),
+        ...(continuity ? {
+            continuity: {
+                score: continuity.score,
+                seam_delta: continuity.seam,
+                flags: continuity.flags.map(({ frame, tNorm, kind, detail }) => ({
+                    frame, at_ms: Math.round(tNorm * rec.durationMs), kind, detail,
+                })),
+            },
+        } : {}),
+        generated_at: new Date().toISOString(),
+        files: [
+            ...(rec.kind === 'video' ? [`animation.${rec.ext}`] : ['frames/*']),
+            ...(rec.gif ? ['animation.gif'] : []),
+            ...(webLoops.apng ? ['animation.png'] : []),
+            ...(webLoops.webp ? ['animation.webp'] : []),
+            ...(audio && !rec.audio ? [audioFileName(audio.name)] : []),
+            'title.txt', 'alt-text.txt', 'keyframes.json', 'manifest.json',
+        ]
+    };
+}
+
+export function framesReadme(fps, reason = 'video encoding was not supported on this browser') {
+    return `This export contains a PNG frame sequence because ${reason}.\n` +
+        'You can assemble frames into a video with ffmpeg, e.g.\n' +
+        `ffmpeg -framerate ${fps} -i frame_%05d.png -c:v libx264 -pix_fmt yuv420p out.mp4\n`;
+}
+
 /**
  * Package and download a still image ZIP.
  */
-export async function packageStillZip(canvas, { seed, aspects, note, meta }) {
+export async function packageStillZip(canvas, { seed, aspects, note, meta, svgGrain = 'raster' }) {
     const JSZip = window.JSZip;
     if (!JSZip) throw new Error('JSZip not loaded');
 
@@ -150,19 +657,16 @@ export async function packageStillZip(canvas, { seed, aspects, note, meta }) {
 
     const zip = new JSZip();
     zip.file(`${base}/image.png`, pngBlob);
+    zip.file(`${base}/image.svg`, renderSvg({ seed, aspects, width: canvas.width, height: canvas.height, grainMode: svgGrain }));
     zip.file(`${base}/title.txt`, meta.title + '\n');
     zip.file(`${base}/alt-text.txt`, meta.altText + '\n');
     zip.file(`${base}/note.txt`, (note || '') + '\n');
 
-    const metadata = {
-        kind: 'still',
-        seed,
-        note,
-        aspects,
-        title: meta.title,
-        generated_at: new Date().toISOString(),
-        canvas: { width: canvas.width, height: canvas.height }
-    };
+    const metadata = buildStillMetadata({
+        kind: 'still', seed, note, aspects, title: meta.title,
+        width: canvas.width, height: canvas.height,
+        extra: { svg: { grain: svgGrain } }
+    });
     zip.file(`${base}/metadata.json`, JSON.stringify(metadata, null, 2) + '\n');
 
     const zipBlob = await zip.generateAsync({ type: 'blob' });
@@ -170,60 +674,120 @@ export async function packageStillZip(canvas, { seed, aspects, note, meta }) {
 }
 
 /**
- * Package and download an animation ZIP.
+ * Package and download a print-size still ZIP rendered in tiles.
  */
-export async function packageAnimZip(rec, { landmarks, loopLandmarkNames, timeWarpStrength }) {
-    const JSZip = window.JSZip;
-    if (!JSZip) throw new Error('JSZip not loaded');
-
+export async function packagePrintZip({ seed, aspects, note, width, height, tileSize = PRINT_TILE_SIZE, onProgress }) {
     const ts = toIsoLocalish(new Date());
-    const base = `animation_${safeName(rec.seed)}_${ts}`;
+    const base = `print_${safeName(seed)}_${width}x${height}_${ts}`;
+
+    // The PNG goes into the ZIP band by band as it is encoded, never whole
+    const zip = createZipWriter();
+    const png = renderTiledPng({ seed, aspects, width, height, tileSize, onProgress });
+    await zip.addStream(`${base}/image.png`, png.parts);
+    const meta = png.meta();
+    await zip.addFile(`${base}/title.txt`, meta.title + '\n');
+    await zip.addFile(`${base}/alt-text.txt`, meta.altText + '\n');
+    await zip.addFile(`${base}/note.txt`, (note || '') + '\n');
+
+    const metadata = buildStillMetadata({
+        kind: 'print', seed, note, aspects, title: meta.title, width, height,
+        extra: { tile_size: tileSize }
+    });
+    await zip.addFile(`${base}/metadata.json`, JSON.stringify(metadata, null, 2) + '\n');
+
+    downloadBlob(`${base}.zip`, zip.finish());
+}
+
+/**
+ * Assemble the looping APNG / animated WebP from the stills kept during
+ * export, with the bundle's title and alt text. A format that fails is
+ * left out.
+ * @returns {Promise<{ apng?: Blob, webp?: Blob }>}
+ */
+export async function assembleWebLoops(rec, { title, altText }) {
+    const { indices, png, webp, width, height } = rec.webLoops;
+    const end = (i) => (i + 1 < indices.length ? indices[i + 1] : rec.totalFrames);
+    const bytes = (blobs) => Promise.all(blobs.map(async b => new Uint8Array(await b.arrayBuffer())));
+    const out = {};
+    if (png?.length) {
+        try {
+            out.apng = encodeApng(await bytes(png), {
+                delays: indices.map((f, i) => [end(i) - f, rec.fps]),
+                textEntries: [
+                    { keyword: 'Title', text: title },
+                    { keyword: 'Description', text: altText },
+                ],
+            });
+        } catch (err) {
+            console.warn('APNG assembly failed:', err);
+        }
+    }
+    if (webp?.length) {
+        try {
+            const ms = (f) => Math.round(f * 1000 / rec.fps);
+            out.webp = encodeAnimatedWebp(await bytes(webp), {
+                width,
+                height,
+                durations: indices.map((f, i) => ms(end(i)) - ms(f)),
+                text: { title, description: altText },
+            });
+        } catch (err) {
+            console.warn('Animated WebP assembly failed:', err);
+        }
+    }
+    return out;
+}
 
-    const keyframes = computeKeyframeText(rec.seed, landmarks);
-    const summary = computeLoopSummaryTitleAlt(rec.seed, landmarks, rec.durationMs / 1000);
+/**
+ * Open the ZIP an animation export is written into. It exists before
+ * encoding starts, so the PNG frame fallback adds each frame as it is made
+ * (see exportStreaming's opts.archive); packageAnimZip adds the rest.
+ * @param {string} seed
+ * @returns {{ zip: object, base: string }} zip: a createZipWriter(); base: the folder everything goes in
+ */
+export function openAnimArchive(seed) {
+    return { zip: createZipWriter(), base: `animation_${safeName(seed)}_${toIsoLocalish(new Date())}` };
+}
 
-    const zip = new JSZip();
+/**
+ * Package and download an animation ZIP.
+ * @param {object} rec - exportFromBuffer() / exportStreaming() result
+ * @param {object} opts
+ * @param {{ zip: object, base: string }} opts.archive - the openAnimArchive() the export wrote into
+ */
+export async function packageAnimZip(rec, {
+    archive, landmarks, loopLandmarkNames, timeWarpStrength, interpolation, series, lanes, playback, introLandmarks, seedMode,
+    continuity, audio, preset, motionBlur,
+}) {
+    const { zip, base } = archive;
 
+    const keyframes = computeKeyframeText(rec.seed, landmarks, { interpolation });
+    const summary = computeLoopSummaryTitleAlt(rec.seed, landmarks, rec.durationMs / 1000, { interpolation, series, lanes, playback, introLandmarks });
+
+    // PNG frames are in the archive already, written as they were encoded
     if (rec.kind === 'video') {
-        zip.file(`${base}/animation.${rec.ext}`, rec.blob);
+        await zip.addFile(`${base}/animation.${rec.ext}`, rec.blob);
     } else {
-        const framesDir = `${base}/frames`;
-        for (const fr of rec.frames) {
-            const name = String(fr.index).padStart(5, '0');
-            zip.file(`${framesDir}/frame_${name}.png`, fr.blob);
-        }
-        zip.file(`${base}/frames/README.txt`,
-            'This export contains a PNG frame sequence because video encoding was not supported on this browser.\n' +
-            'You can assemble frames into a video with ffmpeg, e.g.\n' +
-            `ffmpeg -framerate ${rec.fps} -i frame_%05d.png -c:v libx264 -pix_fmt yuv420p out.mp4\n`
-        );
+        await zip.addFile(`${base}/frames/README.txt`, framesReadme(rec.fps));
     }
 
-    zip.file(`${base}/title.txt`, summary.title + '\n');
-    zip.file(`${base}/alt-text.txt`, summary.altText + '\n');
-    zip.file(`${base}/keyframes.json`, JSON.stringify(keyframes, null, 2) + '\n');
+    if (rec.gif) await zip.addFile(`${base}/animation.gif`, rec.gif.blob);
+    const webLoops = rec.webLoops ? await assembleWebLoops(rec, summary) : {};
+    if (webLoops.apng) await zip.addFile(`${base}/animation.png`, webLoops.apng);
+    if (webLoops.webp) await zip.addFile(`${base}/animation.webp`, webLoops.webp);
 
-    const manifest = {
-        kind: 'animation',
-        export_kind: rec.kind,
-        seed: rec.seed,
-        fps: rec.fps,
-        duration_ms: rec.durationMs,
-        total_frames: rec.totalFrames,
-        time_warp_strength: timeWarpStrength,
-        motion_blur: {
-            enabled: MOTION_BLUR_ENABLED,
-            decay: MB_DECAY,
-            add: MB_ADD
-        },
-        landmarks: loopLandmarkNames.slice(),
-        generated_at: new Date().toISOString(),
-        files: rec.kind === 'video'
-            ? [`animation.${rec.ext}`, 'title.txt', 'alt-text.txt', 'keyframes.json', 'manifest.json']
-            : ['frames/*', 'title.txt', 'alt-text.txt', 'keyframes.json', 'manifest.json']
-    };
-    zip.file(`${base}/manifest.json`, JSON.stringify(manifest, null, 2) + '\n');
+    // The video has no soundtrack: ship the file itself (manifest.json says how it lines up)
+    if (audio?.blob && !rec.audio) await zip.addFile(`${base}/${audioFileName(audio.name)}`, audio.blob);
 
-    const zipBlob = await zip.generateAsync({ type: 'blob' });
-    downloadBlob(`${base}.zip`, zipBlob);
+    await zip.addFile(`${base}/title.txt`, summary.title + '\n');
+    await zip.addFile(`${base}/alt-text.txt`, summary.altText + '\n');
+    await zip.addFile(`${base}/keyframes.json`, JSON.stringify(keyframes, null, 2) + '\n');
+
+    const manifest = buildAnimManifest(rec, {
+        landmarks, loopLandmarkNames, timeWarpStrength, interpolation, series, lanes, playback, introLandmarks, seedMode, continuity, audio,
+        webLoops, preset, motionBlur,
+    });
+    await zip.addFile(`${base}/manifest.json`, JSON.stringify(manifest, null, 2) + '\n');
+
+    downloadBlob(`${base}.zip`, zip.finish());
 }
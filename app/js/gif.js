@@ -0,0 +1,507 @@
+/**
+ * Animated GIF encoding (GIF89a), in plain JS so the browser and the CLI
+ * share it.
+ *
+ * Frames come in as RGBA (alpha ignored: renders are opaque) and are reduced
+ * to ≤256 colours, by median cut or an octree, either once for the whole
+ * animation (a global palette: no flicker between frames) or per frame (a
+ * local palette each: truer colour, bigger file). Ordered (Bayer) or
+ * Floyd–Steinberg dithering hides the banding; ordered dither stays put from
+ * frame to frame, error diffusion crawls.
+ *
+ * Delays are in GIF centiseconds, rounded against the running time so the
+ * total stays exact. `loop` writes the NETSCAPE2.0 extension (repeat
+ * forever); without it the GIF plays once and stops on its last frame.
+ */
+
+/** Palette builders. */
+export const GIF_QUANTIZERS = ['median-cut', 'octree'];
+export const DEFAULT_GIF_QUANTIZER = 'median-cut';
+
+export const GIF_DITHERS = ['none', 'ordered', 'floyd-steinberg'];
+export const DEFAULT_GIF_DITHER = 'ordered';
+
+/** global: one palette for every frame; per-frame: a local palette each. */
+export const GIF_PALETTES = ['global', 'per-frame'];
+export const DEFAULT_GIF_PALETTE = 'global';
+
+/** GIF export defaults: output width (capped at the frame width) and frame decimation. */
+export const DEFAULT_GIF_WIDTH = 480;
+export const DEFAULT_GIF_STEP = 2;
+
+const MAX_COLORS = 256;
+/** Pixels sampled for a global palette, spread across all frames. */
+const PALETTE_SAMPLES = 1 << 19;
+/** Size-target retries, and the width below which they give up. */
+const MAX_ATTEMPTS = 4;
+const MIN_WIDTH = 64;
+
+/* ---------------------------
+ * Quantization
+ * ---------------------------
+ * Both builders work on a 15-bit colour histogram (5 bits per channel).
+ */
+
+function colorKey(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+/** Histogram of (a sample of) the frames' pixels. */
+function histogram(frames, maxSamples) {
+    const counts = new Uint32Array(1 << 15);
+    const pixels = frames.reduce((n, f) => n + f.length / 4, 0);
+    const stride = Math.max(1, Math.floor(pixels / maxSamples));
+    for (const rgba of frames) {
+        for (let i = 0; i < rgba.length; i += 4 * stride) counts[colorKey(rgba[i], rgba[i + 1], rgba[i + 2])]++;
+    }
+    const keys = [];
+    for (let k = 0; k < counts.length; k++) if (counts[k]) keys.push(k);
+    return { keys, counts };
+}
+
+/** Centre of a 5-bit histogram cell, per channel. */
+const channel = (key, c) => (((key >> (10 - c * 5)) & 31) << 3) | 4;
+
+function medianCut({ keys, counts }, maxColors) {
+    const boxOf = (items) => {
+        let count = 0;
+        const lo = [31, 31, 31];
+        const hi = [0, 0, 0];
+        for (const k of items) {
+            count += counts[k];
+            for (let c = 0; c < 3; c++) {
+                const v = (k >> (10 - c * 5)) & 31;
+                if (v < lo[c]) lo[c] = v;
+                if (v > hi[c]) hi[c] = v;
+            }
+        }
+        const ranges = hi.map((h, c) => h - lo[c]);
+        const axis = ranges.indexOf(Math.max(...ranges));
+        return { items, count, axis, range: ranges[axis] };
+    };
+
+    const boxes = [boxOf(keys)];
+    while (boxes.length < maxColors) {
+        // Split where it buys the most: populous boxes with a wide spread
+        let best = -1;
+        for (let b = 0; b < boxes.length; b++) {
+            if (boxes[b].items.length < 2) continue;
+            if (best < 0 || boxes[b].count * boxes[b].range > boxes[best].count * boxes[best].range) best = b;
+        }
+        if (best < 0) break;
+
+        const { items, count, axis } = boxes[best];
+        const shift = 10 - axis * 5;
+        items.sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+        let acc = 0;
+        let cut = 1;
+        for (; cut < items.length - 1; cut++) {
+            acc += counts[items[cut - 1]];
+            if (acc >= count / 2) break;
+        }
+        boxes.splice(best, 1, boxOf(items.slice(0, cut)), boxOf(items.slice(cut)));
+    }
+
+    return boxes.map(({ items, count }) => {
+        const sum = [0, 0, 0];
+        for (const k of items) for (let c = 0; c < 3; c++) sum[c] += channel(k, c) * counts[k];
+        return sum.map(s => Math.round(s / count));
+    });
+}
+
+function octree({ keys, counts }, maxColors) {
+    const DEPTH = 5;
+    const root = { children: null, count: 0, sum: [0, 0, 0] };
+    const levels = Array.from({ length: DEPTH }, () => []);
+    let leaves = 0;
+
+    for (const k of keys) {
+        const n = counts[k];
+        let node = root;
+        for (let level = 0; level < DEPTH; level++) {
+            const bit = 4 - level;
+            const child = (((k >> (10 + bit)) & 1) << 2) | (((k >> (5 + bit)) & 1) << 1) | ((k >> bit) & 1);
+            if (!node.children) {
+                node.children = new Array(8).fill(null);
+                levels[level].push(node);
+            }
+            if (!node.children[child]) {
+                node.children[child] = { children: null, count: 0, sum: [0, 0, 0] };
+                if (level + 1 === DEPTH) leaves++;
+            }
+            node = node.children[child];
+        }
+        node.count += n;
+        for (let c = 0; c < 3; c++) node.sum[c] += channel(k, c) * n;
+    }
+
+    // Fold the deepest, least-used branches into their parents
+    const weight = (node) => (node.children ? node.children.reduce((w, ch) => w + (ch ? weight(ch) : 0), 0) : node.count);
+    for (let level = DEPTH - 1; level >= 0 && leaves > maxColors; level--) {
+        const nodes = levels[level].sort((a, b) => weight(a) - weight(b));
+        for (const node of nodes) {
+            if (leaves <= maxColors) break;
+            const kids = node.children.filter(Boolean);
+            for (const ch of kids) {
+                node.count += ch.count;
+                for (let c = 0; c < 3; c++) node.sum[c] += ch.sum[c];
+            }
+            node.children = null;
+            leaves -= kids.length - 1;
+        }
+    }
+
+    const palette = [];
+    const collect = (node) => {
+        if (!node.children) {
+            if (node.count) palette.push(node.sum.map(s => Math.round(s / node.count)));
+            return;
+        }
+        for (const ch of node.children) if (ch) collect(ch);
+    };
+    collect(root);
+    return palette;
+}
+
+/**
+ * Build a palette for some frames.
+ * @param {Uint8ClampedArray[]} frames - RGBA
+ * @param {object} [opts]
+ * @param {string} [opts.quantizer='median-cut'] - one of GIF_QUANTIZERS
+ * @param {number} [opts.colors=256]
+ * @returns {number[][]} [r, g, b] entries
+ */
+export function buildPalette(frames, { quantizer = DEFAULT_GIF_QUANTIZER, colors = MAX_COLORS } = {}) {
+    const hist = histogram(frames, PALETTE_SAMPLES);
+    if (hist.keys.length === 0) return [[0, 0, 0]];
+    const maxColors = Math.min(colors, MAX_COLORS);
+    return quantizer === 'octree' ? octree(hist, maxColors) : medianCut(hist, maxColors);
+}
+
+/* ---------------------------
+ * Mapping to the palette
+ * ---------------------------
+ */
+
+/** Nearest palette entry, cached per 15-bit colour. */
+function createNearest(palette) {
+    const cache = new Int16Array(1 << 15).fill(-1);
+    return (r, g, b) => {
+        const key = colorKey(r, g, b);
+        if (cache[key] >= 0) return cache[key];
+        let best = 0;
+        let bestD = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const [pr, pg, pb] = palette[i];
+            const d = (r - pr) * (r - pr) * 2 + (g - pg) * (g - pg) * 4 + (b - pb) * (b - pb) * 3;
+            if (d < bestD) { bestD = d; best = i; }
+        }
+        cache[key] = best;
+        return best;
+    };
+}
+
+const BAYER_8 = [
+    0, 32, 8, 40, 2, 34, 10, 42,
+    48, 16, 56, 24, 50, 18, 58, 26,
+    12, 44, 4, 36, 14, 46, 6, 38,
+    60, 28, 52, 20, 62, 30, 54, 22,
+    3, 35, 11, 43, 1, 33, 9, 41,
+    51, 19, 59, 27, 49, 17, 57, 25,
+    15, 47, 7, 39, 13, 45, 5, 37,
+    63, 31, 55, 23, 61, 29, 53, 21,
+];
+
+const clamp255 = (v) => (v < 0 ? 0 : v > 255 ? 255 : v | 0);
+
+/**
+ * Map a frame to palette indices.
+ * @param {Uint8ClampedArray} rgba
+ * @param {number} width
+ * @param {number} height
+ * @param {number[][]} palette
+ * @param {string} [dither='ordered'] - one of GIF_DITHERS
+ * @returns {Uint8Array}
+ */
+export function indexFrame(rgba, width, height, palette, dither = DEFAULT_GIF_DITHER) {
+    const nearest = createNearest(palette);
+    const out = new Uint8Array(width * height);
+
+    if (dither === 'ordered') {
+        // Threshold spread of about one palette step
+        const spread = 256 / Math.cbrt(palette.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const o = ((BAYER_8[(y & 7) * 8 + (x & 7)] + 0.5) / 64 - 0.5) * spread;
+                out[p] = nearest(clamp255(rgba[p * 4] + o), clamp255(rgba[p * 4 + 1] + o), clamp255(rgba[p * 4 + 2] + o));
+            }
+        }
+    } else if (dither === 'floyd-steinberg') {
+        // Error for this row and the next, 3 channels, one pixel of padding each side
+        let cur = new Float32Array((width + 2) * 3);
+        let next = new Float32Array((width + 2) * 3);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const e = (x + 1) * 3;
+                const r = clamp255(rgba[p * 4] + cur[e]);
+                const g = clamp255(rgba[p * 4 + 1] + cur[e + 1]);
+                const b = clamp255(rgba[p * 4 + 2] + cur[e + 2]);
+                const i = nearest(r, g, b);
+                out[p] = i;
+                const err = [r - palette[i][0], g - palette[i][1], b - palette[i][2]];
+                for (let c = 0; c < 3; c++) {
+                    cur[e + 3 + c] += err[c] * 7 / 16;
+                    next[e - 3 + c] += err[c] * 3 / 16;
+                    next[e + c] += err[c] * 5 / 16;
+                    next[e + 3 + c] += err[c] / 16;
+                }
+            }
+            [cur, next] = [next, cur];
+            next.fill(0);
+        }
+    } else {
+        for (let p = 0; p < width * height; p++) out[p] = nearest(rgba[p * 4], rgba[p * 4 + 1], rgba[p * 4 + 2]);
+    }
+    return out;
+}
+
+/* ---------------------------
+ * GIF stream
+ * ---------------------------
+ */
+
+function createByteWriter() {
+    const chunks = [];
+    let buf = new Uint8Array(1 << 16);
+    let pos = 0;
+    let total = 0;
+    const flush = () => {
+        if (pos) chunks.push(buf.slice(0, pos));
+        total += pos;
+        pos = 0;
+    };
+    return {
+        byte(b) {
+            if (pos === buf.length) flush();
+            buf[pos++] = b;
+        },
+        u16(v) { this.byte(v & 0xff); this.byte((v >> 8) & 0xff); },
+        bytes(arr) { for (const b of arr) this.byte(b); },
+        ascii(s) { for (let i = 0; i < s.length; i++) this.byte(s.charCodeAt(i)); },
+        size() { return total + pos; },
+        finish() {
+            flush();
+            const out = new Uint8Array(total);
+            let o = 0;
+            for (const c of chunks) { out.set(c, o); o += c.length; }
+            return out;
+        },
+    };
+}
+
+/** Bits for a colour table holding n entries (tables are powers of 2, 2..256). */
+function tableBits(n) {
+    let bits = 1;
+    while ((1 << bits) < n) bits++;
+    return bits;
+}
+
+function writeColorTable(w, palette) {
+    const size = 1 << tableBits(palette.length);
+    for (let i = 0; i < size; i++) w.bytes(palette[i] || [0, 0, 0]);
+}
+
+/** LZW-compress indices into GIF data sub-blocks. */
+function writeImageData(w, indices, colorBits) {
+    const minCodeSize = Math.max(2, colorBits);
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = eoiCode + 1;
+    let dict = new Map();
+
+    const block = new Uint8Array(255);
+    let blockLen = 0;
+    let acc = 0;
+    let accBits = 0;
+    const emitByte = (b) => {
+        block[blockLen++] = b;
+        if (blockLen === 255) {
+            w.byte(255);
+            w.bytes(block);
+            blockLen = 0;
+        }
+    };
+    const emit = (code) => {
+        acc |= code << accBits;
+        accBits += codeSize;
+        while (accBits >= 8) {
+            emitByte(acc & 0xff);
+            acc >>>= 8;
+            accBits -= 8;
+        }
+    };
+
+    w.byte(minCodeSize);
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = dict.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            dict = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = eoiCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            dict.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(eoiCode);
+    if (accBits > 0) emitByte(acc & 0xff);
+    if (blockLen) {
+        w.byte(blockLen);
+        w.bytes(block.subarray(0, blockLen));
+    }
+    w.byte(0);
+}
+
+/**
+ * Box-filter an RGBA frame down to a smaller size.
+ * @returns {Uint8ClampedArray}
+ */
+export function downscaleRgba(rgba, width, height, toWidth, toHeight) {
+    if (toWidth === width && toHeight === height) return rgba;
+    const sums = new Float64Array(toWidth * toHeight * 4);
+    const counts = new Uint32Array(toWidth * toHeight);
+    for (let y = 0; y < height; y++) {
+        const row = Math.min(Math.floor(y * toHeight / height), toHeight - 1) * toWidth;
+        for (let x = 0; x < width; x++) {
+            const cell = row + Math.min(Math.floor(x * toWidth / width), toWidth - 1);
+            const i = (y * width + x) * 4;
+            for (let c = 0; c < 4; c++) sums[cell * 4 + c] += rgba[i + c];
+            counts[cell]++;
+        }
+    }
+    const out = new Uint8ClampedArray(toWidth * toHeight * 4);
+    for (let p = 0; p < counts.length; p++) {
+        for (let c = 0; c < 4; c++) out[p * 4 + c] = sums[p * 4 + c] / (counts[p] || 1);
+    }
+    return out;
+}
+
+/**
+ * Per-frame delays in centiseconds: frame i shows from times[i] to the
+ * next frame (or durationMs), rounded against the running total.
+ */
+export function gifDelays(times, durationMs) {
+    return times.map((t, i) => {
+        const end = i + 1 < times.length ? times[i + 1] : durationMs;
+        return Math.max(1, Math.round(end / 10) - Math.round(t / 10));
+    });
+}
+
+async function encodeOnce(frames, width, height, delays, opts, onFrame) {
+    const { quantizer, dither, palette: paletteMode, loop } = opts;
+    const global = paletteMode === 'global' ? buildPalette(frames, { quantizer }) : null;
+
+    const w = createByteWriter();
+    w.ascii('GIF89a');
+    w.u16(width);
+    w.u16(height);
+    w.byte(global ? 0x80 | 0x70 | (tableBits(global.length) - 1) : 0x70);
+    w.byte(0);   // background colour index
+    w.byte(0);   // pixel aspect ratio
+    if (global) writeColorTable(w, global);
+
+    if (loop) {
+        w.bytes([0x21, 0xff, 0x0b]);
+        w.ascii('NETSCAPE2.0');
+        w.bytes([0x03, 0x01, 0x00, 0x00, 0x00]); // repeat forever
+    }
+
+    for (let i = 0; i < frames.length; i++) {
+        const rgba = frames[i];
+        const palette = global || buildPalette([rgba], { quantizer });
+        const bits = tableBits(palette.length);
+
+        // Graphic control: keep the frame in place (disposal 1), no transparency
+        w.bytes([0x21, 0xf9, 0x04, 0x04]);
+        w.u16(delays[i]);
+        w.bytes([0x00, 0x00]);
+
+        w.byte(0x2c);
+        w.u16(0);
+        w.u16(0);
+        w.u16(width);
+        w.u16(height);
+        if (global) {
+            w.byte(0);
+        } else {
+            w.byte(0x80 | (bits - 1));
+            writeColorTable(w, palette);
+        }
+        writeImageData(w, indexFrame(rgba, width, height, palette, dither), bits);
+        onFrame?.(i);
+        // Let the page breathe
+        await new Promise(r => setTimeout(r, 0));
+    }
+
+    w.byte(0x3b);
+    return w.finish();
+}
+
+/**
+ * Encode an animated GIF.
+ *
+ * With `maxBytes`, a GIF over the target is encoded again smaller (scaled
+ * by the square root of the overshoot, as size follows pixel count), up to
+ * a few times; `fits` says whether it got there.
+ *
+ * @param {Uint8ClampedArray[]} frames - RGBA, width × height each
+ * @param {object} opts
+ * @param {number} opts.width
+ * @param {number} opts.height
+ * @param {number[]} opts.times - ms at which each frame starts
+ * @param {number} opts.durationMs - when the last frame ends
+ * @param {boolean} [opts.loop=true] - repeat forever (NETSCAPE2.0), else play once
+ * @param {string} [opts.quantizer='median-cut'] - one of GIF_QUANTIZERS
+ * @param {string} [opts.dither='ordered'] - one of GIF_DITHERS
+ * @param {string} [opts.palette='global'] - one of GIF_PALETTES
+ * @param {number} [opts.maxBytes=0] - size target (0: none)
+ * @param {function} [opts.onProgress] - called with (0..1)
+ * @returns {Promise<{ bytes: Uint8Array, width: number, height: number, fits: boolean, attempts: number }>}
+ */
+export async function encodeGif(frames, {
+    width, height, times, durationMs, loop = true,
+    quantizer = DEFAULT_GIF_QUANTIZER, dither = DEFAULT_GIF_DITHER, palette = DEFAULT_GIF_PALETTE,
+    maxBytes = 0, onProgress,
+}) {
+    const delays = gifDelays(times, durationMs);
+    const opts = { quantizer, dither, palette, loop };
+    let scale = 1;
+    for (let attempt = 1; ; attempt++) {
+        const w = Math.max(1, Math.round(width * scale));
+        const h = Math.max(1, Math.round(height * scale));
+        const scaled = frames.map(f => downscaleRgba(f, width, height, w, h));
+        const bytes = await encodeOnce(scaled, w, h, delays, opts, (i) => onProgress?.((i + 1) / frames.length));
+
+        const fits = !maxBytes || bytes.length <= maxBytes;
+        const next = scale * Math.sqrt(maxBytes / bytes.length) * 0.95;
+        if (fits || attempt >= MAX_ATTEMPTS || width * next < MIN_WIDTH) {
+            return { bytes, width: w, height: h, fits, attempts: attempt };
+        }
+        scale = next;
+    }
+}
@@ -1,11 +1,59 @@
 /**
- * Seamless animation interpolation: Catmull-Rom splines, time-warp, cosine easing.
+ * Animation interpolation: Catmull-Rom / monotone / Bézier / linear / stepped
+ * paths between landmarks, per-segment easing (time-warp by default), cosine
+ * easing, played as a seamless loop or as an open path (see PLAYBACK_MODES).
  */
 
 import { clamp01, lerp } from './prng.js';
 
 export const TIME_WARP_STRENGTH = 0.78;
 
+/**
+ * Path shape between landmarks (an animation profile's `interpolation`).
+ * - catmull-rom: closed Catmull-Rom spline (cosine A↔B loop for 2 landmarks);
+ *   may overshoot, clipped to 0..1
+ * - monotone:    monotone cubic Hermite, never leaves the landmarks' range
+ * - linear:      straight lines
+ * - bezier:      cubic Bézier; a landmark's `tangent` (default 1) scales its
+ *                handles (0 = flat, 1 = Catmull-Rom, >1 = looser)
+ * - step:        holds each landmark until the next one is reached
+ */
+export const INTERPOLATION_MODES = ['catmull-rom', 'monotone', 'linear', 'bezier', 'step'];
+export const DEFAULT_INTERPOLATION = 'catmull-rom';
+
+/**
+ * How the landmarks play out (an animation profile's `playback`).
+ * - loop:      closed loop; the last landmark returns to the first
+ * - once:      open path A → B → C, played once, ending on the last landmark
+ * - ping-pong: the open path forward, then back (A → B → C → B → A); seamless
+ *              without the C → A wrap
+ * - intro:     the first `introLandmarks` landmarks play once as an open path
+ *              into the rest, which loop (needs 3+ landmarks, else a loop)
+ *
+ * Positions along the path ("path space") equal the timeline in every mode
+ * except ping-pong, where the path is the forward pass over the first half.
+ */
+export const PLAYBACK_MODES = ['loop', 'once', 'ping-pong', 'intro'];
+export const DEFAULT_PLAYBACK = 'loop';
+
+/** Whether the last frame runs straight back into the first (loop, ping-pong). */
+export function isSeamless(playback) {
+    return playback !== 'once' && playback !== 'intro';
+}
+
+/** Path position at timeline position tNorm. */
+export function pathPosition(tNorm, playback) {
+    if (playback !== 'ping-pong') return tNorm;
+    return tNorm < 0.5 ? tNorm * 2 : 2 - tNorm * 2;
+}
+
+/** Length of the path in ms (key times are measured along it). */
+export function pathDurationMs(durationMs, playback) {
+    return playback === 'ping-pong' ? durationMs / 2 : durationMs;
+}
+
+export const ASPECT_KEYS = ['coherence', 'tension', 'recursion', 'motion', 'vulnerability', 'radiance'];
+
 export function smootherstep(t) {
     t = clamp01(t);
     return t * t * t * (t * (t * 6 - 15) + 10);
@@ -16,10 +64,96 @@ export function warpSegmentT(t, strength) {
     return lerp(t, w, clamp01(strength));
 }
 
+/* ── Segment easing ──
+ * Each transition (landmark i → i + 1) can carry its own easing, stored as
+ * the `easing` of landmark i. Values:
+ *   'warp' (default)  the "breathing" time-warp: lingers near landmarks
+ *   'none'            constant speed
+ *   'ease-in' | 'ease-out' | 'ease-in-out'   CSS curves
+ *   'elastic'         springs past the target and settles
+ *   'cubic-bezier(x1, y1, x2, y2)'           custom CSS-style curve
+ */
+export const EASINGS = ['warp', 'none', 'ease-in', 'ease-out', 'ease-in-out', 'elastic'];
+export const DEFAULT_EASING = 'warp';
+
+const EASING_CURVES = {
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1],
+};
+
+/** CSS-style cubic-bezier timing function; x1 and x2 must lie in 0..1. */
+export function cubicBezierEasing(x1, y1, x2, y2) {
+    return (x) => {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        // x(t) is monotone for x1, x2 in 0..1: bisect for t, then read y(t)
+        let lo = 0, hi = 1;
+        for (let i = 0; i < 24; i++) {
+            const mid = (lo + hi) / 2;
+            if (cubicBezier(0, x1, x2, 1, mid) < x) lo = mid;
+            else hi = mid;
+        }
+        return cubicBezier(0, y1, y2, 1, (lo + hi) / 2);
+    };
+}
+
+function elasticOut(t) {
+    if (t <= 0) return 0;
+    if (t >= 1) return 1;
+    return Math.pow(2, -10 * t) * Math.sin((10 * t - 0.75) * (2 * Math.PI / 3)) + 1;
+}
+
+/** [x1, y1, x2, y2] of a 'cubic-bezier(…)' easing, or null. */
+export function parseCubicBezier(easing) {
+    const m = /^cubic-bezier\(([^)]*)\)$/.exec(String(easing).trim());
+    if (!m) return null;
+    const v = m[1].split(',').map(Number);
+    if (v.length !== 4 || !v.every(Number.isFinite)) return null;
+    if (v[0] < 0 || v[0] > 1 || v[2] < 0 || v[2] > 1) return null;
+    return v;
+}
+
+export function isValidEasing(easing) {
+    return EASINGS.includes(easing) || parseCubicBezier(easing) !== null;
+}
+
+/**
+ * Easing function for one segment. Unknown values fall back to the time-warp.
+ * @param {string} [easing]
+ * @param {number} warpStrength - time-warp strength for 'warp'
+ */
+export function easingFunction(easing, warpStrength) {
+    if (easing === 'none') return (t) => t;
+    if (easing === 'elastic') return elasticOut;
+    const curve = EASING_CURVES[easing] || (easing ? parseCubicBezier(easing) : null);
+    if (curve) return cubicBezierEasing(...curve);
+    return (t) => warpSegmentT(t, warpStrength);
+}
+
 export function cosineEase(t) {
     return 0.5 - 0.5 * Math.cos(Math.PI * t);
 }
 
+export function hermite(p1, p2, m1, m2, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * p1 + (t3 - 2 * t2 + t) * m1 + (-2 * t3 + 3 * t2) * p2 + (t3 - t2) * m2;
+}
+
+export function cubicBezier(p0, c0, c1, p1, t) {
+    const s = 1 - t;
+    return s * s * s * p0 + 3 * s * s * t * c0 + 3 * s * t * t * c1 + t * t * t * p1;
+}
+
+/** Fritsch–Butland tangent: zero at extrema, harmonic mean of the secants otherwise. */
+function monotoneTangent(prev, cur, next) {
+    const d0 = cur - prev;
+    const d1 = next - cur;
+    if (d0 * d1 <= 0) return 0;
+    return (2 * d0 * d1) / (d0 + d1);
+}
+
 export function catmullRom(p0, p1, p2, p3, t) {
     const t2 = t * t;
     const t3 = t2 * t;
@@ -31,49 +165,507 @@ export function catmullRom(p0, p1, p2, p3, t) {
     );
 }
 
-export function evalAspectsAt(tNorm, landmarks) {
+/* ── Loop timing ──
+ * By default landmarks are spaced evenly: landmark i is reached at i/n of the
+ * loop (i/(n - 1) of an open path, which ends on its last landmark). A
+ * landmark may instead carry `atMs` (when it is reached) and `holdMs` (how
+ * long the loop dwells on it before moving on). Untimed landmarks are spaced
+ * evenly between their timed neighbours; landmark 0 defaults to 0 ms. Times
+ * run in landmark order; on a loop an earlier time wraps into the next loop.
+ */
+
+function isTimed(l) {
+    return Number.isFinite(l.atMs) || l.holdMs > 0;
+}
+
+/**
+ * Resolve per-landmark timing into loop positions.
+ * @param {Array<{ atMs?: number, holdMs?: number }>} landmarks
+ * @param {number} durationMs - loop (or path) length
+ * @param {object} [opts]
+ * @param {boolean} [opts.open=false] - open path: no wrap, ends on the last landmark
+ * @returns {{ starts: number[], holds: number[] }|null} tNorm values (starts
+ *          ascend from starts[0] and, on a loop, may pass 1), or null for even spacing
+ */
+export function resolveKeyTimes(landmarks, durationMs, { open = false } = {}) {
     const n = landmarks.length;
-    if (n < 2) return null;
+    if (n < 2 || !(durationMs > 0) || !landmarks.some(isTimed)) return null;
 
-    if (n === 2) {
-        const a0 = landmarks[0].aspects;
-        const a1 = landmarks[1].aspects;
+    const loopT = (ms) => Math.min(Math.max(ms / durationMs, 0), 1 - 1e-9);
+    const starts = landmarks.map(l => Number.isFinite(l.atMs) ? loopT(l.atMs) : NaN);
+    const holdT = landmarks.map(l => (l.holdMs > 0 ? l.holdMs / durationMs : 0));
+    if (Number.isNaN(starts[0])) starts[0] = 0;
+    // An open path arrives on its last landmark just in time for its hold
+    if (open && Number.isNaN(starts[n - 1])) starts[n - 1] = Math.max(1 - holdT[n - 1], 0);
 
-        const phase = (tNorm < 0.5) ? (tNorm * 2) : (2 - tNorm * 2);
-        const warped = warpSegmentT(phase, TIME_WARP_STRENGTH * 0.55);
-        const u = cosineEase(warped);
+    // Unwrap explicit times into [starts[0], starts[0] + 1), in landmark order
+    const known = [0];
+    for (let i = 1; i < n; i++) {
+        if (Number.isNaN(starts[i])) continue;
+        let s = !open && starts[i] < starts[0] ? starts[i] + 1 : starts[i];
+        s = Math.max(s, starts[known[known.length - 1]]);
+        starts[i] = s;
+        known.push(i);
+    }
 
-        return {
-            coherence: lerp(a0.coherence, a1.coherence, u),
-            tension: lerp(a0.tension, a1.tension, u),
-            recursion: lerp(a0.recursion, a1.recursion, u),
-            motion: lerp(a0.motion, a1.motion, u),
-            vulnerability: lerp(a0.vulnerability, a1.vulnerability, u),
-            radiance: lerp(a0.radiance, a1.radiance, u),
-        };
+    // Untimed landmarks split what is left of each gap, after holds, evenly
+    const end = open ? Math.max(1, starts[n - 1]) : starts[0] + 1;
+    known.push(n);
+    starts[n] = end;
+    for (let k = 0; k + 1 < known.length; k++) {
+        const a = known[k];
+        const b = known[k + 1];
+        let held = 0;
+        for (let i = a; i < b; i++) held += holdT[i];
+        const move = Math.max(0, starts[b] - starts[a] - held) / (b - a);
+        let s = starts[a];
+        for (let i = a + 1; i < b; i++) {
+            s += holdT[i - 1] + move;
+            starts[i] = Math.min(s, starts[b]);
+        }
     }
+    starts.length = n;
+
+    const holds = holdT.map((h, i) => {
+        const next = i + 1 < n ? starts[i + 1] : end;
+        return Math.min(h, next - starts[i]);
+    });
 
-    const seg = tNorm * n;
-    const i1 = Math.floor(seg) % n;
-    const tLinear = seg - Math.floor(seg);
+    return { starts, holds };
+}
 
-    const t = warpSegmentT(tLinear, TIME_WARP_STRENGTH);
+function closedTimes(landmarks, durationMs) {
+    const n = landmarks.length;
+    const timing = resolveKeyTimes(landmarks, durationMs);
+    if (!timing) return landmarks.map((_, i) => ({ t: i / n, hold: 0 }));
+    return timing.starts.map((s, i) => ({ t: s % 1, hold: timing.holds[i] }));
+}
+
+function openTimes(landmarks, durationMs) {
+    const n = landmarks.length;
+    const timing = resolveKeyTimes(landmarks, durationMs, { open: true });
+    if (!timing) return landmarks.map((_, i) => ({ t: i / (n - 1), hold: 0 }));
+    // The path rests on its last landmark until the end
+    return timing.starts.map((s, i) => ({ t: s, hold: i === n - 1 ? 1 - s : timing.holds[i] }));
+}
 
-    const i0 = (i1 - 1 + n) % n;
-    const i2 = (i1 + 1) % n;
-    const i3 = (i1 + 2) % n;
+/** Landmarks an intro plays before its loop body; 0 when there is no room for one. */
+export function introLandmarkCount(introLandmarks, n) {
+    if (n < 3) return 0;
+    return Math.min(Math.max(Math.round(introLandmarks) || 1, 1), n - 2);
+}
+
+/**
+ * Split an intro animation where its loop body starts: at landmark
+ * `introLandmarks` (its `atMs`, or its even-spaced position). Body key times
+ * are shifted to count from the split. Null when there is no room for an
+ * intro (fewer than 3 landmarks).
+ * @returns {{ split: number, intro: Array, body: Array }|null} split in tNorm
+ */
+function splitIntro(landmarks, durationMs, introLandmarks) {
+    const n = landmarks.length;
+    const k = introLandmarkCount(introLandmarks, n);
+    if (k === 0) return null;
+    const at = landmarks[k].atMs;
+    const split = Number.isFinite(at) && durationMs > 0
+        ? Math.min(Math.max(at / durationMs, 1e-3), 1 - 1e-3)
+        : k / n;
+    const splitMs = split * durationMs;
+
+    // The body's first landmark owns the hold; the intro just arrives there
+    const intro = landmarks.slice(0, k + 1);
+    intro[k] = { ...intro[k], atMs: undefined, holdMs: undefined };
+    const body = landmarks.slice(k).map((l, i) => ({
+        ...l,
+        atMs: i > 0 && Number.isFinite(l.atMs) ? l.atMs - splitMs : undefined,
+    }));
+    return { split, intro, body };
+}
+
+/** Timeline position where looping starts: 0 for a loop, the intro split, null when played once. */
+export function loopStartT(landmarks, durationMs, { playback = DEFAULT_PLAYBACK, introLandmarks } = {}) {
+    if (playback === 'once') return null;
+    if (playback !== 'intro') return 0;
+    return splitIntro(landmarks, durationMs, introLandmarks)?.split ?? 0;
+}
+
+/**
+ * Where each landmark is first reached, in landmark order, in path space.
+ * @param {Array} landmarks
+ * @param {number} durationMs - animation length
+ * @param {object} [path] - { playback, introLandmarks }
+ * @returns {{ t: number, hold: number }[]} tNorm of arrival and hold length
+ */
+export function landmarkTimes(landmarks, durationMs, { playback = DEFAULT_PLAYBACK, introLandmarks } = {}) {
+    if (landmarks.length < 2) return [];
+    if (playback === 'once') return openTimes(landmarks, durationMs);
+    if (playback === 'ping-pong') return openTimes(landmarks, durationMs / 2);
+    const parts = playback === 'intro' ? splitIntro(landmarks, durationMs, introLandmarks) : null;
+    if (!parts) return closedTimes(landmarks, durationMs);
+
+    const { split, intro, body } = parts;
+    const introTimes = openTimes(intro, split * durationMs)
+        .map(({ t, hold }) => ({ t: t * split, hold: hold * split }));
+    const bodyTimes = closedTimes(body, (1 - split) * durationMs)
+        .map(({ t, hold }) => ({ t: split + t * (1 - split), hold: hold * (1 - split) }));
+    return [...introTimes.slice(0, -1), ...bodyTimes];
+}
+
+/**
+ * Every arrival at a landmark along the timeline, in time order (ping-pong
+ * passes the inner landmarks twice).
+ * @returns {{ t: number, hold: number, index: number }[]}
+ */
+export function landmarkVisits(landmarks, durationMs, path = {}) {
+    const times = landmarkTimes(landmarks, durationMs, path);
+    if (path.playback !== 'ping-pong') return times.map((v, index) => ({ ...v, index }));
+    const last = times.length - 1;
+    // The turnaround holds the last landmark across the middle of the timeline
+    const out = times.map(({ t, hold }, index) => ({ t: t / 2, hold: index === last ? hold : hold / 2, index }));
+    for (let i = last - 1; i >= 0; i--) {
+        // On the way back a landmark is reached where its hold on the way out ends
+        const t = 1 - (times[i].t + times[i].hold) / 2;
+        if (t < 1 - 1e-9) out.push({ t, hold: times[i].hold / 2, index: i });
+    }
+    return out;
+}
+
+/**
+ * Which transition tNorm falls in: from landmark `index` towards the next,
+ * `u` of the way along (0 while holding). An open path stops at u = 1 on its
+ * last transition.
+ */
+function locateSegment(tNorm, landmarks, durationMs, closed) {
+    const n = landmarks.length;
+    const timing = resolveKeyTimes(landmarks, durationMs, { open: !closed });
+    if (!timing) {
+        if (!closed) {
+            const seg = Math.min(Math.max(tNorm, 0), 1) * (n - 1);
+            const index = Math.min(Math.floor(seg), n - 2);
+            return { index, u: seg - index };
+        }
+        const seg = tNorm * n;
+        return { index: Math.floor(seg) % n, u: seg - Math.floor(seg) };
+    }
+
+    const { starts, holds } = timing;
+    if (!closed && tNorm >= starts[n - 1]) return { index: n - 2, u: 1 };
+    const p = closed && tNorm < starts[0] ? tNorm + 1 : tNorm;
+    let i = n - 1;
+    while (i > 0 && starts[i] > p) i--;
+    const next = i + 1 < n ? starts[i + 1] : starts[0] + 1;
+    const moving = p - starts[i] - holds[i];
+    const span = next - starts[i] - holds[i];
+    return { index: i, u: moving <= 0 || span <= 0 ? 0 : Math.min(moving / span, 1) };
+}
+
+/* ── Automation lanes ──
+ * A lane gives one aspect its own keyframes across the loop, independent of
+ * the landmarks: points { t (tNorm, 0..1), v (0..1), easing? } sorted by t.
+ * On a loop the lane is closed (the last point eases back into the first),
+ * so loops stay seamless; on an open path it holds its first and last
+ * values. `easing` shapes the segment leaving a point (see EASINGS). Lanes
+ * run in path space (see PLAYBACK_MODES). Aspects whose lane is empty follow
+ * the landmarks.
+ */
+
+/**
+ * Value of a lane at tNorm; points must be sorted by t.
+ * @param {object} [opts]
+ * @param {boolean} [opts.closed=true] - wrap from the last point into the first
+ */
+export function evalLane(points, tNorm, { closed = true } = {}) {
+    const n = points.length;
+    if (n === 1) return points[0].v;
+    if (!closed) {
+        if (tNorm <= points[0].t) return points[0].v;
+        if (tNorm >= points[n - 1].t) return points[n - 1].v;
+    }
+
+    let i = n - 1;
+    while (i >= 0 && points[i].t > tNorm) i--;
+    if (i < 0) i = n - 1; // before the first point: still in the wrap segment
+
+    const a = points[i];
+    const b = points[(i + 1) % n];
+    const p = tNorm < a.t ? tNorm + 1 : tNorm;
+    const end = i === n - 1 ? b.t + 1 : b.t;
+    const span = end - a.t;
+    const u = span > 0 ? (p - a.t) / span : 0;
+    return clamp01(lerp(a.v, b.v, easingFunction(a.easing, TIME_WARP_STRENGTH)(u)));
+}
+
+/** Clean stored lanes: known aspects only, points clamped and sorted, empty lanes dropped. */
+export function normalizeLanes(lanes) {
+    const out = {};
+    for (const k of ASPECT_KEYS) {
+        const pts = (lanes?.[k] || [])
+            .filter(p => Number.isFinite(p?.t) && Number.isFinite(p?.v))
+            .map(p => ({ ...p, t: Math.min(Math.max(p.t, 0), 1 - 1e-6), v: clamp01(p.v) }))
+            .sort((a, b) => a.t - b.t);
+        if (pts.length) out[k] = pts;
+    }
+    return out;
+}
+
+/**
+ * An intro lane: points before the split lead into the loop body, whose
+ * points (from the split on) loop on their own.
+ */
+function evalIntroLane(points, p, split) {
+    const body = points
+        .filter(q => q.t >= split)
+        .map(q => ({ ...q, t: (q.t - split) / (1 - split) }));
+    const bodyAt = (u) => (body.length ? evalLane(body, u) : points[points.length - 1].v);
+    if (p >= split) return bodyAt((p - split) / (1 - split));
+    const intro = [...points.filter(q => q.t < split), { t: split, v: bodyAt(0) }];
+    return evalLane(intro, p, { closed: false });
+}
+
+/* ---------------------------
+ * Data series
+ * ---------------------------
+ *
+ * An imported time series (see series.js): per aspect, samples evenly spaced
+ * over the path, from its first row to its last. `smoothingMs` is a moving
+ * average over that much of the path (circular when it loops).
+ */
+
+const smoothedSeries = new WeakMap();
+
+function seriesSamples(series, closed, pathMs) {
+    const key = `${closed}:${series.smoothingMs}:${pathMs}`;
+    let cached = smoothedSeries.get(series);
+    if (cached?.key === key) return cached.samples;
+
+    const samples = {};
+    for (const [k, raw] of Object.entries(series.samples)) {
+        const n = raw.length;
+        // A window that spans the whole path collapses the curve to its mean
+        const half = Math.min(Math.round(series.smoothingMs / pathMs * n / 2), Math.floor((n - 1) / 2));
+        if (half < 1) { samples[k] = raw; continue; }
+        samples[k] = raw.map((_, i) => {
+            let sum = 0;
+            for (let j = i - half; j <= i + half; j++) {
+                sum += raw[closed ? (j + n) % n : Math.min(Math.max(j, 0), n - 1)];
+            }
+            return sum / (2 * half + 1);
+        });
+    }
+    cached = { key, samples };
+    smoothedSeries.set(series, cached);
+    return samples;
+}
+
+/**
+ * The series' aspects at path position p (only the aspects it has).
+ * @param {{ samples: object, smoothingMs: number }} series - normalized
+ * @param {number} p - 0..1
+ * @param {object} [opts]
+ * @param {number} [opts.pathMs=0] - path length, for the smoothing window
+ * @param {boolean} [opts.closed=true] - the last sample runs back into the first
+ */
+export function evalSeries(series, p, { pathMs = 0, closed = true } = {}) {
+    const out = {};
+    const smooth = pathMs > 0 && series.smoothingMs > 0;
+    for (const [k, samples] of Object.entries(smooth ? seriesSamples(series, closed, pathMs) : series.samples)) {
+        const n = samples.length;
+        const x = closed ? p * n : p * (n - 1);
+        const i = Math.min(Math.floor(x), n - 1);
+        const next = closed ? (i + 1) % n : Math.min(i + 1, n - 1);
+        out[k] = clamp01(lerp(samples[i], samples[next], x - i));
+    }
+    return out;
+}
+
+/**
+ * Clean a stored series: known aspects with 2+ finite samples, clamped to
+ * 0..1. Null when nothing usable is left.
+ */
+export function normalizeSeries(series) {
+    if (!series?.samples) return null;
+    const samples = {};
+    for (const k of ASPECT_KEYS) {
+        const raw = series.samples[k];
+        if (!Array.isArray(raw) || raw.length < 2 || !raw.every(Number.isFinite)) continue;
+        samples[k] = raw.map(clamp01);
+    }
+    if (!Object.keys(samples).length) return null;
+    return {
+        ...series,
+        samples,
+        smoothingMs: Math.max(0, series.smoothingMs || 0),
+    };
+}
+
+/** Lanes that start out tracing the landmarks: one point per landmark and aspect. */
+export function lanesFromLandmarks(landmarks, durationMs, path = {}) {
+    const lanes = {};
+    const times = landmarkTimes(landmarks, durationMs, path);
+    for (const k of ASPECT_KEYS) {
+        lanes[k] = landmarks.map((l, i) => ({ t: times[i].t, v: l.aspects[k] }));
+    }
+    return normalizeLanes(lanes);
+}
+
+/**
+ * Aspects at timeline position tNorm: the landmark path, then any data
+ * series, then any lanes, each overriding the aspects it has.
+ * @param {number} tNorm - 0..1
+ * @param {Array<{ aspects: object, atMs?: number, holdMs?: number, tangent?: number, easing?: string }>} landmarks
+ * @param {object} [opts]
+ * @param {number} [opts.durationMs] - animation length; needed for per-landmark timing
+ * @param {string} [opts.interpolation] - one of INTERPOLATION_MODES
+ * @param {object} [opts.series] - imported data series (normalized); wraps only in 'loop' playback
+ * @param {object} [opts.lanes] - automation lanes by aspect (normalized)
+ * @param {string} [opts.playback] - one of PLAYBACK_MODES
+ * @param {number} [opts.introLandmarks=1] - landmarks played once before the loop ('intro')
+ */
+export function evalAspectsAt(tNorm, landmarks, {
+    durationMs = 0,
+    interpolation = DEFAULT_INTERPOLATION,
+    series = null,
+    lanes = null,
+    playback = DEFAULT_PLAYBACK,
+    introLandmarks = 1,
+} = {}) {
+    const part = resolvePath(tNorm, landmarks, durationMs, playback, introLandmarks);
+    const aspects = evalLandmarksAt(part.pos, part.list, part.ms, interpolation, part.closed);
+    if (aspects && series) {
+        Object.assign(aspects, evalSeries(series, part.p, {
+            pathMs: pathDurationMs(durationMs, playback),
+            closed: playback === 'loop',
+        }));
+    }
+    if (!aspects || !lanes) return aspects;
+
+    for (const k of ASPECT_KEYS) {
+        if (!lanes[k]?.length) continue;
+        if (part.intro) aspects[k] = evalIntroLane(lanes[k], part.p, part.intro.split);
+        else aspects[k] = evalLane(lanes[k], part.p, { closed: part.closed });
+    }
+    return aspects;
+}
+
+/**
+ * The transition at timeline position tNorm, for seed morphing: landmark
+ * indices `from` → `to` and the eased progress `t` (0..1) between them, with
+ * the same timing, easing and playback as evalAspectsAt.
+ * @param {number} tNorm - 0..1
+ * @param {Array} landmarks
+ * @param {object} [opts] - as evalAspectsAt (lanes aside)
+ * @returns {{ from: number, to: number, t: number }|null}
+ */
+export function segmentAt(tNorm, landmarks, {
+    durationMs = 0,
+    interpolation = DEFAULT_INTERPOLATION,
+    playback = DEFAULT_PLAYBACK,
+    introLandmarks = 1,
+} = {}) {
+    if (landmarks.length < 2) return null;
+    const { list, pos, ms, closed, offset } = resolvePath(tNorm, landmarks, durationMs, playback, introLandmarks);
+    const n = list.length;
+    const { index, u } = locateSegment(pos, list, ms, closed);
+    const to = closed ? (index + 1) % n : index + 1;
+
+    let t;
+    if (interpolation === 'step') {
+        t = u >= 1 ? 1 : 0;
+    } else {
+        const warpStrength = n === 2 ? TIME_WARP_STRENGTH * 0.55 : TIME_WARP_STRENGTH;
+        t = clamp01(easingFunction(list[index].easing, warpStrength)(u));
+    }
+    return { from: index + offset, to: to + offset, t };
+}
+
+/**
+ * The part of the path tNorm falls in: its landmarks (`offset` into the full
+ * list), the position and length along that part, and whether it loops.
+ */
+function resolvePath(tNorm, landmarks, durationMs, playback, introLandmarks) {
+    const p = pathPosition(tNorm, playback);
+    const intro = playback === 'intro' ? splitIntro(landmarks, durationMs, introLandmarks) : null;
+    if (!intro) {
+        const closed = playback !== 'once' && playback !== 'ping-pong';
+        return { p, intro, list: landmarks, pos: p, ms: pathDurationMs(durationMs, playback), closed, offset: 0 };
+    }
+    const { split, body } = intro;
+    if (p < split) {
+        return { p, intro, list: intro.intro, pos: p / split, ms: split * durationMs, closed: false, offset: 0 };
+    }
+    return {
+        p, intro, list: body, pos: (p - split) / (1 - split), ms: (1 - split) * durationMs,
+        closed: true, offset: landmarks.length - body.length,
+    };
+}
+
+function evalLandmarksAt(tNorm, landmarks, durationMs, interpolation, closed) {
+    const n = landmarks.length;
+    if (n < 2) return null;
+
+    // An open path repeats its end landmarks in place of the wrapped neighbours
+    const { index: i1, u: tLinear } = locateSegment(tNorm, landmarks, durationMs, closed);
+    const i0 = closed ? (i1 - 1 + n) % n : Math.max(i1 - 1, 0);
+    const i2 = closed ? (i1 + 1) % n : i1 + 1;
+    const i3 = closed ? (i1 + 2) % n : Math.min(i1 + 2, n - 1);
 
     const A0 = landmarks[i0].aspects;
     const A1 = landmarks[i1].aspects;
     const A2 = landmarks[i2].aspects;
     const A3 = landmarks[i3].aspects;
 
-    return {
-        coherence: clamp01(catmullRom(A0.coherence, A1.coherence, A2.coherence, A3.coherence, t)),
-        tension: clamp01(catmullRom(A0.tension, A1.tension, A2.tension, A3.tension, t)),
-        recursion: clamp01(catmullRom(A0.recursion, A1.recursion, A2.recursion, A3.recursion, t)),
-        motion: clamp01(catmullRom(A0.motion, A1.motion, A2.motion, A3.motion, t)),
-        vulnerability: clamp01(catmullRom(A0.vulnerability, A1.vulnerability, A2.vulnerability, A3.vulnerability, t)),
-        radiance: clamp01(catmullRom(A0.radiance, A1.radiance, A2.radiance, A3.radiance, t)),
+    const each = (fn) => {
+        const out = {};
+        for (const k of ASPECT_KEYS) out[k] = fn(k);
+        return out;
     };
+
+    if (interpolation === 'step') return each(k => (tLinear >= 1 ? A2 : A1)[k]);
+
+    // Subtler warp for 2 landmarks, so the turnarounds don't over-slow
+    const warpStrength = n === 2 ? TIME_WARP_STRENGTH * 0.55 : TIME_WARP_STRENGTH;
+    const easing = landmarks[i1].easing || DEFAULT_EASING;
+
+    if (n === 2 && interpolation === 'catmull-rom' && closed) {
+        // A→B on the way out, B→A on the way back
+        let warped;
+        if (easing === DEFAULT_EASING) {
+            warped = warpSegmentT(i1 === 0 ? tLinear : 1 - tLinear, warpStrength);
+        } else {
+            const e = easingFunction(easing, warpStrength)(tLinear);
+            warped = i1 === 0 ? e : 1 - e;
+        }
+        const u = cosineEase(warped);
+        const a0 = landmarks[0].aspects;
+        const a1 = landmarks[1].aspects;
+        return each(k => lerp(a0[k], a1[k], u));
+    }
+
+    // With 2 landmarks the closed loop's neighbours are the landmarks themselves
+    const t = easingFunction(easing, warpStrength)(tLinear);
+
+    switch (interpolation) {
+        case 'linear':
+            return each(k => clamp01(lerp(A1[k], A2[k], t)));
+        case 'monotone':
+            return each(k => clamp01(hermite(
+                A1[k], A2[k],
+                monotoneTangent(A0[k], A1[k], A2[k]),
+                monotoneTangent(A1[k], A2[k], A3[k]),
+                t
+            )));
+        case 'bezier': {
+            const s1 = landmarks[i1].tangent ?? 1;
+            const s2 = landmarks[i2].tangent ?? 1;
+            return each(k => clamp01(cubicBezier(
+                A1[k],
+                A1[k] + ((A2[k] - A0[k]) / 6) * s1,
+                A2[k] - ((A3[k] - A1[k]) / 6) * s2,
+                A2[k],
+                t
+            )));
+        }
+        default:
+            return each(k => clamp01(catmullRom(A0[k], A1[k], A2[k], A3[k], t)));
+    }
 }
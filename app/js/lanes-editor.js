@@ -0,0 +1,375 @@
+/**
+ * Automation lanes editor: one lane per aspect across the loop.
+ *
+ * - Click an empty spot in a lane to add a point there; drag points to move them
+ * - Double-click a point (or select it and press Delete) to remove it
+ * - The selected point can be fine-tuned below the lanes: time, value and
+ *   the easing of the segment leaving it
+ * - An empty lane follows the landmarks (drawn dashed); "From landmarks"
+ *   fills every lane with the landmark values as a starting point
+ *
+ * Lanes are { [aspect]: [{ t, v, easing? }] } (see interpolation.js). The
+ * editor works on its own copy and reports every committed edit through
+ * onChange(lanes); drags commit on release.
+ */
+
+import { ASPECT_KEYS, EASINGS, DEFAULT_EASING, evalLane, normalizeLanes } from './interpolation.js';
+
+const NS = 'http://www.w3.org/2000/svg';
+const PLOT_SAMPLES = 96;
+
+const ASPECT_LABELS = {
+    coherence: 'Coherence',
+    tension: 'Tension',
+    recursion: 'Recursion',
+    motion: 'Motion',
+    vulnerability: 'Vulnerability',
+    radiance: 'Radiance',
+};
+
+const EASING_LABELS = {
+    'warp': 'Breathing',
+    'none': 'None',
+    'ease-in': 'Ease in',
+    'ease-out': 'Ease out',
+    'ease-in-out': 'Ease in-out',
+    'elastic': 'Elastic',
+};
+
+/**
+ * @param {HTMLElement} root - empty container
+ * @param {object} opts
+ * @param {function} opts.onChange - called with (lanes) after each edit
+ * @param {function} [opts.onSeed] - "From landmarks" pressed; should return lanes or null
+ */
+export function createLanesEditor(root, { onChange, onSeed }) {
+    let lanes = {};
+    let context = { durationMs: 1000, markers: [], follow: null };
+    let selected = null;            // { key, point }
+    let drag = null;                // { key, point, moved }
+
+    root.classList.add('lanes-editor');
+    const rows = {};
+
+    for (const key of ASPECT_KEYS) {
+        const row = document.createElement('div');
+        row.className = 'lane';
+
+        const head = document.createElement('div');
+        head.className = 'lane-head';
+        const name = document.createElement('span');
+        name.textContent = ASPECT_LABELS[key];
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'lane-clear';
+        clear.textContent = '✕';
+        clear.title = `Clear ${ASPECT_LABELS[key]} (follow the landmarks)`;
+        clear.addEventListener('click', () => {
+            delete lanes[key];
+            if (selected?.key === key) selected = null;
+            commit();
+        });
+        head.appendChild(name);
+        head.appendChild(clear);
+
+        const area = document.createElement('div');
+        area.className = 'lane-area';
+        area.dataset.aspect = key;
+
+        const svg = document.createElementNS(NS, 'svg');
+        svg.setAttribute('viewBox', '0 0 1 1');
+        svg.setAttribute('preserveAspectRatio', 'none');
+        const line = document.createElementNS(NS, 'polyline');
+        line.setAttribute('vector-effect', 'non-scaling-stroke');
+        svg.appendChild(line);
+
+        const markers = document.createElement('div');
+        markers.className = 'lane-markers';
+        const points = document.createElement('div');
+        points.className = 'lane-points';
+        const playhead = document.createElement('div');
+        playhead.className = 'lane-playhead';
+
+        area.appendChild(markers);
+        area.appendChild(svg);
+        area.appendChild(points);
+        area.appendChild(playhead);
+        attachPointerHandlers(key, area);
+
+        row.appendChild(head);
+        row.appendChild(area);
+        root.appendChild(row);
+        rows[key] = { row, area, line, markers, points, playhead, clear };
+    }
+
+    const inspector = document.createElement('div');
+    inspector.className = 'lane-inspector';
+    root.appendChild(inspector);
+
+    const actions = document.createElement('div');
+    actions.className = 'btns';
+    const seedBtn = document.createElement('button');
+    seedBtn.type = 'button';
+    seedBtn.textContent = 'From landmarks';
+    seedBtn.title = 'Fill every lane with the landmark values';
+    seedBtn.addEventListener('click', () => {
+        const seeded = onSeed?.();
+        if (!seeded) return;
+        lanes = normalizeLanes(seeded);
+        selected = null;
+        commit();
+    });
+    const clearAll = document.createElement('button');
+    clearAll.type = 'button';
+    clearAll.className = 'danger';
+    clearAll.textContent = 'Clear lanes';
+    clearAll.addEventListener('click', () => {
+        lanes = {};
+        selected = null;
+        commit();
+    });
+    actions.appendChild(seedBtn);
+    actions.appendChild(clearAll);
+    root.appendChild(actions);
+
+    root.tabIndex = -1;
+    root.addEventListener('keydown', (e) => {
+        if (!selected || (e.key !== 'Delete' && e.key !== 'Backspace')) return;
+        if (e.target.closest('input, select')) return;
+        removePoint(selected.key, selected.point);
+        e.preventDefault();
+    });
+
+    /* ── Editing ── */
+
+    function commit() {
+        // Tidy in place: the selection holds point references
+        for (const key of Object.keys(lanes)) {
+            for (const p of lanes[key]) {
+                p.t = Math.min(Math.max(p.t, 0), 1 - 1e-6);
+                p.v = Math.min(Math.max(p.v, 0), 1);
+            }
+            lanes[key].sort((a, b) => a.t - b.t);
+            if (lanes[key].length === 0) delete lanes[key];
+        }
+        render();
+        onChange(cloneLanes());
+    }
+
+    function cloneLanes() {
+        const out = {};
+        for (const [k, pts] of Object.entries(lanes)) out[k] = pts.map(p => ({ ...p }));
+        return out;
+    }
+
+    function removePoint(key, point) {
+        lanes[key] = (lanes[key] || []).filter(p => p !== point);
+        if (selected?.point === point) selected = null;
+        commit();
+    }
+
+    function positionAt(area, e) {
+        const rect = area.getBoundingClientRect();
+        return {
+            t: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1 - 1e-6),
+            v: Math.min(Math.max(1 - (e.clientY - rect.top) / rect.height, 0), 1),
+        };
+    }
+
+    function attachPointerHandlers(key, area) {
+        area.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            const hit = e.target.closest('.lane-point');
+            let point;
+            if (hit) {
+                point = lanes[key][Number(hit.dataset.index)];
+            } else {
+                point = positionAt(area, e);
+                lanes[key] = [...(lanes[key] || []), point].sort((a, b) => a.t - b.t);
+            }
+            selected = { key, point };
+            drag = { key, point, moved: !hit };
+            area.setPointerCapture(e.pointerId);
+            root.focus({ preventScroll: true });
+            // Keep the clicked element in place so a double-click can find it
+            if (hit) renderSelection();
+            else render();
+            e.preventDefault();
+        });
+
+        area.addEventListener('pointermove', (e) => {
+            if (!drag || drag.key !== key) return;
+            Object.assign(drag.point, positionAt(area, e));
+            lanes[key].sort((a, b) => a.t - b.t);
+            drag.moved = true;
+            render();
+        });
+
+        const end = () => {
+            if (!drag || drag.key !== key) return;
+            const { moved } = drag;
+            drag = null;
+            if (moved) commit();
+        };
+        area.addEventListener('pointerup', end);
+        area.addEventListener('pointercancel', end);
+
+        area.addEventListener('dblclick', (e) => {
+            const hit = e.target.closest('.lane-point');
+            if (hit) removePoint(key, lanes[key][Number(hit.dataset.index)]);
+        });
+    }
+
+    /* ── Rendering ── */
+
+    function plotPoints(valueAt) {
+        const pts = [];
+        for (let i = 0; i <= PLOT_SAMPLES; i++) {
+            const t = i / PLOT_SAMPLES;
+            pts.push(`${t.toFixed(4)},${(1 - valueAt(Math.min(t, 1 - 1e-6))).toFixed(4)}`);
+        }
+        return pts.join(' ');
+    }
+
+    function render() {
+        for (const key of ASPECT_KEYS) {
+            const r = rows[key];
+            const pts = lanes[key] || [];
+            const following = pts.length === 0;
+
+            r.row.classList.toggle('following', following);
+            r.clear.disabled = following;
+            if (following && context.follow) {
+                r.line.setAttribute('points', plotPoints(t => context.follow(t)?.[key] ?? 0.5));
+            } else if (following) {
+                r.line.setAttribute('points', '');
+            } else {
+                r.line.setAttribute('points', plotPoints(t => evalLane(pts, t)));
+            }
+
+            r.points.replaceChildren(...pts.map((p, i) => {
+                const dot = document.createElement('span');
+                dot.className = 'lane-point';
+                dot.dataset.index = String(i);
+                dot.style.left = `${(p.t * 100).toFixed(3)}%`;
+                dot.style.top = `${((1 - p.v) * 100).toFixed(3)}%`;
+                dot.classList.toggle('selected', selected?.point === p);
+                return dot;
+            }));
+
+            r.markers.replaceChildren(...context.markers.map(({ tNorm, name }) => {
+                const m = document.createElement('span');
+                m.className = 'lane-marker';
+                m.style.left = `${(tNorm * 100).toFixed(3)}%`;
+                m.title = name;
+                return m;
+            }));
+        }
+        renderInspector();
+    }
+
+    function renderSelection() {
+        for (const key of ASPECT_KEYS) {
+            const pts = lanes[key] || [];
+            for (const dot of rows[key].points.children) {
+                dot.classList.toggle('selected', selected?.point === pts[Number(dot.dataset.index)]);
+            }
+        }
+        renderInspector();
+    }
+
+    function renderInspector() {
+        inspector.replaceChildren();
+        if (!selected) {
+            inspector.textContent = 'Click a lane to add a point; double-click a point to remove it.';
+            return;
+        }
+        const { key, point } = selected;
+
+        const title = document.createElement('span');
+        title.textContent = ASPECT_LABELS[key];
+
+        const numberField = (label, value, { max, step, onSet }) => {
+            const wrap = document.createElement('label');
+            wrap.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.max = String(max);
+            input.step = String(step);
+            input.value = String(+value.toFixed(2));
+            input.addEventListener('change', () => {
+                const v = parseFloat(input.value);
+                if (Number.isFinite(v)) onSet(v);
+                commit();
+            });
+            wrap.appendChild(input);
+            return wrap;
+        };
+
+        const secs = context.durationMs / 1000;
+        const at = numberField('at (s)', point.t * secs, {
+            max: secs, step: 0.05, onSet: (v) => { point.t = v / secs; },
+        });
+        const val = numberField('value', point.v, {
+            max: 1, step: 0.01, onSet: (v) => { point.v = v; },
+        });
+
+        const easing = document.createElement('select');
+        easing.setAttribute('aria-label', 'Easing to the next point');
+        for (const value of EASINGS) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = EASING_LABELS[value];
+            easing.appendChild(opt);
+        }
+        easing.value = EASINGS.includes(point.easing) ? point.easing : DEFAULT_EASING;
+        easing.addEventListener('change', () => {
+            if (easing.value === DEFAULT_EASING) delete point.easing;
+            else point.easing = easing.value;
+            commit();
+        });
+
+        const del = document.createElement('button');
+        del.type = 'button';
+        del.className = 'danger';
+        del.textContent = 'Delete';
+        del.addEventListener('click', () => removePoint(key, point));
+
+        inspector.append(title, at, val, easing, del);
+    }
+
+    /* ── Public ── */
+
+    /** Replace the edited lanes (e.g. after loading an animation profile). */
+    function setLanes(next) {
+        lanes = normalizeLanes(next);
+        selected = null;
+        drag = null;
+        render();
+    }
+
+    /**
+     * @param {object} ctx
+     * @param {number} ctx.durationMs - loop length, for the inspector's seconds
+     * @param {{ tNorm: number, name: string }[]} ctx.markers - landmark positions
+     * @param {function|null} ctx.follow - tNorm → aspects from the landmarks (for empty lanes)
+     */
+    function setContext(ctx) {
+        context = { ...context, ...ctx };
+        render();
+    }
+
+    function setPlayhead(tNorm) {
+        const left = tNorm === null ? '' : `${(tNorm * 100).toFixed(3)}%`;
+        for (const key of ASPECT_KEYS) {
+            rows[key].playhead.style.left = left;
+            rows[key].playhead.classList.toggle('hidden', tNorm === null);
+        }
+    }
+
+    render();
+    setPlayhead(null);
+
+    return { setLanes, setContext, setPlayhead };
+}
@@ -2,12 +2,19 @@
  * Entry point — wires all modules to the DOM.
  */
 
-import { createRenderer } from './renderer.js';
-import { createMotionBlur } from './motion-blur.js';
-import { evalAspectsAt, TIME_WARP_STRENGTH } from './interpolation.js';
-import { loadProfiles, saveProfiles, deleteProfile, refreshProfileSelect, ensureStarterProfiles, renderLoopList, loadAnimProfiles, saveAnimProfiles, deleteAnimProfile, findAnimProfilesReferencingImage, removeImageFromAnimProfiles } from './profiles.js';
-import { createAnimationController, preRenderFrames, exportFromBuffer, ANIM_FPS, MOTION_BLUR_ENABLED, MB_DECAY, MB_ADD } from './animation.js';
-import { packageStillZip, packageAnimZip, computeLoopSummaryTitleAlt } from './export.js';
+import { createRenderPool } from './render-pool.js';
+import {
+    evalAspectsAt, landmarkTimes, landmarkVisits, lanesFromLandmarks, normalizeLanes, normalizeSeries, loopStartT,
+    pathPosition, pathDurationMs, TIME_WARP_STRENGTH, DEFAULT_INTERPOLATION, DEFAULT_PLAYBACK, ASPECT_KEYS,
+} from './interpolation.js';
+import { loadProfiles, saveProfiles, deleteProfile, refreshProfileSelect, ensureStarterProfiles, renderLoopList, loadAnimProfiles, saveAnimProfiles, deleteAnimProfile, findAnimProfilesReferencingImage, removeImageFromAnimProfiles, animProfileKeys, saveAudioFile, loadAudioFile, pruneAudioFiles } from './profiles.js';
+import { createAnimationController, preRenderFrames, exportFromBuffer, exportStreaming, deriveAnimSeed, choosePreviewBuffer, totalFrameCount, PREVIEW_BUFFERS, EXPORT_PRESETS, DEFAULT_EXPORT_PRESET, resolveExportPreset, DEFAULT_SEED_MODE, DEFAULT_MOTION_BLUR_MODE, normalizeMotionBlur, DEFAULT_VIDEO_BITRATE, DEFAULT_VIDEO_QUALITY, DEFAULT_KEYFRAME_SEC } from './animation.js';
+import { packageStillZip, packagePrintZip, openAnimArchive, packageAnimZip, computeLoopSummaryTitleAlt } from './export.js';
+import { createTimeline } from './timeline.js';
+import { analyzeContinuity, imageThumbnails } from './continuity.js';
+import { createLanesEditor } from './lanes-editor.js';
+import { importSeries } from './series.js';
+import { decodeAudioFile, analyzeAudio, normalizeAudioRoutes, AUDIO_FEATURES, DEFAULT_AUDIO_ROUTES, AUDIO_FITS, DEFAULT_AUDIO_FIT } from './audio.js';
 import { initTheme } from './theme.js';
 import { createLoadingAnimation } from './loading-animation.js';
 
@@ -58,6 +65,30 @@ const el = {
 
     loopDuration: document.getElementById('loopDuration'),
     durationLabel: document.getElementById('durationLabel'),
+    previewBuffer: document.getElementById('previewBuffer'),
+    exportPreset: document.getElementById('exportPreset'),
+    videoCodec: document.getElementById('videoCodec'),
+    videoRateMode: document.getElementById('videoRateMode'),
+    videoBitrateField: document.getElementById('videoBitrateField'),
+    videoBitrate: document.getElementById('videoBitrate'),
+    videoQualityField: document.getElementById('videoQualityField'),
+    videoQuality: document.getElementById('videoQuality'),
+    videoKeyframe: document.getElementById('videoKeyframe'),
+    gifExport: document.getElementById('gifExport'),
+    gifOptions: document.getElementById('gifOptions'),
+    gifWidth: document.getElementById('gifWidth'),
+    gifStep: document.getElementById('gifStep'),
+    gifMaxMb: document.getElementById('gifMaxMb'),
+    gifPalette: document.getElementById('gifPalette'),
+    gifQuantizer: document.getElementById('gifQuantizer'),
+    gifDither: document.getElementById('gifDither'),
+    gifLoop: document.getElementById('gifLoop'),
+    apngExport: document.getElementById('apngExport'),
+    webpExport: document.getElementById('webpExport'),
+    webLoopOptions: document.getElementById('webLoopOptions'),
+    webLoopWidth: document.getElementById('webLoopWidth'),
+    webLoopStep: document.getElementById('webLoopStep'),
+    webpQuality: document.getElementById('webpQuality'),
 
     titleText: document.getElementById('titleText'),
     altText: document.getElementById('altText'),
@@ -74,8 +105,36 @@ const el = {
     canvasOverlay: document.getElementById('canvasOverlay'),
     canvasOverlayText: document.getElementById('canvasOverlayText'),
     renderBtn: document.getElementById('renderBtn'),
+    livePreview: document.getElementById('livePreview'),
     exportBtn: document.getElementById('exportBtn'),
+    printSize: document.getElementById('printSize'),
+    printExportBtn: document.getElementById('printExportBtn'),
+    svgGrain: document.getElementById('svgGrain'),
     progressContainer: document.getElementById('progressContainer'),
+    timeline: document.getElementById('timeline'),
+    interpolation: document.getElementById('interpolation'),
+    lanesEditor: document.getElementById('lanesEditor'),
+    playback: document.getElementById('playback'),
+    introRow: document.getElementById('introRow'),
+    introLandmarks: document.getElementById('introLandmarks'),
+    seedMode: document.getElementById('seedMode'),
+    motionBlurMode: document.getElementById('motionBlurMode'),
+    shutterOptions: document.getElementById('shutterOptions'),
+    shutterAngle: document.getElementById('shutterAngle'),
+    shutterSamples: document.getElementById('shutterSamples'),
+    audioFile: document.getElementById('audioFile'),
+    loadAudio: document.getElementById('loadAudio'),
+    clearAudio: document.getElementById('clearAudio'),
+    audioInfo: document.getElementById('audioInfo'),
+    audioRoutes: document.getElementById('audioRoutes'),
+    audioAlign: document.getElementById('audioAlign'),
+    audioOffset: document.getElementById('audioOffset'),
+    audioFit: document.getElementById('audioFit'),
+    seriesFile: document.getElementById('seriesFile'),
+    importSeries: document.getElementById('importSeries'),
+    clearSeries: document.getElementById('clearSeries'),
+    seriesInfo: document.getElementById('seriesInfo'),
+    seriesSmoothing: document.getElementById('seriesSmoothing'),
     imageProfileSelect: document.getElementById('imageProfileSelect'),
 
     infoModal: document.getElementById('infoModal'),
@@ -88,22 +147,20 @@ const el = {
  * Module instances
  * ---------------------------
  */
-const renderer = createRenderer(canvas, ctx);
-const motionBlur = createMotionBlur(canvas, ctx, { decay: MB_DECAY, add: MB_ADD });
+const renderPool = createRenderPool();
 const loadingAnim = createLoadingAnimation(document.querySelector('.canvas-overlay-inner'));
 
 /* ---------------------------
- * Thumbnail generator (full-resolution offscreen → dataURL → <img>)
+ * Thumbnail generator (quarter-size render → PNG object URL → <img>)
  * ---------------------------
+ * The renderer is resolution-independent, so a 350×225 render is the same
+ * composition as the 1400×900 canvas at a fraction of the cost.
  */
-const thumbOffscreen = document.createElement('canvas');
-thumbOffscreen.width = 1400;
-thumbOffscreen.height = 900;
-const thumbOffCtx = thumbOffscreen.getContext('2d');
-const thumbRenderer = createRenderer(thumbOffscreen, thumbOffCtx);
-
-/* ── Thumbnail cache + staggered render queue ── */
-const thumbCache = new Map();           // cacheKey → dataURL
+const THUMB_WIDTH = 350;
+const THUMB_HEIGHT = 225;
+
+/* ── Thumbnail cache + render queue ── */
+const thumbCache = new Map();           // cacheKey → object URL
 const thumbQueue = [];                  // pending { seed, aspects, destImg, key }
 let thumbProcessing = false;
 
@@ -113,8 +170,7 @@ function thumbCacheKey(seed, aspects) {
 
 /**
  * Queue a thumbnail render. Hits cache instantly if available,
- * otherwise defers to a staggered queue so heavy renders don't
- * block the main thread back-to-back (keeps loading animation smooth).
+ * otherwise renders through the render pool one at a time.
  */
 function queueThumbnail(seed, aspects, destImg) {
     const key = thumbCacheKey(seed, aspects);
@@ -126,34 +182,110 @@ function queueThumbnail(seed, aspects, destImg) {
     drainThumbQueue();
 }
 
-function drainThumbQueue() {
-    if (thumbProcessing || thumbQueue.length === 0) return;
+async function drainThumbQueue() {
+    if (thumbProcessing) return;
     thumbProcessing = true;
-    // Gap of ~50ms between renders → loading animation gets 2-3 smooth frames
-    setTimeout(() => {
+    while (thumbQueue.length > 0) {
+        // Without a worker, renders block the main thread: leave ~50ms between
+        // them so the loading animation gets 2-3 smooth frames
+        if (!renderPool.isThreaded()) await new Promise(r => setTimeout(r, 50));
+
         const item = thumbQueue.shift();
-        if (item && item.destImg.isConnected) {
-            thumbRenderer.renderWith(item.seed, item.aspects);
-            const url = thumbOffscreen.toDataURL('image/png');
-            thumbCache.set(item.key, url);
-            item.destImg.src = url;
+        if (!item.destImg.isConnected) continue;
+        if (thumbCache.has(item.key)) {
+            item.destImg.src = thumbCache.get(item.key);
+            continue;
+        }
+        try {
+            const result = await renderPool.render({
+                seed: item.seed,
+                aspects: item.aspects,
+                width: THUMB_WIDTH,
+                height: THUMB_HEIGHT,
+                format: 'png',
+            }).promise;
+            if (result) {
+                const url = URL.createObjectURL(result.blob);
+                thumbCache.set(item.key, url);
+                item.destImg.src = url;
+            }
+        } catch (err) {
+            console.error(err);
         }
-        thumbProcessing = false;
-        drainThumbQueue();
-    }, 50);
+    }
+    thumbProcessing = false;
 }
 
-/** Synchronous render (used only when immediate result is needed). */
-function renderThumbnail(seed, aspects, destImg) {
-    const key = thumbCacheKey(seed, aspects);
-    if (thumbCache.has(key)) {
-        destImg.src = thumbCache.get(key);
-        return;
+/* ---------------------------
+ * Live canvas
+ * ---------------------------
+ * Stills for #c render through the render pool. At most one render is in
+ * flight; a newer request replaces any queued one, so dragging a slider
+ * never builds a backlog. A newer request also cancels a full-quality
+ * render still in flight (it is stale); drafts are cheap and may land.
+ */
+const LIVE_DRAFT_SCALE = 0.5;
+let liveJob = null;                     // { handle, draft }
+let liveNext = null;                    // { seed, aspects, draft, resolve }
+
+/**
+ * Render a still into the main canvas.
+ * @param {object} [opts]
+ * @param {boolean} [opts.draft] - half-size, grain-free preview pass
+ * @returns {Promise<object|null>} meta, or null if superseded / cancelled
+ */
+function renderToCanvas(seed, aspects, { draft = false } = {}) {
+    return new Promise((resolve) => {
+        liveNext?.resolve(null);
+        liveNext = { seed, aspects, draft, resolve };
+        if (liveJob && !liveJob.draft) detachLiveJob();
+        pumpLiveRender();
+    });
+}
+
+function detachLiveJob() {
+    liveJob.handle.cancel();
+    liveJob = null;
+}
+
+async function pumpLiveRender() {
+    if (liveJob || !liveNext) return;
+    const { seed, aspects, draft, resolve } = liveNext;
+    liveNext = null;
+    const scale = draft ? LIVE_DRAFT_SCALE : 1;
+    const current = {
+        draft,
+        handle: renderPool.render({
+            seed,
+            aspects,
+            draft,
+            width: Math.round(canvas.width * scale),
+            height: Math.round(canvas.height * scale),
+        }),
+    };
+    liveJob = current;
+    try {
+        const result = await current.handle.promise;
+        if (result) {
+            ctx.drawImage(result.bitmap, 0, 0, canvas.width, canvas.height);
+            result.bitmap.close();
+        }
+        resolve(result ? result.meta : null);
+    } catch (err) {
+        console.error(err);
+        resolve(null);
+    } finally {
+        if (liveJob === current) liveJob = null;
+        pumpLiveRender();
     }
-    thumbRenderer.renderWith(seed, aspects);
-    const url = thumbOffscreen.toDataURL('image/png');
-    thumbCache.set(key, url);
-    destImg.src = url;
+}
+
+/** Drop queued and in-flight live renders (e.g. when the canvas switches to animation). */
+function cancelLiveRender() {
+    clearTimeout(liveSettleTimer);
+    liveNext?.resolve(null);
+    liveNext = null;
+    if (liveJob) detachLiveJob();
 }
 
 /* ---------------------------
@@ -338,7 +470,12 @@ const animSelectUI = wrapSelect(el.profileSelect, {
  */
 let currentMode = 'image';
 let loopLandmarks = [];
+let loopKeys = [];              // per-landmark { atMs?, holdMs? }, parallel to loopLandmarks
+let loopLanes = {};             // automation lanes by aspect (see interpolation.js)
+let loopSeries = null;          // imported data series (see series.js), or null
 let loopDurationMs = 7_000;
+let loopAudio = null;           // { id?, name, blob, buffer, features } of the loaded audio file; id once stored
+let audioRoutes = DEFAULT_AUDIO_ROUTES.map(r => ({ ...r }));    // feature → aspect (see audio.js)
 
 let stillRendered = false;
 let loadedProfileName = '';
@@ -346,8 +483,14 @@ let loadedProfileName = '';
 const frameBuffer = {
     frames: [],
     rendered: false,
+    fullSize: false,        // full-size, every-frame buffer → export can encode it directly
+    preset: null,           // resolveExportPreset() the frames were rendered at
+    motionBlur: null,       // normalizeMotionBlur() the frames were rendered with
     durationMs: 0,
     seed: '',
+    landmarks: [],          // as rendered (names + key timing), for timeline markers
+    path: { playback: DEFAULT_PLAYBACK },   // as rendered, see currentPath()
+    continuity: null,       // analyzeContinuity() report, for the timeline and manifest
     rendering: false,
 };
 
@@ -362,8 +505,16 @@ function invalidateFrameBuffer() {
     }
     frameBuffer.frames = [];
     frameBuffer.rendered = false;
+    frameBuffer.fullSize = false;
+    frameBuffer.preset = null;
+    frameBuffer.motionBlur = null;
     frameBuffer.durationMs = 0;
     frameBuffer.seed = '';
+    frameBuffer.landmarks = [];
+    frameBuffer.path = { playback: DEFAULT_PLAYBACK };
+    frameBuffer.continuity = null;
+    timeline.hide();
+    lanesEditor.setPlayhead(null);
 
     el.exportBtn.disabled = true;
     el.renderBtn.disabled = false;
@@ -387,6 +538,16 @@ function toast(msg) {
     setTimeout(() => { if (el.toast.textContent === msg) el.toast.textContent = ''; }, 2400);
 }
 
+/**
+ * Show a progress message in the toast line until the next toast or
+ * status (no auto-clear). Returns a function that clears it if it is still
+ * the one showing.
+ */
+function status(msg) {
+    el.toast.textContent = msg;
+    return () => { if (el.toast.textContent === msg) el.toast.textContent = ''; };
+}
+
 function readAspectsFromUI() {
     return {
         coherence: parseFloat(el.coherence.value),
@@ -528,15 +689,16 @@ function playRevealAnimation(titleText, altText) {
     typewriterAbort = cancelTitle;
 }
 
-/** Render + update DOM title/alt. */
-function renderAndUpdate(seed, aspects, { animate = false } = {}) {
+/** Render + update DOM title/alt. Resolves meta, or null if superseded. */
+async function renderAndUpdate(seed, aspects, { animate = false } = {}) {
     if (animate) {
         // Hide canvas behind overlay before rendering new content
         el.canvasOverlay.classList.remove('hidden');
         loadingAnim.stop();
         el.canvasOverlayText.textContent = '';
     }
-    const meta = renderer.renderWith(seed, aspects);
+    const meta = await renderToCanvas(seed, aspects);
+    if (!meta) return null;
     if (animate) {
         playRevealAnimation(meta.title, meta.altText);
     } else {
@@ -549,50 +711,132 @@ function renderAndUpdate(seed, aspects, { animate = false } = {}) {
 function getLandmarkAspectsOrdered() {
     const profiles = loadProfiles();
     const arr = [];
-    for (const name of loopLandmarks) {
+    loopLandmarks.forEach((name, i) => {
         const p = profiles[name];
-        if (p?.aspects) arr.push({ name, ...p });
-    }
+        if (p?.aspects) arr.push({ name, ...p, ...loopKeys[i] });
+    });
     return arr;
 }
 
-function deriveAnimSeed() {
-    const landmarks = getLandmarkAspectsOrdered();
-    if (landmarks.length === 0) return 'anim-seed';
-    const combined = landmarks.map(l => l.seed || l.name).join('::');
-    return 'anim::' + combined;
+/** Playback mode of the loop being edited: { playback, introLandmarks }. */
+function currentPath() {
+    return {
+        playback: el.playback.value,
+        introLandmarks: parseInt(el.introLandmarks.value, 10) || 1,
+    };
 }
 
 function refreshLoopList() {
     const profiles = loadProfiles();
+    el.introLandmarks.max = String(Math.max(1, loopLandmarks.length - 2));
     renderLoopList(el.loopList, loopLandmarks, profiles, {
-        onReorder(newLandmarks) {
+        onReorder(newLandmarks, newKeys) {
             loopLandmarks = newLandmarks;
+            loopKeys = newKeys;
             invalidateFrameBuffer();
             refreshLoopList();
         },
         onRemove(idx) {
             loopLandmarks.splice(idx, 1);
+            loopKeys.splice(idx, 1);
+            invalidateFrameBuffer();
+            refreshLoopList();
+        },
+        onKeyChange(idx, key) {
+            loopKeys[idx] = key;
             invalidateFrameBuffer();
             refreshLoopList();
         },
-    }, queueThumbnail);
+    }, queueThumbnail, {
+        keys: loopKeys,
+        durationMs: loopDurationMs,
+        tangents: el.interpolation.value === 'bezier',
+        ...currentPath(),
+    });
+    refreshLanesContext();
+}
+
+function addLoopLandmark(name) {
+    loopLandmarks.push(name);
+    loopKeys.push({});
+    invalidateFrameBuffer();
+    refreshLoopList();
+}
+
+/* ---------------------------
+ * Automation lanes
+ * ---------------------------
+ */
+const lanesEditor = createLanesEditor(el.lanesEditor, {
+    onChange(lanes) {
+        loopLanes = lanes;
+        invalidateFrameBuffer();
+    },
+    onSeed() {
+        const landmarks = getLandmarkAspectsOrdered();
+        if (landmarks.length < 2) { toast('Add 2+ landmarks.'); return null; }
+        return lanesFromLandmarks(landmarks, loopDurationMs, currentPath());
+    },
+});
+
+/**
+ * Landmark markers and the landmark-driven curves shown in empty lanes.
+ * Lanes run along the path, so ping-pong shows its forward pass only.
+ */
+function refreshLanesContext() {
+    const landmarks = getLandmarkAspectsOrdered();
+    const path = currentPath();
+    const opts = { durationMs: loopDurationMs, interpolation: el.interpolation.value, series: loopSeries, ...path };
+    const toTimeline = (p) => (path.playback === 'ping-pong' ? p / 2 : p);
+    lanesEditor.setContext({
+        durationMs: pathDurationMs(loopDurationMs, path.playback),
+        markers: landmarkTimes(landmarks, loopDurationMs, path).map(({ t }, i) => ({ tNorm: t, name: landmarks[i].name })),
+        follow: landmarks.length >= 2 ? (p) => evalAspectsAt(toTimeline(p), landmarks, opts) : null,
+    });
 }
 
 /* ---------------------------
  * Animation controller
  * ---------------------------
  */
+/** Draw a buffered frame fitted into the canvas (preset frames may have another shape). */
+function drawBufferFrame(bitmap) {
+    const scale = Math.min(canvas.width / bitmap.width, canvas.height / bitmap.height);
+    const w = Math.round(bitmap.width * scale);
+    const h = Math.round(bitmap.height * scale);
+    if (w !== canvas.width || h !== canvas.height) ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, Math.round((canvas.width - w) / 2), Math.round((canvas.height - h) / 2), w, h);
+}
+
 const animController = createAnimationController({
-    drawFrame(bitmap) {
-        ctx.drawImage(bitmap, 0, 0);
+    drawFrame: drawBufferFrame,
+    onFrame(tNorm, frameIndex) {
+        timeline.update(tNorm, frameIndex);
+        lanesEditor.setPlayhead(pathPosition(tNorm, frameBuffer.path.playback));
     },
-    onFrame(tNorm) {
-        el.progressBar.style.width = `${(tNorm * 100).toFixed(2)}%`;
+    onPlayStateChange(playing) {
+        timeline.setPlaying(playing);
     },
-    onPlayStateChange() {},
 });
 
+const timeline = createTimeline(el.timeline, animController);
+
+/** Start playback of the frame buffer from the top, with the timeline bound to it. */
+function playFrameBuffer() {
+    const { landmarks, durationMs, path } = frameBuffer;
+    animController.playFromBuffer(frameBuffer.frames, durationMs, {
+        loopFrom: loopStartT(landmarks, durationMs, path) ?? 0,
+        once: path.playback === 'once',
+    });
+    timeline.setBuffer({
+        durationMs,
+        markers: landmarkVisits(landmarks, durationMs, path)
+            .map(({ t, hold, index }) => ({ name: landmarks[index].name, tNorm: t, hold })),
+        continuity: frameBuffer.continuity,
+    });
+    timeline.show();
+}
+
 /* ---------------------------
  * Duration slider
  * ---------------------------
@@ -604,6 +848,317 @@ el.loopDuration.addEventListener('input', () => {
     invalidateFrameBuffer();
 });
 
+// Key time placeholders depend on the loop length
+el.loopDuration.addEventListener('change', refreshLoopList);
+
+el.interpolation.addEventListener('change', () => {
+    invalidateFrameBuffer();
+    refreshLoopList();
+});
+
+function syncPlaybackFields() {
+    el.introRow.classList.toggle('hidden', el.playback.value !== 'intro');
+    // A one-shot GIF should stop on its last frame
+    el.gifLoop.checked = el.playback.value !== 'once';
+}
+
+el.playback.addEventListener('change', () => {
+    syncPlaybackFields();
+    invalidateFrameBuffer();
+    refreshLoopList();
+});
+
+el.introLandmarks.addEventListener('change', () => {
+    invalidateFrameBuffer();
+    refreshLoopList();
+});
+
+el.seedMode.addEventListener('change', invalidateFrameBuffer);
+
+/** Motion blur settings from the UI (see normalizeMotionBlur). */
+function currentMotionBlur() {
+    return normalizeMotionBlur({
+        mode: el.motionBlurMode.value,
+        shutterAngle: parseFloat(el.shutterAngle.value),
+        samples: parseInt(el.shutterSamples.value, 10),
+    });
+}
+
+function setMotionBlurFields(motionBlur) {
+    const { mode, shutterAngle, samples } = normalizeMotionBlur(motionBlur);
+    el.motionBlurMode.value = mode;
+    el.shutterAngle.value = String(shutterAngle);
+    el.shutterSamples.value = String(samples);
+    // A saved sample count the menu doesn't offer
+    if (el.shutterSamples.value !== String(samples)) el.shutterSamples.add(new Option(`${samples} samples`, String(samples), true, true));
+    el.shutterOptions.classList.toggle('hidden', mode !== 'shutter');
+}
+
+el.motionBlurMode.addEventListener('change', () => {
+    el.shutterOptions.classList.toggle('hidden', el.motionBlurMode.value !== 'shutter');
+    invalidateFrameBuffer();
+});
+el.shutterAngle.addEventListener('change', invalidateFrameBuffer);
+el.shutterSamples.addEventListener('change', invalidateFrameBuffer);
+
+/* ---------------------------
+ * Audio
+ * ---------------------------
+ */
+const AUDIO_FEATURE_LABELS = { energy: 'Energy', centroid: 'Brightness', onsets: 'Onsets' };
+
+/** Audio options for rendering and export, or undefined without a file. */
+function currentAudio() {
+    if (!loopAudio) return undefined;
+    return { ...loopAudio, routes: audioRoutes, ...currentAudioAlign() };
+}
+
+/** Where the video starts in the file and what happens when it runs out. */
+function currentAudioAlign() {
+    return {
+        offsetMs: Math.max(0, Math.round((parseFloat(el.audioOffset.value) || 0) * 1000)),
+        fit: el.audioFit.value,
+    };
+}
+
+function renderAudioRoutes() {
+    el.audioRoutes.replaceChildren(...AUDIO_FEATURES.map((feature) => {
+        const route = audioRoutes.find(r => r.feature === feature);
+        const row = document.createElement('div');
+        row.className = 'key-fields';
+
+        const name = document.createElement('span');
+        name.textContent = AUDIO_FEATURE_LABELS[feature];
+
+        const aspect = document.createElement('select');
+        aspect.setAttribute('aria-label', `Aspect driven by ${AUDIO_FEATURE_LABELS[feature].toLowerCase()}`);
+        for (const key of ['', ...ASPECT_KEYS]) {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = key ? key[0].toUpperCase() + key.slice(1) : 'Off';
+            aspect.appendChild(opt);
+        }
+        aspect.value = route?.aspect || '';
+
+        const amountLabel = document.createElement('label');
+        amountLabel.textContent = 'amount';
+        const amount = document.createElement('input');
+        amount.type = 'number';
+        amount.min = '-1';
+        amount.max = '1';
+        amount.step = '0.05';
+        amount.value = String(route?.amount ?? 0.25);
+        amount.disabled = !route;
+        amountLabel.appendChild(amount);
+
+        const update = () => {
+            const value = parseFloat(amount.value);
+            const others = audioRoutes.filter(r => r.feature !== feature);
+            const next = aspect.value ? [{ feature, aspect: aspect.value, amount: Number.isFinite(value) ? value : 0 }] : [];
+            audioRoutes = normalizeAudioRoutes([...others, ...next]);
+            amount.disabled = !aspect.value;
+            if (loopAudio) invalidateFrameBuffer();
+        };
+        aspect.addEventListener('change', update);
+        amount.addEventListener('change', update);
+
+        row.append(name, aspect, amountLabel);
+        return row;
+    }));
+}
+
+function setLoopAudio(audio) {
+    loopAudio = audio;
+    el.clearAudio.disabled = !audio;
+    el.audioInfo.classList.toggle('hidden', !audio);
+    el.audioAlign.classList.toggle('hidden', !audio);
+    if (audio) {
+        el.audioInfo.textContent = `${audio.name} · ${audio.buffer.duration.toFixed(1)}s`;
+        el.audioOffset.max = String(Math.floor(audio.buffer.duration * 10) / 10);
+    }
+    invalidateFrameBuffer();
+}
+
+/** Decode and analyse an audio file; resolves null (after telling the user) if it cannot be decoded. */
+async function openAudio(blob, name) {
+    try {
+        const buffer = await decodeAudioFile(blob);
+        return { name, blob, buffer, features: analyzeAudio(buffer) };
+    } catch (err) {
+        console.error(err);
+        toast('Could not decode that audio file.');
+        return null;
+    }
+}
+
+/** Restore an animation profile's audio (file from IndexedDB, settings from the profile). */
+async function loadProfileAudio(saved) {
+    audioRoutes = normalizeAudioRoutes(saved?.routes ?? DEFAULT_AUDIO_ROUTES);
+    el.audioOffset.value = String((saved?.offsetMs || 0) / 1000);
+    el.audioFit.value = AUDIO_FITS.includes(saved?.fit) ? saved.fit : DEFAULT_AUDIO_FIT;
+    renderAudioRoutes();
+    setLoopAudio(null);
+    if (!saved?.id) return;
+
+    let blob = null;
+    try {
+        blob = await loadAudioFile(saved.id);
+    } catch (err) {
+        console.error(err);
+    }
+    if (!blob) {
+        toast(`Audio file missing: ${saved.name}`);
+        return;
+    }
+    const audio = await openAudio(blob, saved.name);
+    if (audio) setLoopAudio({ ...audio, id: saved.id });
+}
+
+el.loadAudio.addEventListener('click', () => el.audioFile.click());
+
+el.audioFile.addEventListener('change', async () => {
+    const file = el.audioFile.files[0];
+    el.audioFile.value = '';
+    if (!file) return;
+    const audio = await openAudio(file, file.name);
+    if (!audio) return;
+    el.audioOffset.value = '0';
+    setLoopAudio(audio);
+    toast(`Loaded ${file.name}.`);
+});
+
+el.clearAudio.addEventListener('click', () => setLoopAudio(null));
+el.audioOffset.addEventListener('change', () => { if (loopAudio) invalidateFrameBuffer(); });
+el.audioFit.addEventListener('change', () => { if (loopAudio) invalidateFrameBuffer(); });
+
+renderAudioRoutes();
+
+/* ---------------------------
+ * Data series
+ * ---------------------------
+ */
+function setLoopSeries(series) {
+    loopSeries = series;
+    el.clearSeries.disabled = !series;
+    el.seriesInfo.classList.toggle('hidden', !series);
+    if (series) {
+        el.seriesInfo.textContent = `${series.name} \u00b7 ${series.rows} rows \u00b7 ${Object.keys(series.samples).join(', ')}`;
+        el.seriesSmoothing.value = String(series.smoothingMs / 1000);
+    }
+    invalidateFrameBuffer();
+    refreshLanesContext();
+}
+
+el.importSeries.addEventListener('click', () => el.seriesFile.click());
+
+el.seriesFile.addEventListener('change', async () => {
+    const file = el.seriesFile.files[0];
+    el.seriesFile.value = '';
+    if (!file) return;
+    let imported;
+    try {
+        imported = importSeries(await file.text(), {
+            name: file.name,
+            durationMs: loopDurationMs,
+            smoothingMs: Math.max(0, (parseFloat(el.seriesSmoothing.value) || 0) * 1000),
+        });
+    } catch (err) {
+        console.error(err);
+        toast(`Could not import ${file.name}: ${err.message}`);
+        return;
+    }
+    const { rescaled, ...series } = imported;
+    setLoopSeries(normalizeSeries(series));
+    toast(rescaled.length ? `Imported ${file.name} (rescaled ${rescaled.join(', ')} to 0\u20131).` : `Imported ${file.name}.`);
+});
+
+el.clearSeries.addEventListener('click', () => setLoopSeries(null));
+
+el.seriesSmoothing.addEventListener('change', () => {
+    if (!loopSeries) return;
+    const smoothingMs = Math.max(0, (parseFloat(el.seriesSmoothing.value) || 0) * 1000);
+    setLoopSeries({ ...loopSeries, smoothingMs });
+});
+
+/* ---------------------------
+ * Video export options
+ * ---------------------------
+ */
+
+/** Video encoder settings for exportFromBuffer / exportStreaming. */
+function currentVideo() {
+    const mbps = parseFloat(el.videoBitrate.value);
+    const quality = parseFloat(el.videoQuality.value);
+    return {
+        codec: el.videoCodec.value,
+        rateMode: el.videoRateMode.value,
+        bitrate: mbps > 0 ? Math.round(mbps * 1_000_000) : DEFAULT_VIDEO_BITRATE,
+        quality: Number.isFinite(quality) ? Math.min(Math.max(quality, 0), 100) : DEFAULT_VIDEO_QUALITY,
+        keyframeSec: parseFloat(el.videoKeyframe.value) > 0 ? parseFloat(el.videoKeyframe.value) : DEFAULT_KEYFRAME_SEC,
+    };
+}
+
+const VIDEO_LABELS = { avc: 'H.264 MP4', vp9: 'VP9 WebM', av1: 'AV1 WebM' };
+
+// Constant quality has no bitrate to set, and the bitrate modes no quality
+el.videoRateMode.addEventListener('change', () => {
+    const quality = el.videoRateMode.value === 'quality';
+    el.videoBitrateField.classList.toggle('hidden', quality);
+    el.videoQualityField.classList.toggle('hidden', !quality);
+});
+
+/* ---------------------------
+ * GIF export options
+ * ---------------------------
+ */
+
+/** GIF options for exportFromBuffer / exportStreaming, or undefined when off. */
+function currentGif() {
+    if (!el.gifExport.checked) return undefined;
+    return {
+        width: parseInt(el.gifWidth.value, 10) || frameBuffer.preset.width,
+        step: parseInt(el.gifStep.value, 10) || 1,
+        maxBytes: Math.max(0, Math.round((parseFloat(el.gifMaxMb.value) || 0) * 1024 * 1024)),
+        palette: el.gifPalette.value,
+        quantizer: el.gifQuantizer.value,
+        dither: el.gifDither.value,
+        loop: el.gifLoop.checked,
+    };
+}
+
+el.gifExport.addEventListener('change', () => {
+    el.gifOptions.classList.toggle('hidden', !el.gifExport.checked);
+});
+
+/** APNG / animated WebP options for export, or undefined when neither is on. */
+function currentWebLoops() {
+    if (!el.apngExport.checked && !el.webpExport.checked) return undefined;
+    return {
+        apng: el.apngExport.checked,
+        webp: el.webpExport.checked,
+        width: parseInt(el.webLoopWidth.value, 10) || frameBuffer.preset.width,
+        step: parseInt(el.webLoopStep.value, 10) || 1,
+        webpQuality: parseFloat(el.webpQuality.value) || 1,
+    };
+}
+
+for (const box of [el.apngExport, el.webpExport]) {
+    box.addEventListener('change', () => {
+        el.webLoopOptions.classList.toggle('hidden', !el.apngExport.checked && !el.webpExport.checked);
+    });
+}
+
+el.previewBuffer.addEventListener('change', () => {
+    invalidateFrameBuffer();
+});
+
+/** Size and fps to render the animation at (see EXPORT_PRESETS). */
+function currentPreset() {
+    return resolveExportPreset(el.exportPreset.value, canvas.width, canvas.height);
+}
+
+el.exportPreset.addEventListener('change', invalidateFrameBuffer);
+
 /* ---------------------------
  * Mode switching
  * ---------------------------
@@ -627,19 +1182,16 @@ function setMode(mode) {
 
     if (mode === 'image') {
         el.progressContainer.classList.add('hidden');
+        timeline.hide();
         hideCanvasOverlay();
         animController.stop();
-        motionBlur.setEnabled(false);
-        motionBlur.clear();
-        renderStillCanvas();
         clearStillText();
         setStillRendered(false);
+        renderStillCanvas();
         el.renderBtn.textContent = 'Render';
         el.renderBtn.disabled = false;
     } else {
-        el.progressContainer.classList.remove('hidden');
-        motionBlur.setEnabled(MOTION_BLUR_ENABLED);
-        motionBlur.clear();
+        cancelLiveRender();
 
         refreshProfileSelect(el.profileSelect); animSelectUI.refresh();
         refreshLoopList();
@@ -647,11 +1199,11 @@ function setMode(mode) {
         if (frameBuffer.rendered) {
             hideCanvasOverlay();
             if (frameBuffer.frames.length > 0) {
-                ctx.drawImage(frameBuffer.frames[0], 0, 0);
+                drawBufferFrame(frameBuffer.frames[0]);
             }
             el.renderBtn.textContent = 'Re-render';
             el.exportBtn.disabled = false;
-            animController.playFromBuffer(frameBuffer.frames, frameBuffer.durationMs);
+            playFrameBuffer();
         } else {
             showCanvasOverlay('Render to preview');
             el.titleText.textContent = '';
@@ -660,6 +1212,8 @@ function setMode(mode) {
             el.exportBtn.disabled = true;
         }
     }
+    updateRenderButtonVisibility();
+
     // Toggle save buttons
     el.saveProfile.classList.toggle('hidden', mode !== 'image');
     el.saveAnimProfile.classList.toggle('hidden', mode !== 'anim');
@@ -673,13 +1227,42 @@ el.modeAnim.addEventListener('click', () => setMode('anim'));
 /* ---------------------------
  * Image mode
  * ---------------------------
+ * With live preview on, slider drags show draft renders; once input settles
+ * for LIVE_SETTLE_MS a full render lands together with title and alt text,
+ * so the Render button is not needed. With it off, edits redraw the canvas
+ * only and Render produces the text.
  */
-/** Render canvas only (no title/alt-text). For live slider preview. */
-function renderStillCanvas() {
+const LIVE_SETTLE_MS = 180;
+let liveSettleTimer = 0;
+
+function isLivePreview() {
+    return el.livePreview.checked;
+}
+
+/** Full-quality render of the current settings (plus title/alt-text in live preview). */
+async function renderStillCanvas() {
     const seed = el.seed.value.trim() || 'seed';
     const aspects = readAspectsFromUI();
     updateAspectLabels(aspects);
-    renderer.renderWith(seed, aspects);
+    if (!isLivePreview()) {
+        renderToCanvas(seed, aspects);
+        return;
+    }
+    if (await renderAndUpdate(seed, aspects)) setStillRendered(true);
+}
+
+/** Draft render while a control is moving; full render once it settles. */
+function renderStillDraft() {
+    const seed = el.seed.value.trim() || 'seed';
+    const aspects = readAspectsFromUI();
+    updateAspectLabels(aspects);
+    renderToCanvas(seed, aspects, { draft: true });
+    clearTimeout(liveSettleTimer);
+    liveSettleTimer = setTimeout(renderStillCanvas, LIVE_SETTLE_MS);
+}
+
+function updateRenderButtonVisibility() {
+    el.renderBtn.classList.toggle('hidden', currentMode === 'image' && isLivePreview());
 }
 
 el.renderBtn.addEventListener('click', async () => {
@@ -687,7 +1270,7 @@ el.renderBtn.addEventListener('click', async () => {
         const seed = el.seed.value.trim() || 'seed';
         const aspects = readAspectsFromUI();
         updateAspectLabels(aspects);
-        renderAndUpdate(seed, aspects, { animate: true });
+        if (!await renderAndUpdate(seed, aspects, { animate: true })) return;
         setStillRendered(true);
         toast('Rendered.');
     } else {
@@ -702,20 +1285,34 @@ el.renderBtn.addEventListener('click', async () => {
         el.renderBtn.disabled = true;
         el.renderBtn.textContent = 'Rendering\u2026';
         el.exportBtn.disabled = true;
+        el.progressContainer.classList.remove('hidden');
 
         showCanvasOverlay('Rendering\u2026', true);
 
-        const seed = deriveAnimSeed();
+        const seed = deriveAnimSeed(landmarks);
+        const preset = currentPreset();
+        const totalFrames = totalFrameCount(loopDurationMs, preset.fps);
+        const bufferKind = choosePreviewBuffer(el.previewBuffer.value, preset.width, preset.height, totalFrames);
+        const { scale, step } = PREVIEW_BUFFERS[bufferKind];
 
         try {
             const frames = await preRenderFrames({
-                canvas,
-                renderer,
-                motionBlur,
+                pool: renderPool,
+                width: preset.width,
+                height: preset.height,
+                previewScale: scale,
+                previewStep: step,
                 landmarks,
                 seed,
                 durationMs: loopDurationMs,
-                fps: ANIM_FPS,
+                fps: preset.fps,
+                interpolation: el.interpolation.value,
+                series: loopSeries,
+                lanes: loopLanes,
+                ...currentPath(),
+                seedMode: el.seedMode.value,
+                audio: currentAudio(),
+                motionBlur: currentMotionBlur(),
                 onProgress(done, total) {
                     el.progressBar.style.width = `${((done / total) * 100).toFixed(1)}%`;
                 },
@@ -730,21 +1327,42 @@ el.renderBtn.addEventListener('click', async () => {
 
             frameBuffer.frames = frames;
             frameBuffer.rendered = true;
+            frameBuffer.fullSize = bufferKind === 'full';
+            frameBuffer.preset = preset;
+            frameBuffer.motionBlur = currentMotionBlur();
             frameBuffer.durationMs = loopDurationMs;
             frameBuffer.seed = seed;
+            frameBuffer.landmarks = landmarks;
+            frameBuffer.path = currentPath();
+            frameBuffer.continuity = analyzeContinuity(landmarks, {
+                durationMs: loopDurationMs,
+                fps: preset.fps,
+                interpolation: el.interpolation.value,
+                series: loopSeries,
+                lanes: loopLanes,
+                ...frameBuffer.path,
+                audio: currentAudio(),
+                thumbs: imageThumbnails(frames),
+                thumbStep: step,
+            });
 
             el.exportBtn.disabled = false;
             el.renderBtn.textContent = 'Re-render';
 
             if (frames.length > 0) {
-                ctx.drawImage(frames[0], 0, 0);
+                drawBufferFrame(frames[0]);
             }
 
-            const summary = computeLoopSummaryTitleAlt(seed, landmarks, loopDurationMs / 1000);
+            const summary = computeLoopSummaryTitleAlt(seed, landmarks, loopDurationMs / 1000, {
+                interpolation: el.interpolation.value,
+                series: loopSeries,
+                lanes: loopLanes,
+                ...frameBuffer.path,
+            });
             playRevealAnimation(summary.title, summary.altText);
 
             // Auto-play
-            animController.playFromBuffer(frames, loopDurationMs);
+            playFrameBuffer();
 
             toast(`Rendered ${frames.length} frames.`);
         } catch (err) {
@@ -754,21 +1372,28 @@ el.renderBtn.addEventListener('click', async () => {
         } finally {
             frameBuffer.rendering = false;
             el.renderBtn.disabled = false;
+            el.progressContainer.classList.add('hidden');
         }
     }
 });
 
 for (const id of ['coherence', 'tension', 'recursion', 'motion', 'vulnerability', 'radiance']) {
     el[id].addEventListener('input', () => {
-        renderStillCanvas();
         clearStillText();
         setStillRendered(false);
+        if (isLivePreview()) renderStillDraft();
+        else renderStillCanvas();
     });
 }
 el.seed.addEventListener('change', () => {
-    renderStillCanvas();
     clearStillText();
     setStillRendered(false);
+    renderStillCanvas();
+});
+
+el.livePreview.addEventListener('change', () => {
+    updateRenderButtonVisibility();
+    if (currentMode === 'image' && isLivePreview() && !stillRendered) renderStillCanvas();
 });
 
 el.imageProfileSelect.addEventListener('change', () => {
@@ -800,18 +1425,49 @@ el.saveProfile.addEventListener('click', () => {
     toast(`Saved profile: ${name}`);
 });
 
-el.saveAnimProfile.addEventListener('click', () => {
+el.saveAnimProfile.addEventListener('click', async () => {
     const name = (el.animProfileName.value || '').trim();
     if (!name) { toast('Give the animation profile a name.'); return; }
     if (loopLandmarks.length < 2) { toast('Add 2+ landmarks to save.'); return; }
 
+    // A stored file is pruned once no profile refers to it: store it again if that happened
+    if (loopAudio && !Object.values(loadAnimProfiles()).some(p => p.audio?.id && p.audio.id === loopAudio.id)) {
+        try {
+            loopAudio.id = await saveAudioFile(loopAudio.blob);
+        } catch (err) {
+            console.error(err);
+            toast('Could not store the audio file.');
+            return;
+        }
+    }
+    const align = currentAudioAlign();
+
     const animProfiles = loadAnimProfiles();
     animProfiles[name] = {
         landmarks: [...loopLandmarks],
+        keys: loopKeys.map(k => ({ ...k })),
         durationMs: loopDurationMs,
+        interpolation: el.interpolation.value,
+        ...(loopSeries ? { series: loopSeries } : {}),
+        ...(Object.keys(loopLanes).length ? { lanes: loopLanes } : {}),
+        ...(el.playback.value !== DEFAULT_PLAYBACK ? { playback: el.playback.value } : {}),
+        ...(el.playback.value === 'intro' ? { introLandmarks: currentPath().introLandmarks } : {}),
+        ...(el.seedMode.value !== DEFAULT_SEED_MODE ? { seedMode: el.seedMode.value } : {}),
+        ...(el.exportPreset.value !== DEFAULT_EXPORT_PRESET ? { exportPreset: el.exportPreset.value } : {}),
+        ...(el.motionBlurMode.value !== DEFAULT_MOTION_BLUR_MODE ? { motionBlur: currentMotionBlur() } : {}),
+        ...(loopAudio ? {
+            audio: {
+                id: loopAudio.id,
+                name: loopAudio.name,
+                ...(align.offsetMs ? { offsetMs: align.offsetMs } : {}),
+                ...(align.fit !== DEFAULT_AUDIO_FIT ? { fit: align.fit } : {}),
+                routes: audioRoutes,
+            },
+        } : {}),
         note: (el.animNote.value || '').trim(),
     };
     saveAnimProfiles(animProfiles);
+    pruneAudioFiles();
     refreshAnimProfileGallery();
     toast(`Saved animation: ${name}`);
 });
@@ -912,9 +1568,7 @@ function refreshProfileGallery() {
             actionBtn.classList.add('primary');
             actionBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                loopLandmarks.push(name);
-                invalidateFrameBuffer();
-                refreshLoopList();
+                addLoopLandmark(name);
                 toast(`Added: ${name}`);
             });
         }
@@ -1052,7 +1706,8 @@ function refreshAnimProfileGallery() {
         const meta = document.createElement('div');
         meta.className = 'anim-card-meta';
         const validCount = ap.landmarks.filter(n => imageProfiles[n]).length;
-        meta.textContent = `${validCount} landmark${validCount !== 1 ? 's' : ''} \u00b7 ${Math.round(ap.durationMs / 1000)}s`;
+        meta.textContent = `${validCount} landmark${validCount !== 1 ? 's' : ''} \u00b7 ${Math.round(ap.durationMs / 1000)}s` +
+            (ap.series ? ' \u00b7 data-driven' : '');
         body.appendChild(meta);
 
         // Actions
@@ -1061,10 +1716,21 @@ function refreshAnimProfileGallery() {
 
         const actionBtn = document.createElement('button');
         actionBtn.textContent = 'Load';
-        actionBtn.addEventListener('click', (e) => {
+        actionBtn.addEventListener('click', async (e) => {
             e.stopPropagation();
             setMode('anim');
             loopLandmarks = [...ap.landmarks];
+            loopKeys = animProfileKeys(ap);
+            el.interpolation.value = ap.interpolation || DEFAULT_INTERPOLATION;
+            loopLanes = normalizeLanes(ap.lanes);
+            lanesEditor.setLanes(loopLanes);
+            setLoopSeries(normalizeSeries(ap.series));
+            el.playback.value = ap.playback || DEFAULT_PLAYBACK;
+            el.introLandmarks.value = String(ap.introLandmarks || 1);
+            syncPlaybackFields();
+            el.seedMode.value = ap.seedMode || DEFAULT_SEED_MODE;
+            el.exportPreset.value = EXPORT_PRESETS[ap.exportPreset] ? ap.exportPreset : DEFAULT_EXPORT_PRESET;
+            setMotionBlurFields(ap.motionBlur);
             loopDurationMs = ap.durationMs;
             const secs = Math.round(ap.durationMs / 1000);
             el.loopDuration.value = secs;
@@ -1074,6 +1740,7 @@ function refreshAnimProfileGallery() {
             invalidateFrameBuffer();
             refreshLoopList();
             toast(`Loaded animation: ${name}`);
+            await loadProfileAudio(ap.audio);
         });
 
         actions.appendChild(actionBtn);
@@ -1095,11 +1762,35 @@ function refreshAnimProfileGallery() {
         };
 
         addRow('Duration', `${Math.round(ap.durationMs / 1000)}s`);
+        if (ap.interpolation && ap.interpolation !== DEFAULT_INTERPOLATION) addRow('Interpolation', ap.interpolation);
+        if (ap.playback && ap.playback !== DEFAULT_PLAYBACK) {
+            addRow('Playback', ap.playback === 'intro' ? `intro (${ap.introLandmarks || 1}), then loop` : ap.playback);
+        }
+        if (ap.seedMode && ap.seedMode !== DEFAULT_SEED_MODE) addRow('Seeds', ap.seedMode);
+        if (EXPORT_PRESETS[ap.exportPreset] && ap.exportPreset !== DEFAULT_EXPORT_PRESET) {
+            const { width, height, fps } = EXPORT_PRESETS[ap.exportPreset];
+            addRow('Export', `${width}×${height}, ${fps} fps`);
+        }
+        if (ap.motionBlur?.mode === 'shutter') {
+            const { shutterAngle, samples } = normalizeMotionBlur(ap.motionBlur);
+            addRow('Blur', `shutter ${shutterAngle}°, ${samples} samples`);
+        }
+        if (ap.series) {
+            const smoothing = ap.series.smoothingMs ? `, smoothed ${(ap.series.smoothingMs / 1000).toFixed(1)}s` : '';
+            addRow('Data', `${ap.series.name} (${ap.series.rows} rows${smoothing})`);
+        }
+        if (ap.audio) addRow('Audio', ap.audio.name + (ap.audio.fit === 'loop' ? ' (looped)' : ''));
         addRow('Landmarks', ap.landmarks.length.toString());
         for (let i = 0; i < ap.landmarks.length; i++) {
             const lName = ap.landmarks[i];
             const exists = !!imageProfiles[lName];
-            addRow(`  ${i + 1}.`, exists ? lName : `${lName} (missing)`);
+            const key = ap.keys?.[i] || {};
+            const timing = [
+                Number.isFinite(key.atMs) ? `at ${(key.atMs / 1000).toFixed(1)}s` : '',
+                key.holdMs > 0 ? `hold ${(key.holdMs / 1000).toFixed(1)}s` : '',
+                key.easing ? key.easing : '',
+            ].filter(Boolean).join(', ');
+            addRow(`  ${i + 1}.`, (exists ? lName : `${lName} (missing)`) + (timing ? ` (${timing})` : ''));
         }
         details.appendChild(dl);
 
@@ -1142,17 +1833,15 @@ function refreshAnimProfileGallery() {
 el.addToLoop.addEventListener('click', () => {
     const name = el.profileSelect.value;
     if (!name) { toast('Select a profile.'); return; }
-    loopLandmarks.push(name);
-    invalidateFrameBuffer();
-    refreshLoopList();
+    addLoopLandmark(name);
     toast(`Added: ${name}`);
 });
 
 el.clearLoop.addEventListener('click', () => {
     loopLandmarks = [];
+    loopKeys = [];
     invalidateFrameBuffer();
     refreshLoopList();
-    motionBlur.clear();
     toast('Cleared.');
 });
 
@@ -1170,20 +1859,17 @@ el.exportBtn.addEventListener('click', async () => {
         const aspects = readAspectsFromUI();
         const note = readNote();
 
-        motionBlur.setEnabled(false);
-        motionBlur.clear();
-
-        const meta = renderAndUpdate(seed, aspects);
+        const meta = await renderAndUpdate(seed, aspects);
+        if (!meta) return;
 
         try {
-            await packageStillZip(canvas, { seed, aspects, note, meta });
+            await packageStillZip(canvas, { seed, aspects, note, meta, svgGrain: el.svgGrain.value });
             toast('Exported still ZIP.');
         } catch (err) {
             console.error(err);
             toast('Still export failed.');
         }
     } else {
-        if (!window.JSZip) { toast('JSZip missing (offline?).'); return; }
         if (!frameBuffer.rendered || frameBuffer.frames.length === 0) {
             toast('Render the animation first.');
             return;
@@ -1195,36 +1881,118 @@ el.exportBtn.addEventListener('click', async () => {
         const landmarks = getLandmarkAspectsOrdered();
 
         try {
-            toast('Encoding animation...');
             el.exportBtn.disabled = true;
-
-            const rec = await exportFromBuffer({
-                frames: frameBuffer.frames,
-                fps: ANIM_FPS,
-                durationMs: frameBuffer.durationMs,
-                seed,
-                canvas,
-                onProgress(tNorm) {
-                    el.progressBar.style.width = `${(tNorm * 100).toFixed(2)}%`;
-                },
-            });
+            el.progressContainer.classList.remove('hidden');
+
+            const onProgress = (tNorm) => {
+                el.progressBar.style.width = `${(tNorm * 100).toFixed(2)}%`;
+            };
+
+            const archive = openAnimArchive(seed);
+            let rec;
+            if (frameBuffer.fullSize) {
+                toast('Encoding animation...');
+                rec = await exportFromBuffer({
+                    frames: frameBuffer.frames,
+                    fps: frameBuffer.preset.fps,
+                    width: frameBuffer.preset.width,
+                    height: frameBuffer.preset.height,
+                    durationMs: frameBuffer.durationMs,
+                    seed,
+                    canvas,
+                    archive,
+                    video: currentVideo(),
+                    audio: currentAudio(),
+                    gif: currentGif(),
+                    webLoops: currentWebLoops(),
+                    onProgress,
+                });
+            } else {
+                // Preview buffer is reduced: render full-size frames again, straight into the encoder
+                toast('Rendering + encoding animation...');
+                rec = await exportStreaming({
+                    pool: renderPool,
+                    width: frameBuffer.preset.width,
+                    height: frameBuffer.preset.height,
+                    landmarks,
+                    seed,
+                    durationMs: frameBuffer.durationMs,
+                    fps: frameBuffer.preset.fps,
+                    interpolation: el.interpolation.value,
+                    series: loopSeries,
+                    lanes: loopLanes,
+                    ...frameBuffer.path,
+                    seedMode: el.seedMode.value,
+                    motionBlur: frameBuffer.motionBlur,
+                    archive,
+                    video: currentVideo(),
+                    audio: currentAudio(),
+                    gif: currentGif(),
+                    webLoops: currentWebLoops(),
+                    onProgress,
+                });
+            }
 
             await packageAnimZip(rec, {
+                archive,
                 landmarks,
                 loopLandmarkNames: loopLandmarks,
                 timeWarpStrength: TIME_WARP_STRENGTH,
+                interpolation: el.interpolation.value,
+                series: loopSeries,
+                lanes: loopLanes,
+                ...frameBuffer.path,
+                seedMode: el.seedMode.value,
+                continuity: frameBuffer.continuity,
+                audio: currentAudio(),
+                preset: frameBuffer.preset,
+                motionBlur: frameBuffer.motionBlur,
             });
 
-            toast(rec.kind === 'video' ? 'Exported animation MP4.' : 'Exported animation frames.');
+            const exported = (rec.kind === 'video' ? `Exported ${VIDEO_LABELS[rec.video.format]}` : 'Exported animation frames') +
+                (rec.webLoops ? ' + web loops' : '');
+            if (el.gifExport.checked && !rec.gif) toast(`${exported}; the GIF failed.`);
+            else if (rec.gif && !rec.gif.fits) toast(`${exported} + GIF (still over the size limit).`);
+            else toast(rec.gif ? `${exported} + GIF.` : `${exported}.`);
         } catch (err) {
             console.error(err);
             toast('Animation export failed.');
         } finally {
             el.exportBtn.disabled = false;
+            el.progressContainer.classList.add('hidden');
         }
     }
 });
 
+/* ---------------------------
+ * Print export (tiled, image mode)
+ * ---------------------------
+ */
+el.printExportBtn.addEventListener('click', async () => {
+    const [width, height] = el.printSize.value.split('x').map(v => parseInt(v, 10));
+    const seed = el.seed.value.trim() || 'seed';
+    const aspects = readAspectsFromUI();
+    const note = readNote();
+
+    el.printExportBtn.disabled = true;
+    let clearProgress = () => {};
+    try {
+        await packagePrintZip({
+            seed, aspects, note, width, height,
+            onProgress(done, total) {
+                clearProgress = status(`Rendering print tile ${done}/${total}\u2026`);
+            },
+        });
+        toast(`Exported ${width}\u00d7${height} print ZIP.`);
+    } catch (err) {
+        console.error(err);
+        toast(`Print export failed: ${err.message}`);
+    } finally {
+        clearProgress();
+        el.printExportBtn.disabled = false;
+    }
+});
+
 /* ---------------------------
  * Statement modal (Developer / Artist)
  * ---------------------------
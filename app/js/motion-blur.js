@@ -1,16 +1,24 @@
 /**
- * Temporal motion blur via decay buffer accumulation.
+ * Temporal motion blur, two ways.
  *
+ * Decay buffer accumulation (createMotionBlur / createPixelMotionBlur).
  * Each frame:
  *   1) decay: acc *= (1 - decay)
  *   2) add:   acc += currentFrame * addStrength
  *   3) present: main canvas = acc
+ * Cheap, but the trail only runs backwards and needs history to warm up.
+ *
+ * Shutter (shutterOffsets / createShutterAccumulator): each frame is the
+ * average of sub-frames rendered across the shutter interval, centred on the
+ * frame time, in linear light. Symmetric and free of history, at the cost
+ * of one render per sample.
  */
 
 import { clamp01 } from './prng.js';
 
 export function createMotionBlur(mainCanvas, mainCtx, { decay = 0.18, add = 0.90 } = {}) {
-    const acc = document.createElement('canvas');
+    // OffscreenCanvas when running inside the render worker
+    const acc = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(1, 1);
     const accCtx = acc.getContext('2d', { alpha: true });
     let enabled = false;
 
@@ -63,3 +71,96 @@ export function createMotionBlur(mainCanvas, mainCtx, { decay = 0.18, add = 0.90
 
     return { resizeToMatch, clear, setEnabled, apply };
 }
+
+
+/**
+ * The same decay accumulation on raw RGBA buffers, for headless rendering.
+ * Accumulates premultiplied colour in floats; apply() writes the result back
+ * into the frame composited over black (what a video encoder sees).
+ */
+export function createPixelMotionBlur(width, height, { decay = 0.18, add = 0.90 } = {}) {
+    const acc = new Float32Array(width * height * 4);
+    const keep = 1 - clamp01(decay);
+    const a = clamp01(add);
+
+    function clear() { acc.fill(0); }
+
+    /** @param {Uint8ClampedArray} rgba - opaque frame, modified in place */
+    function apply(rgba) {
+        for (let i = 0; i < acc.length; i += 4) {
+            const k = keep * (1 - a);
+            acc[i] = rgba[i] * a + acc[i] * k;
+            acc[i + 1] = rgba[i + 1] * a + acc[i + 1] * k;
+            acc[i + 2] = rgba[i + 2] * a + acc[i + 2] * k;
+            acc[i + 3] = 255 * a + acc[i + 3] * k;
+            rgba[i] = acc[i];
+            rgba[i + 1] = acc[i + 1];
+            rgba[i + 2] = acc[i + 2];
+            rgba[i + 3] = 255;
+        }
+    }
+
+    return { clear, apply };
+}
+
+
+/**
+ * Sub-frame times for a shutter: `samples` evenly spaced over `angle` / 360
+ * of a frame, centred on the frame (midpoints of equal slices, so the
+ * samples weigh the open interval evenly).
+ * @param {number} samples
+ * @param {number} angle - shutter angle in degrees (360 = open the whole frame)
+ * @returns {number[]} offsets in frames, ascending
+ */
+export function shutterOffsets(samples, angle) {
+    const open = Math.min(Math.max(angle, 0), 360) / 360;
+    return Array.from({ length: samples }, (_, i) => ((i + 0.5) / samples - 0.5) * open);
+}
+
+const SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+});
+const LINEAR_STEPS = 4096;
+const LINEAR_TO_SRGB = Uint8ClampedArray.from({ length: LINEAR_STEPS + 1 }, (_, i) => {
+    const c = i / LINEAR_STEPS;
+    return Math.round(255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055));
+});
+
+/**
+ * Averages RGBA sub-frames in linear light (alpha-weighted, so transparent
+ * pixels don't darken the colour). add() each sample, then resolve() writes
+ * the mean back as sRGB and starts over.
+ */
+export function createShutterAccumulator(width, height) {
+    const acc = new Float32Array(width * height * 4);
+    let count = 0;
+
+    /** @param {Uint8ClampedArray} rgba */
+    function add(rgba) {
+        for (let i = 0; i < acc.length; i += 4) {
+            const a = rgba[i + 3] / 255;
+            acc[i] += SRGB_TO_LINEAR[rgba[i]] * a;
+            acc[i + 1] += SRGB_TO_LINEAR[rgba[i + 1]] * a;
+            acc[i + 2] += SRGB_TO_LINEAR[rgba[i + 2]] * a;
+            acc[i + 3] += a;
+        }
+        count++;
+    }
+
+    /** @param {Uint8ClampedArray} out - receives the averaged frame */
+    function resolve(out) {
+        for (let i = 0; i < acc.length; i += 4) {
+            const a = acc[i + 3];
+            const k = a > 0 ? LINEAR_STEPS / a : 0;
+            out[i] = LINEAR_TO_SRGB[Math.min(Math.round(acc[i] * k), LINEAR_STEPS)];
+            out[i + 1] = LINEAR_TO_SRGB[Math.min(Math.round(acc[i + 1] * k), LINEAR_STEPS)];
+            out[i + 2] = LINEAR_TO_SRGB[Math.min(Math.round(acc[i + 2] * k), LINEAR_STEPS)];
+            out[i + 3] = Math.round(255 * a / Math.max(1, count));
+        }
+        acc.fill(0);
+        count = 0;
+    }
+
+    return { add, resolve };
+}
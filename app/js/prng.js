@@ -25,6 +25,14 @@ export function mulberry32(a) {
     };
 }
 
+/**
+ * mulberry32 advanced by `offset` draws. The generator is a Weyl counter, so
+ * seeking is O(1) — used to keep per-pixel grain continuous across tiles.
+ */
+export function mulberry32At(a, offset) {
+    return mulberry32((a + Math.imul(offset, 0x6D2B79F5)) >>> 0);
+}
+
 export function clamp01(x) { return Math.max(0, Math.min(1, x)); }
 
 export function lerp(a, b, t) { return a + (b - a) * t; }
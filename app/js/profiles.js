@@ -1,9 +1,22 @@
 /**
  * Profile storage (localStorage) and loop list UI rendering.
+ *
+ * Animation profiles: { landmarks: string[], keys?: Array<{ atMs?, holdMs?, tangent?, easing? }>,
+ * durationMs, interpolation?, series?, lanes?, playback?, introLandmarks?, seedMode?, exportPreset?, motionBlur?, audio?, note }. `keys`
+ * runs parallel to `landmarks`; a missing or empty key means the landmark is
+ * evenly spaced (see interpolation.js). `lanes` holds per-aspect automation
+ * curves and `series` an imported data series (see series.js);
+ * `playback` defaults to 'loop', and `motionBlur` ({ mode, shutterAngle, samples },
+ * see normalizeMotionBlur) to the decay trail. `audio` is { id, name, offsetMs?, fit?, routes }:
+ * the file itself is too large for localStorage and lives in IndexedDB under `id`.
  */
 
+import { landmarkTimes, introLandmarkCount, pathDurationMs, easingFunction, parseCubicBezier, EASINGS, DEFAULT_EASING, TIME_WARP_STRENGTH } from './interpolation.js';
+
 const LS_KEY = 'geo_self_portrait_profiles_v3';
 const ANIM_LS_KEY = 'geo_self_portrait_anim_profiles_v1';
+const AUDIO_DB = 'geo_self_portrait_audio_v1';
+const AUDIO_STORE = 'files';
 
 /* ---------------------------
  * Image profile CRUD
@@ -75,6 +88,7 @@ export function deleteAnimProfile(name) {
     const profiles = loadAnimProfiles();
     delete profiles[name];
     saveAnimProfiles(profiles);
+    pruneAudioFiles();
 }
 
 export function findAnimProfilesReferencingImage(imageName) {
@@ -92,15 +106,77 @@ export function removeImageFromAnimProfiles(imageName) {
     const animProfiles = loadAnimProfiles();
     let changed = false;
     for (const profile of Object.values(animProfiles)) {
-        const filtered = profile.landmarks.filter(n => n !== imageName);
-        if (filtered.length !== profile.landmarks.length) {
-            profile.landmarks = filtered;
+        const keep = profile.landmarks.map(n => n !== imageName);
+        if (keep.includes(false)) {
+            profile.landmarks = profile.landmarks.filter((_, i) => keep[i]);
+            if (profile.keys) profile.keys = profile.keys.filter((_, i) => keep[i]);
             changed = true;
         }
     }
     if (changed) saveAnimProfiles(animProfiles);
 }
 
+/** Per-landmark keys for an animation profile, one per landmark. */
+export function animProfileKeys(profile) {
+    return profile.landmarks.map((_, i) => ({ ...profile.keys?.[i] }));
+}
+
+/* ---------------------------
+ * Audio files (IndexedDB)
+ * ---------------------------
+ */
+
+function openAudioDb() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(AUDIO_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(AUDIO_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function audioRequest(mode, run) {
+    const db = await openAudioDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(AUDIO_STORE, mode);
+            const req = run(tx.objectStore(AUDIO_STORE));
+            tx.oncomplete = () => resolve(req?.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Store an audio file for animation profiles to reference.
+ * @param {Blob} blob
+ * @returns {Promise<string>} id
+ */
+export async function saveAudioFile(blob) {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    await audioRequest('readwrite', store => store.put(blob, id));
+    return id;
+}
+
+/** @returns {Promise<Blob|null>} */
+export async function loadAudioFile(id) {
+    return (await audioRequest('readonly', store => store.get(id))) ?? null;
+}
+
+/** Drop stored audio files no animation profile references any more. */
+export async function pruneAudioFiles() {
+    try {
+        const used = new Set(Object.values(loadAnimProfiles()).map(p => p.audio?.id).filter(Boolean));
+        const ids = await audioRequest('readonly', store => store.getAllKeys());
+        const unused = ids.filter(id => !used.has(id));
+        if (unused.length) await audioRequest('readwrite', store => unused.forEach(id => store.delete(id)));
+    } catch (err) {
+        console.warn('Could not prune stored audio:', err);
+    }
+}
+
 /* ---------------------------
  * Starter profiles
  * ---------------------------
@@ -145,10 +221,13 @@ export function ensureStarterProfiles() {
  * @param {HTMLElement} listEl - Container element for the list
  * @param {string[]} landmarks - Array of profile names in order
  * @param {object} profiles - Current profiles object from loadProfiles()
- * @param {object} callbacks - { onReorder(newLandmarks), onRemove(index) }
+ * @param {object} callbacks - { onReorder(newLandmarks, newKeys), onRemove(index), onKeyChange(index, key) }
  * @param {function|null} [renderThumbnail] - optional (seed, aspects, destImg) => void
+ * @param {object|null} [timing] - { keys, durationMs, tangents?, playback?, introLandmarks? }: show
+ *        per-landmark time / hold (and Bézier tangent) fields, and an easing editor between
+ *        adjacent landmarks
  */
-export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThumbnail = null) {
+export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThumbnail = null, timing = null) {
     listEl.innerHTML = '';
 
     if (landmarks.length === 0) {
@@ -159,6 +238,10 @@ export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThu
         return;
     }
 
+    const keys = timing ? timing.keys : landmarks.map(() => ({}));
+    const resolved = timing ? landmarkTimes(keys, timing.durationMs, timing) : [];
+    const next = timing ? transitionTargets(landmarks.length, timing) : [];
+
     landmarks.forEach((name, idx) => {
         const p = profiles[name];
         const div = document.createElement('div');
@@ -167,7 +250,7 @@ export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThu
         const left = document.createElement('div');
         left.className = 'item-left';
 
-        // Thumbnail image (rendered at full resolution, scaled down via CSS)
+        // Thumbnail image (rendered offscreen at reduced size, scaled via CSS)
         if (renderThumbnail && p?.seed && p?.aspects) {
             const thumbImg = document.createElement('img');
             thumbImg.className = 'loop-thumb';
@@ -200,6 +283,8 @@ export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThu
             textBlock.appendChild(sub);
         }
 
+        if (timing) textBlock.appendChild(createKeyFields(idx, keys[idx], resolved[idx], timing, callbacks));
+
         left.appendChild(textBlock);
 
         const controls = document.createElement('div');
@@ -210,8 +295,10 @@ export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThu
         up.disabled = idx === 0;
         up.addEventListener('click', () => {
             const copy = landmarks.slice();
+            const keyCopy = keys.slice();
             [copy[idx - 1], copy[idx]] = [copy[idx], copy[idx - 1]];
-            callbacks.onReorder(copy);
+            [keyCopy[idx - 1], keyCopy[idx]] = [keyCopy[idx], keyCopy[idx - 1]];
+            callbacks.onReorder(copy, keyCopy);
         });
 
         const down = document.createElement('button');
@@ -219,8 +306,10 @@ export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThu
         down.disabled = idx === landmarks.length - 1;
         down.addEventListener('click', () => {
             const copy = landmarks.slice();
+            const keyCopy = keys.slice();
             [copy[idx], copy[idx + 1]] = [copy[idx + 1], copy[idx]];
-            callbacks.onReorder(copy);
+            [keyCopy[idx], keyCopy[idx + 1]] = [keyCopy[idx + 1], keyCopy[idx]];
+            callbacks.onReorder(copy, keyCopy);
         });
 
         const remove = document.createElement('button');
@@ -237,5 +326,151 @@ export function renderLoopList(listEl, landmarks, profiles, callbacks, renderThu
         div.appendChild(left);
         div.appendChild(controls);
         listEl.appendChild(div);
+
+        if (timing && landmarks.length > 1 && next[idx] !== null) {
+            listEl.appendChild(createEasingEditor(idx, next[idx], keys[idx], callbacks));
+        }
+    });
+}
+
+/**
+ * Where the transition leaving each landmark goes, or null where the path
+ * ends (the last landmark of a one-shot or ping-pong).
+ */
+function transitionTargets(count, { playback = 'loop', introLandmarks }) {
+    const intro = playback === 'intro' ? introLandmarkCount(introLandmarks, count) : 0;
+    const open = playback === 'once' || playback === 'ping-pong';
+    return Array.from({ length: count }, (_, i) => {
+        if (i + 1 < count) return i + 1;
+        return open ? null : intro;
     });
 }
+
+/**
+ * "At" / "hold" fields (seconds) for one loop landmark, plus the Bézier
+ * tangent when enabled. Empty fields fall back to even spacing / no hold /
+ * tangent 1; the placeholder shows the value in effect.
+ */
+function createKeyFields(idx, key, resolved, { durationMs: animMs, playback, tangents = false }, callbacks) {
+    // Key times count along the path (the forward pass of a ping-pong)
+    const durationMs = pathDurationMs(animMs, playback);
+    const row = document.createElement('div');
+    row.className = 'key-fields';
+
+    const field = (label, prop, { placeholder, max, step, unit = '', scale = 1 }) => {
+        const wrap = document.createElement('label');
+        wrap.textContent = label;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.max = String(max);
+        input.step = String(step);
+        input.placeholder = placeholder;
+        if (Number.isFinite(key[prop])) input.value = String(+(key[prop] / scale).toFixed(2));
+        input.addEventListener('change', () => {
+            const v = parseFloat(input.value);
+            const next = { ...key };
+            if (Number.isFinite(v) && v >= 0) next[prop] = scale === 1 ? v : Math.round(v * scale);
+            else delete next[prop];
+            callbacks.onKeyChange(idx, next);
+        });
+        wrap.appendChild(input);
+        if (unit) wrap.append(unit);
+        return wrap;
+    };
+
+    const secs = (tNorm) => ((tNorm * durationMs) / 1000).toFixed(1);
+    const timeOpts = { max: durationMs / 1000, step: 0.1, unit: 's', scale: 1000 };
+    row.appendChild(field('at', 'atMs', { ...timeOpts, placeholder: resolved ? secs(resolved.t) : '0.0' }));
+    row.appendChild(field('hold', 'holdMs', { ...timeOpts, placeholder: resolved ? secs(resolved.hold) : '0.0' }));
+    if (tangents) row.appendChild(field('tangent', 'tangent', { placeholder: '1', max: 3, step: 0.1 }));
+    return row;
+}
+
+const EASING_LABELS = {
+    'warp': 'Breathing',
+    'none': 'None (constant speed)',
+    'ease-in': 'Ease in',
+    'ease-out': 'Ease out',
+    'ease-in-out': 'Ease in-out',
+    'elastic': 'Elastic',
+};
+
+/** Small SVG plot of an easing curve (progress over time). */
+function createEasingPlot(easing) {
+    const NS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(NS, 'svg');
+    svg.setAttribute('class', 'easing-plot');
+    svg.setAttribute('viewBox', '0 -0.15 1 1.3');
+    svg.setAttribute('preserveAspectRatio', 'none');
+    const fn = easingFunction(easing, TIME_WARP_STRENGTH);
+    const pts = [];
+    for (let i = 0; i <= 32; i++) {
+        const x = i / 32;
+        pts.push(`${x.toFixed(3)},${(1 - fn(x)).toFixed(3)}`);
+    }
+    const line = document.createElementNS(NS, 'polyline');
+    line.setAttribute('points', pts.join(' '));
+    line.setAttribute('vector-effect', 'non-scaling-stroke');
+    svg.appendChild(line);
+    return svg;
+}
+
+/**
+ * Easing editor for the transition leaving landmark `idx` towards landmark
+ * `to` (the last one wraps to the first, or to the loop body after an intro).
+ * Stored as that landmark's key `easing`.
+ */
+function createEasingEditor(idx, to, key, callbacks) {
+    const easing = key.easing || DEFAULT_EASING;
+    const custom = parseCubicBezier(easing);
+
+    const row = document.createElement('div');
+    row.className = 'transition';
+
+    const label = document.createElement('span');
+    label.textContent = `${idx + 1} \u2192 ${to + 1}`;
+    row.appendChild(label);
+    row.appendChild(createEasingPlot(easing));
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', `Easing from landmark ${idx + 1}`);
+    for (const value of [...EASINGS, 'custom']) {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = value === 'custom' ? 'Custom cubic-bezier' : EASING_LABELS[value];
+        select.appendChild(opt);
+    }
+    select.value = custom ? 'custom' : easing;
+
+    const commit = (value) => {
+        const next = { ...key };
+        if (value === DEFAULT_EASING) delete next.easing;
+        else next.easing = value;
+        callbacks.onKeyChange(idx, next);
+    };
+
+    select.addEventListener('change', () => {
+        commit(select.value === 'custom' ? 'cubic-bezier(0.42, 0, 0.58, 1)' : select.value);
+    });
+    row.appendChild(select);
+
+    if (custom) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'easing-custom';
+        input.value = custom.join(', ');
+        input.placeholder = 'x1, y1, x2, y2';
+        input.title = 'cubic-bezier control points; x1 and x2 between 0 and 1';
+        input.addEventListener('change', () => {
+            const value = `cubic-bezier(${input.value})`;
+            const points = parseCubicBezier(value);
+            input.classList.toggle('invalid', !points);
+            if (points) commit(`cubic-bezier(${points.join(', ')})`);
+        });
+        row.appendChild(input);
+    }
+
+    return row;
+}
+
@@ -0,0 +1,290 @@
+/**
+ * Pure-JS raster drawing backend.
+ * Rasterizes backend calls into an RGBA buffer without any canvas, so the
+ * renderer can run headless (Node CLI, tests) with no native modules.
+ *
+ * - Polygons and strokes: scanline coverage with 4 vertical sub-samples and
+ *   exact horizontal span coverage; nonzero winding, so stroke segments,
+ *   joins and caps union into one shape like a canvas stroke.
+ * - Circles: analytic distance coverage.
+ * - Radial gradients: concentric evaluation, padded outside [0, 1].
+ * - Composite: 'source-over', 'screen', 'lighter' over an opaque destination
+ *   (the renderer always starts with an opaque background fill).
+ *
+ * Output is close to, not bit-identical with, a browser canvas.
+ */
+
+import { parseColor } from './color.js';
+import { applyGrain } from './canvas-backend.js';
+
+const SUBSAMPLES = 4;
+
+export function createRasterBackend(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+
+    let ox = 0, oy = 0;
+    const colorCache = new Map();
+
+    // Row scratch: coverage accumulated via a difference array, then prefix-summed
+    const cover = new Float32Array(width + 2);
+
+    /* ── Paint ── */
+
+    function solid(str) {
+        let c = colorCache.get(str);
+        if (!c) {
+            const p = parseColor(str);
+            c = { r: p.r / 255, g: p.g / 255, b: p.b / 255, a: p.a };
+            if (colorCache.size > 4096) colorCache.clear();
+            colorCache.set(str, c);
+        }
+        return c;
+    }
+
+    /** Returns shade(x, y) → writes into `px` = { r, g, b, a } for device pixel centres. */
+    function shader(paint) {
+        if (typeof paint === 'string') {
+            const c = solid(paint);
+            return () => c;
+        }
+        const stops = paint.stops.map(([offset, color]) => ({ offset, c: solid(color) }));
+        const cx = paint.x1 - ox, cy = paint.y1 - oy;
+        const r0 = paint.r0, span = paint.r1 - paint.r0;
+        const px = { r: 0, g: 0, b: 0, a: 0 };
+        return (x, y) => {
+            const d = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+            const t = span > 0 ? (d - r0) / span : 1;
+            if (t <= stops[0].offset) return stops[0].c;
+            const last = stops[stops.length - 1];
+            if (t >= last.offset) return last.c;
+            let k = 1;
+            while (stops[k].offset < t) k++;
+            const a = stops[k - 1], b = stops[k];
+            const f = (t - a.offset) / (b.offset - a.offset || 1);
+            px.r = a.c.r + (b.c.r - a.c.r) * f;
+            px.g = a.c.g + (b.c.g - a.c.g) * f;
+            px.b = a.c.b + (b.c.b - a.c.b) * f;
+            px.a = a.c.a + (b.c.a - a.c.a) * f;
+            return px;
+        };
+    }
+
+    /* ── Compositing ── */
+
+    function blend(i, c, coverage, op) {
+        const a = c.a * coverage;
+        if (a <= 0) return;
+        const dr = data[i] / 255, dg = data[i + 1] / 255, db = data[i + 2] / 255;
+        let r, g, b;
+        if (op === 'lighter') {
+            r = dr + c.r * a; g = dg + c.g * a; b = db + c.b * a;
+        } else if (op === 'screen') {
+            r = dr + a * (c.r - c.r * dr);
+            g = dg + a * (c.g - c.g * dg);
+            b = db + a * (c.b - c.b * db);
+        } else {
+            r = dr + a * (c.r - dr); g = dg + a * (c.g - dg); b = db + a * (c.b - db);
+        }
+        data[i] = r * 255 + 0.5;
+        data[i + 1] = g * 255 + 0.5;
+        data[i + 2] = b * 255 + 0.5;
+    }
+
+    /* ── Polygon coverage ── */
+
+    /**
+     * Fill a set of closed subpaths (flat [x, y, …] arrays in device space)
+     * with nonzero winding.
+     */
+    function fillSubpaths(subpaths, paint, op) {
+        const edges = [];
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const pts of subpaths) {
+            const n = pts.length / 2;
+            for (let i = 0; i < n; i++) {
+                const x0 = pts[i * 2], y0 = pts[i * 2 + 1];
+                const j = (i + 1) % n;
+                const x1 = pts[j * 2], y1 = pts[j * 2 + 1];
+                if (x0 < minX) minX = x0; if (x0 > maxX) maxX = x0;
+                if (y0 < minY) minY = y0; if (y0 > maxY) maxY = y0;
+                if (y0 === y1) continue;
+                const dir = y1 > y0 ? 1 : -1;
+                const ya = Math.min(y0, y1), yb = Math.max(y0, y1);
+                const xa = y1 > y0 ? x0 : x1;
+                edges.push({ ya, yb, xa, dxdy: (x1 - x0) / (y1 - y0), dir });
+            }
+        }
+        if (edges.length === 0) return;
+
+        const rowStart = Math.max(0, Math.floor(minY));
+        const rowEnd = Math.min(height - 1, Math.ceil(maxY));
+        const colStart = Math.max(0, Math.floor(minX));
+        const colEnd = Math.min(width - 1, Math.ceil(maxX));
+        if (rowStart > rowEnd || colStart > colEnd) return;
+
+        const shade = shader(paint);
+        const xs = [];
+        const weight = 1 / SUBSAMPLES;
+
+        for (let y = rowStart; y <= rowEnd; y++) {
+            cover.fill(0, colStart, Math.min(cover.length, colEnd + 3));
+            let any = false;
+
+            for (let s = 0; s < SUBSAMPLES; s++) {
+                const sy = y + (s + 0.5) / SUBSAMPLES;
+                xs.length = 0;
+                for (const e of edges) {
+                    if (sy < e.ya || sy >= e.yb) continue;
+                    xs.push({ x: e.xa + (sy - e.ya) * e.dxdy, dir: e.dir });
+                }
+                if (xs.length < 2) continue;
+                xs.sort((p, q) => p.x - q.x);
+
+                let wind = 0;
+                for (let k = 0; k < xs.length - 1; k++) {
+                    wind += xs[k].dir;
+                    if (wind === 0) continue;
+                    const xa = Math.max(colStart, xs[k].x);
+                    const xb = Math.min(colEnd + 1, xs[k + 1].x);
+                    if (xb <= xa) continue;
+                    any = true;
+                    const ia = Math.floor(xa), ib = Math.floor(xb);
+                    if (ia === ib) {
+                        cover[ia] += (xb - xa) * weight;
+                        cover[ia + 1] -= (xb - xa) * weight;
+                    } else {
+                        // partial first pixel, full middle run, partial last pixel
+                        cover[ia] += (ia + 1 - xa) * weight;
+                        cover[ia + 1] -= (ia + 1 - xa) * weight;
+                        cover[ia + 1] += weight;
+                        cover[ib] -= weight;
+                        cover[ib] += (xb - ib) * weight;
+                        cover[ib + 1] -= (xb - ib) * weight;
+                    }
+                }
+            }
+            if (!any) continue;
+
+            let acc = 0;
+            const rowBase = y * width;
+            for (let x = colStart; x <= colEnd; x++) {
+                acc += cover[x];
+                if (acc > 1e-4) blend((rowBase + x) * 4, shade(x, y), Math.min(1, acc), op);
+            }
+        }
+    }
+
+    function toDevice(points) {
+        const out = new Array(points.length);
+        for (let i = 0; i < points.length; i += 2) {
+            out[i] = points[i] - ox;
+            out[i + 1] = points[i + 1] - oy;
+        }
+        return out;
+    }
+
+    function signedArea(pts) {
+        let a = 0;
+        const n = pts.length / 2;
+        for (let i = 0; i < n; i++) {
+            const j = (i + 1) % n;
+            a += pts[i * 2] * pts[j * 2 + 1] - pts[j * 2] * pts[i * 2 + 1];
+        }
+        return a / 2;
+    }
+
+    /** Orient every subpath the same way so nonzero winding unions them. */
+    function oriented(pts) {
+        if (signedArea(pts) >= 0) return pts;
+        const out = new Array(pts.length);
+        for (let i = 0, n = pts.length / 2; i < n; i++) {
+            out[i * 2] = pts[(n - 1 - i) * 2];
+            out[i * 2 + 1] = pts[(n - 1 - i) * 2 + 1];
+        }
+        return out;
+    }
+
+    function disc(x, y, r) {
+        const n = Math.max(8, Math.min(32, Math.ceil(r * 4)));
+        const pts = new Array(n * 2);
+        for (let i = 0; i < n; i++) {
+            const a = (i / n) * Math.PI * 2;
+            pts[i * 2] = x + Math.cos(a) * r;
+            pts[i * 2 + 1] = y + Math.sin(a) * r;
+        }
+        return pts;
+    }
+
+    return {
+        width,
+        height,
+        data,
+
+        beginFrame(frame) {
+            ox = frame.x;
+            oy = frame.y;
+        },
+
+        endFrame() {
+            ox = 0;
+            oy = 0;
+        },
+
+        fillRect(x, y, w, h, paint, op) {
+            const x0 = Math.max(0, Math.round(x - ox)), x1 = Math.min(width, Math.round(x - ox + w));
+            const y0 = Math.max(0, Math.round(y - oy)), y1 = Math.min(height, Math.round(y - oy + h));
+            const shade = shader(paint);
+            for (let py = y0; py < y1; py++) {
+                for (let px = x0; px < x1; px++) blend((py * width + px) * 4, shade(px, py), 1, op);
+            }
+        },
+
+        fillCircle(cx, cy, r, paint, op) {
+            const dx = cx - ox, dy = cy - oy;
+            const x0 = Math.max(0, Math.floor(dx - r)), x1 = Math.min(width - 1, Math.ceil(dx + r));
+            const y0 = Math.max(0, Math.floor(dy - r)), y1 = Math.min(height - 1, Math.ceil(dy + r));
+            const shade = shader(paint);
+            for (let py = y0; py <= y1; py++) {
+                for (let px = x0; px <= x1; px++) {
+                    const d = Math.hypot(px + 0.5 - dx, py + 0.5 - dy);
+                    const coverage = Math.min(1, r - d + 0.5);
+                    if (coverage > 0) blend((py * width + px) * 4, shade(px, py), coverage, op);
+                }
+            }
+        },
+
+        fillPath(points, closed, paint, op) {
+            fillSubpaths([toDevice(points)], paint, op);
+        },
+
+        strokePath(points, closed, paint, lineWidth, cap, op) {
+            const pts = toDevice(points);
+            const n = pts.length / 2;
+            const hw = lineWidth / 2;
+            const parts = [];
+            const segs = closed ? n : n - 1;
+            for (let i = 0; i < segs; i++) {
+                const j = (i + 1) % n;
+                const x0 = pts[i * 2], y0 = pts[i * 2 + 1];
+                const x1 = pts[j * 2], y1 = pts[j * 2 + 1];
+                const len = Math.hypot(x1 - x0, y1 - y0);
+                if (len === 0) continue;
+                const nx = -(y1 - y0) / len * hw, ny = (x1 - x0) / len * hw;
+                parts.push(oriented([x0 + nx, y0 + ny, x1 + nx, y1 + ny, x1 - nx, y1 - ny, x0 - nx, y0 - ny]));
+            }
+            // Round joins at interior vertices; caps at open ends
+            const firstJoin = closed ? 0 : 1, lastJoin = closed ? n - 1 : n - 2;
+            for (let i = firstJoin; i <= lastJoin; i++) parts.push(oriented(disc(pts[i * 2], pts[i * 2 + 1], hw)));
+            if (!closed && cap === 'round') {
+                parts.push(oriented(disc(pts[0], pts[1], hw)));
+                parts.push(oriented(disc(pts[(n - 1) * 2], pts[(n - 1) * 2 + 1], hw)));
+            }
+            if (parts.length) fillSubpaths(parts, paint, op);
+        },
+
+        grain(seed, amount, frame, blend) {
+            applyGrain(data, width, height, seed, amount, frame, blend);
+        },
+    };
+}
@@ -0,0 +1,36 @@
+/**
+ * Recording drawing backend.
+ * Captures every backend call as a plain display-list entry
+ * ({ op: 'fillPath', args: [...] }) instead of drawing. The list is
+ * JSON-serializable, so a draw-call stream can be diffed against a golden
+ * file, and replay() feeds it into any other backend.
+ */
+
+export function createRecordingBackend(width, height) {
+    const calls = [];
+
+    function record(op, args) {
+        calls.push({ op, args });
+    }
+
+    return {
+        width,
+        height,
+        calls,
+
+        beginFrame(frame) { record('beginFrame', [{ ...frame }]); },
+        endFrame() { record('endFrame', []); },
+        fillRect(x, y, w, h, paint, op) { record('fillRect', [x, y, w, h, paint, op]); },
+        fillCircle(cx, cy, r, paint, op) { record('fillCircle', [cx, cy, r, paint, op]); },
+        fillPath(points, closed, paint, op) { record('fillPath', [points.slice(), closed, paint, op]); },
+        strokePath(points, closed, paint, lineWidth, cap, op) { record('strokePath', [points.slice(), closed, paint, lineWidth, cap, op]); },
+        grain(seed, amount, frame, blend) { record('grain', [seed, amount, { ...frame }, blend && { ...blend }]); },
+
+        /** Play the recorded calls into another backend. */
+        replay(target) {
+            for (const c of calls) target[c.op](...c.args);
+        },
+
+        clear() { calls.length = 0; },
+    };
+}
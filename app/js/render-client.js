@@ -0,0 +1,123 @@
+/**
+ * Main-thread side of the render pipeline.
+ *
+ * Sends render requests to render-worker.js, which draws on an
+ * OffscreenCanvas and returns ImageBitmaps, so the UI (and the loading
+ * animation) keep running while frames render. Every request is
+ * cancellable. Where module workers or OffscreenCanvas are unavailable, the
+ * same requests run on the main thread through a render host bound to a
+ * detached <canvas>.
+ */
+
+import { createRenderHost } from './render-host.js';
+
+function supportsWorkerRendering() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+}
+
+export function createRenderClient() {
+    let worker = null;
+    let localHost = null;
+    let nextId = 1;
+    const pending = new Map();   // id → { job, resolve, reject, cancelled }
+
+    if (supportsWorkerRendering()) {
+        try {
+            worker = new Worker(new URL('./render-worker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = onWorkerMessage;
+            worker.onerror = (e) => {
+                // Module worker failed to load: re-run everything in flight locally
+                console.warn('Render worker unavailable, rendering on the main thread:', e.message);
+                e.preventDefault?.();
+                worker.terminate();
+                worker = null;
+                for (const [id, p] of pending) runLocal(id, p);
+            };
+        } catch (err) {
+            console.warn('Render worker unavailable, rendering on the main thread:', err);
+            worker = null;
+        }
+    }
+
+    function getLocalHost() {
+        if (!localHost) localHost = createRenderHost(document.createElement('canvas'));
+        return localHost;
+    }
+
+    function onWorkerMessage(e) {
+        const msg = e.data;
+        const p = pending.get(msg.id);
+        if (!p) {
+            msg.bitmap?.close();
+            return;
+        }
+        pending.delete(msg.id);
+        if (msg.type === 'result') {
+            if (p.cancelled) {
+                msg.bitmap?.close();
+                p.resolve(null);
+            } else {
+                p.resolve({ bitmap: msg.bitmap, blob: msg.blob, meta: msg.meta });
+            }
+        } else if (msg.type === 'done') {
+            p.resolve(null);
+        } else if (msg.type === 'error') {
+            p.reject(new Error(msg.message));
+        }
+    }
+
+    async function runLocal(id, p) {
+        try {
+            // Let the caller finish wiring up (and the browser paint) before blocking
+            await new Promise(r => setTimeout(r, 0));
+            let result = null;
+            if (!p.cancelled) {
+                result = await getLocalHost().renderStill(p.job);
+                if (p.cancelled) {
+                    result.bitmap?.close();
+                    result = null;
+                }
+            }
+            pending.delete(id);
+            p.resolve(result);
+        } catch (err) {
+            pending.delete(id);
+            p.reject(err);
+        }
+    }
+
+    /**
+     * Render one still.
+     * @param {object} job
+     * @param {string} job.seed
+     * @param {object} job.aspects
+     * @param {number} job.width
+     * @param {number} job.height
+     * @param {boolean} [job.draft] - fast preview pass (see renderWith)
+     * @param {{ seed: string, t: number }} [job.morph] - blend towards another seed's layout (see renderWith)
+     * @param {'bitmap'|'png'} [job.format='bitmap']
+     * @returns {{ promise: Promise<{ bitmap?: ImageBitmap, blob?: Blob, meta: object }|null>, cancel: function }}
+     *          resolves null if cancelled
+     */
+    function render(job) {
+        const id = nextId++;
+        let p;
+        const promise = new Promise((resolve, reject) => {
+            p = { job, resolve, reject, cancelled: false };
+        });
+        pending.set(id, p);
+        if (worker) worker.postMessage({ type: 'render', id, job });
+        else runLocal(id, p);
+
+        function cancel() {
+            if (p.cancelled || !pending.has(id)) return;
+            p.cancelled = true;
+            worker?.postMessage({ type: 'cancel', id });
+        }
+        return { promise, cancel };
+    }
+
+    function isThreaded() { return !!worker; }
+
+    return { render, isThreaded };
+}
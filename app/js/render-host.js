@@ -0,0 +1,42 @@
+/**
+ * Render host: a renderer bound to one canvas, producing ImageBitmaps (or
+ * PNG blobs). Runs inside the render worker on an OffscreenCanvas, or on the
+ * main thread with a <canvas> when workers with OffscreenCanvas are
+ * unavailable.
+ */
+
+import { createRenderer } from './renderer.js';
+
+/**
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ */
+export function createRenderHost(canvas) {
+    const ctx = canvas.getContext('2d');
+    const renderer = createRenderer(canvas, ctx);
+
+    function setSize(width, height) {
+        if (canvas.width === width && canvas.height === height) return;
+        canvas.width = width;
+        canvas.height = height;
+    }
+
+    function toPngBlob() {
+        if (canvas.convertToBlob) return canvas.convertToBlob({ type: 'image/png' });
+        return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    /**
+     * Render one still.
+     * @param {object} job - { seed, aspects, width, height, draft?, morph?, format?: 'bitmap'|'png' }
+     * @returns {Promise<{ bitmap?: ImageBitmap, blob?: Blob, meta: object }>}
+     */
+    async function renderStill({ seed, aspects, width, height, draft = false, morph, format = 'bitmap' }) {
+        setSize(width, height);
+        const { title, altText, nodeCount } = renderer.renderWith(seed, aspects, { draft, morph });
+        const meta = { title, altText, nodeCount };
+        if (format === 'png') return { blob: await toPngBlob(), meta };
+        return { bitmap: await createImageBitmap(canvas), meta };
+    }
+
+    return { renderStill };
+}
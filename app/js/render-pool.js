@@ -0,0 +1,53 @@
+/**
+ * Pool of render workers.
+ *
+ * Same render(job) → { promise, cancel } interface as a single render
+ * client, but requests are spread over up to `size` workers (one per core by
+ * default), so independent frames render in parallel. Workers are started
+ * on demand: a new one is only spawned when every existing worker is busy.
+ * Without worker support the pool is a single main-thread client.
+ */
+
+import { createRenderClient } from './render-client.js';
+
+export function defaultPoolSize() {
+    return Math.max(1, navigator.hardwareConcurrency || 4);
+}
+
+export function createRenderPool({ size = defaultPoolSize() } = {}) {
+    const clients = [createRenderClient()];
+    const load = [0];           // in-flight requests per client
+
+    function pickClient() {
+        let best = 0;
+        for (let i = 1; i < clients.length; i++) {
+            if (load[i] < load[best]) best = i;
+        }
+        if (load[best] > 0 && clients.length < size && clients[0].isThreaded()) {
+            clients.push(createRenderClient());
+            load.push(0);
+            return clients.length - 1;
+        }
+        return best;
+    }
+
+    /**
+     * Render one still on the least-busy worker.
+     * @see createRenderClient().render
+     */
+    function render(job) {
+        const k = pickClient();
+        load[k]++;
+        const handle = clients[k].render(job);
+        const settle = () => { load[k]--; };
+        handle.promise.then(settle, settle);
+        return handle;
+    }
+
+    function isThreaded() { return clients[0].isThreaded(); }
+
+    /** Upper bound on requests worth keeping in flight at once. */
+    function capacity() { return isThreaded() ? size : 1; }
+
+    return { render, isThreaded, capacity };
+}
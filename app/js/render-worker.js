@@ -0,0 +1,56 @@
+/**
+ * Render worker (module worker).
+ * Owns an OffscreenCanvas and serves render requests from render-client.js.
+ *
+ * In:  { type: 'render', id, job }      job = { seed, aspects, width, height, draft?, morph?, format? }
+ *      { type: 'cancel', id }
+ * Out: { type: 'result', id, bitmap?, blob?, meta }
+ *      { type: 'done', id }                cancelled, no result
+ *      { type: 'error', id, message }
+ */
+
+import { createRenderHost } from './render-host.js';
+
+const host = createRenderHost(new OffscreenCanvas(1, 1));
+
+const queue = [];              // pending { id, job }
+let currentId = null;          // request being rendered
+let currentCancelled = false;
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'cancel') {
+        const i = queue.findIndex(q => q.id === msg.id);
+        if (i >= 0) {
+            queue.splice(i, 1);
+            self.postMessage({ type: 'done', id: msg.id });
+        } else if (msg.id === currentId) {
+            currentCancelled = true;
+        }
+        return;
+    }
+    queue.push(msg);
+    // Deferred so cancels already in the message queue land before the next render starts
+    setTimeout(drain, 0);
+};
+
+async function drain() {
+    if (currentId !== null || queue.length === 0) return;
+    const { id, job } = queue.shift();
+    currentId = id;
+    currentCancelled = false;
+    try {
+        const result = await host.renderStill(job);
+        if (currentCancelled) {
+            result.bitmap?.close();
+            self.postMessage({ type: 'done', id });
+        } else {
+            self.postMessage({ type: 'result', id, ...result }, result.bitmap ? [result.bitmap] : []);
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', id, message: err?.message || String(err) });
+    } finally {
+        currentId = null;
+        if (queue.length) setTimeout(drain, 0);
+    }
+}
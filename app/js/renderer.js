@@ -1,67 +1,68 @@
 /**
- * Canvas renderer factory.
- * Returns { renderWith } bound to a specific canvas/context pair.
- * renderWith is pure output — it draws to the canvas and returns metadata,
+ * Renderer factory.
+ * Returns { renderWith } bound to a drawing backend (see canvas-backend.js
+ * for the interface). createRenderer(canvas, ctx) wraps the pair in the
+ * Canvas2D backend; createRenderer(backend) draws through any other one.
+ * renderWith is pure output — it draws to the backend and returns metadata,
  * but does NOT touch the DOM (title/alt text updates are the caller's job).
  *
  * Each visual phase uses an independent sub-RNG seeded from the base seed.
  * This prevents count changes (e.g. nodeCount stepping from 7 to 8) from
  * cascading downstream and reshuffling the entire visual structure.
  * Fractional count blending fades the boundary element in/out smoothly.
+ *
+ * Geometry is authored against a 1400×900 reference frame. Every pixel
+ * quantity (radii, offsets, line widths, noise frequencies) is scaled by the
+ * frame unit, so a seed + aspects pair yields the same composition at any
+ * canvas size with the same aspect ratio. Grain stays per-pixel.
+ *
+ * A render can also target one tile of a larger virtual frame (see the
+ * `frame` option of renderWith): drawing happens in frame coordinates under
+ * a translation, and grain is seeked per pixel, so tiles stitch seamlessly.
+ *
+ * Seed morphing (the `morph` option) blends two seeds' layouts: each phase
+ * draws from both seeds' sub-RNGs in lockstep and interpolates the draws.
+ * Shards consume a data-dependent number of draws (one pair per polygon
+ * side), so they are laid out per seed and the finished polygons are
+ * blended instead. At t = 0 the result is exactly the first seed's render.
  */
 
 import { clamp01, lerp, xmur3, mulberry32 } from './prng.js';
 import { deriveParams } from './params.js';
 import { generateTitle, generateAltText } from './text.js';
+import { createCanvas2DBackend, radialGradient } from './canvas-backend.js';
+
+export const REF_WIDTH = 1400;
+export const REF_HEIGHT = 900;
 
-export function createRenderer(canvas, ctx) {
+/** Scale factor from reference-frame pixels to canvas pixels. */
+export function frameUnit(width, height) {
+    return Math.min(width / REF_WIDTH, height / REF_HEIGHT);
+}
+
+/**
+ * @param {HTMLCanvasElement|object} canvasOrBackend - a canvas (with ctx) or a drawing backend
+ * @param {CanvasRenderingContext2D} [ctx]
+ */
+export function createRenderer(canvasOrBackend, ctx) {
+    const backend = ctx ? createCanvas2DBackend(canvasOrBackend, ctx) : canvasOrBackend;
 
     function hsl(h, s, l, a = 1) {
         return `hsla(${h}, ${s}%, ${l}%, ${a})`;
     }
 
-    function clearBg(bg) {
-        ctx.save();
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.fillStyle = bg;
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        ctx.restore();
-    }
-
-    function vignette(alpha = 0.55) {
-        const w = canvas.width, h = canvas.height;
-        const g = ctx.createRadialGradient(
+    function vignette(w, h, alpha = 0.55) {
+        const g = radialGradient(
             w * 0.5, h * 0.52, Math.min(w, h) * 0.12,
-            w * 0.5, h * 0.52, Math.min(w, h) * 0.62
+            w * 0.5, h * 0.52, Math.min(w, h) * 0.62,
+            [[0, 'rgba(0,0,0,0)'], [1, `rgba(0,0,0,${alpha})`]]
         );
-        g.addColorStop(0, 'rgba(0,0,0,0)');
-        g.addColorStop(1, `rgba(0,0,0,${alpha})`);
-        ctx.fillStyle = g;
-        ctx.fillRect(0, 0, w, h);
+        backend.fillRect(0, 0, w, h, g, 'source-over');
     }
 
     function softGlow(x, y, r, a) {
-        const g = ctx.createRadialGradient(x, y, 0, x, y, r);
-        g.addColorStop(0, `rgba(255,255,255,${a})`);
-        g.addColorStop(1, 'rgba(255,255,255,0)');
-        ctx.fillStyle = g;
-        ctx.beginPath();
-        ctx.arc(x, y, r, 0, Math.PI * 2);
-        ctx.fill();
-    }
-
-    function addGrain(rng, amount = 0.05) {
-        const W = canvas.width, H = canvas.height;
-        const img = ctx.getImageData(0, 0, W, H);
-        const d = img.data;
-        const a = amount * 255;
-        for (let i = 0; i < d.length; i += 4) {
-            const n = (rng() * 2 - 1) * a;
-            d[i] = Math.max(0, Math.min(255, d[i] + n));
-            d[i + 1] = Math.max(0, Math.min(255, d[i + 1] + n));
-            d[i + 2] = Math.max(0, Math.min(255, d[i + 2] + n));
-        }
-        ctx.putImageData(img, 0, 0);
+        const g = radialGradient(x, y, 0, x, y, r, [[0, `rgba(255,255,255,${a})`], [1, 'rgba(255,255,255,0)']]);
+        backend.fillCircle(x, y, r, g, 'screen');
     }
 
     function signedNoise2D(x, y) {
@@ -72,32 +73,57 @@ export function createRenderer(canvas, ctx) {
         ) / 3.0;
     }
 
-    function drawShard(x, y, radius, sides, angle0, rng, p) {
+    /** Polygon and outline width of one shard; draws 2 values per side, then 1. */
+    function shardShape(x, y, radius, sides, angle0, rng, p, u) {
         const wobbleBase = lerp(0.22, 0.10, p.edgeSharpness) + p.fracture * 0.12;
         const wobble = wobbleBase * (1 + 0.25 * p.bleed);
 
-        ctx.beginPath();
+        const pts = new Array(sides * 2);
         for (let i = 0; i < sides; i++) {
             const t = i / sides;
             const ang = angle0 + t * Math.PI * 2;
             const w = 1 + (rng() * 2 - 1) * wobble;
             const rr = radius * w * (0.92 + 0.16 * Math.sin(ang * 2 + rng() * 2));
-            const px = x + Math.cos(ang) * rr;
-            const py = y + Math.sin(ang) * rr;
-            if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+            pts[i * 2] = x + Math.cos(ang) * rr;
+            pts[i * 2 + 1] = y + Math.sin(ang) * rr;
         }
-        ctx.closePath();
-        ctx.fill();
-        ctx.lineWidth = lerp(0.6, 1.6, 1 - p.edgeSharpness) * (0.7 + 0.6 * rng());
-        ctx.stroke();
+        const lineWidth = lerp(0.6, 1.6, 1 - p.edgeSharpness) * (0.7 + 0.6 * rng()) * u;
+        return { pts, lineWidth };
     }
 
-    /**
-     * Render a frame given a seed string and aspect values.
-     * @returns {{ title: string, altText: string, nodeCount: number, derived: object }}
-     */
-    function renderWith(seedStr, aspects) {
-        // Independent sub-RNGs per visual phase
+    function drawShard({ pts, lineWidth }, fill, stroke, op) {
+        backend.fillPath(pts, true, fill, op);
+        backend.strokePath(pts, true, stroke, lineWidth, 'butt', op);
+    }
+
+    /** Polygon with `count` vertices tracing the same outline (extra vertices split edges evenly). */
+    function resamplePolygon(pts, count) {
+        const sides = pts.length / 2;
+        if (sides === count) return pts;
+        const out = [];
+        for (let i = 0; i < sides; i++) {
+            const j = (i + 1) % sides;
+            const splits = Math.floor(((i + 1) * count) / sides) - Math.floor((i * count) / sides);
+            for (let k = 0; k < splits; k++) {
+                out.push(
+                    lerp(pts[i * 2], pts[j * 2], k / splits),
+                    lerp(pts[i * 2 + 1], pts[j * 2 + 1], k / splits)
+                );
+            }
+        }
+        return out;
+    }
+
+    /** Shape part way between two shards' shapes. */
+    function blendShape(a, b, t) {
+        const count = Math.max(a.pts.length, b.pts.length) / 2;
+        const pa = resamplePolygon(a.pts, count);
+        const pb = resamplePolygon(b.pts, count);
+        return { pts: pa.map((v, i) => lerp(v, pb[i], t)), lineWidth: lerp(a.lineWidth, b.lineWidth, t) };
+    }
+
+    /** Independent sub-RNGs per visual phase, derived from one seed. */
+    function phaseRngs(seedStr) {
         const seedFn  = xmur3(seedStr);
         const baseRng = mulberry32(seedFn());
         const paramsRng = mulberry32(Math.floor(baseRng() * 0x100000000));
@@ -106,20 +132,65 @@ export function createRenderer(canvas, ctx) {
         const nodeRng   = mulberry32(Math.floor(baseRng() * 0x100000000));
         const shardRng  = mulberry32(Math.floor(baseRng() * 0x100000000));
         const flowRng   = mulberry32(Math.floor(baseRng() * 0x100000000));
-        const grainRng  = mulberry32(Math.floor(baseRng() * 0x100000000));
+        const grainSeed = Math.floor(baseRng() * 0x100000000);
+        return { paramsRng, titleRng, glowRng, nodeRng, shardRng, flowRng, grainSeed };
+    }
 
-        const p = deriveParams(aspects, paramsRng);
-        const title = generateTitle(aspects, titleRng);
+    /** One stream blending the same draw of two streams (b may be null: plain a). */
+    function blendRng(a, b, t) {
+        if (!b) return a;
+        return () => lerp(a(), b(), t);
+    }
+
+    function lerpHue(a, b, t) {
+        const d = ((b - a + 540) % 360) - 180;
+        return (a + d * t + 360) % 360;
+    }
 
-        const W = canvas.width, H = canvas.height;
+    /**
+     * Render a frame given a seed string and aspect values.
+     * @param {string} seedStr
+     * @param {object} aspects
+     * @param {object} [opts]
+     * @param {{ width: number, height: number, x: number, y: number }} [opts.frame]
+     *        - virtual frame to render a tile of; the backend receives the region
+     *          starting at (x, y). Defaults to the backend's own size.
+     * @param {boolean} [opts.draft] - fast preview: half-density flow field, no grain.
+     *        Every other phase is unchanged, so the draft matches the final layout.
+     * @param {{ seed: string, t: number }} [opts.morph] - blend the layout towards
+     *        another seed's, t of the way (0..1). The two grain fields crossfade with it.
+     * @returns {{ title: string, altText: string, nodeCount: number, derived: object }}
+     */
+    function renderWith(seedStr, aspects, opts = {}) {
+        let morphT = opts.morph ? clamp01(opts.morph.t) : 0;
+        if (morphT >= 1) {
+            seedStr = opts.morph.seed;
+            morphT = 0;
+        }
+        const a = phaseRngs(seedStr);
+        const b = morphT > 0 ? phaseRngs(opts.morph.seed) : null;
+
+        const glowRng = blendRng(a.glowRng, b?.glowRng, morphT);
+        const nodeRng = blendRng(a.nodeRng, b?.nodeRng, morphT);
+        const layerRng = blendRng(a.shardRng, b?.shardRng, morphT);   // shard layer colours; shards lay out per seed
+        const flowRng = blendRng(a.flowRng, b?.flowRng, morphT);
+
+        let p = deriveParams(aspects, a.paramsRng);
+        if (b) p = { ...p, hue: lerpHue(p.hue, deriveParams(aspects, b.paramsRng).hue, morphT) };
+        const title = generateTitle(aspects, a.titleRng);
+
+        const frame = opts.frame ?? { width: backend.width, height: backend.height, x: 0, y: 0 };
+        const W = frame.width, H = frame.height;
         const cx = W * 0.5, cy = H * 0.52;
+        const u = frameUnit(W, H);
+
+        // Draw in frame coordinates; the backend clips to this tile
+        backend.beginFrame(frame);
 
         const bg = hsl(p.hue, 35, lerp(5, 12, p.lum), 1);
-        clearBg(bg);
+        backend.fillRect(0, 0, W, H, bg, 'source-over');
 
         // Field glow — fractional count blending
-        ctx.save();
-        ctx.globalCompositeOperation = 'screen';
         const glowCountF = 5 + lerp(1, 8, aspects.radiance);
         const glowFloor = Math.floor(glowCountF);
         const glowFrac = glowCountF - glowFloor;
@@ -127,11 +198,10 @@ export function createRenderer(canvas, ctx) {
             const isLast = i === glowFloor;
             const x = lerp(W * 0.20, W * 0.80, glowRng());
             const y = lerp(H * 0.22, H * 0.78, glowRng());
-            const r = lerp(220, 560, glowRng()) * lerp(0.7, 1.1, aspects.radiance);
+            const r = lerp(220, 560, glowRng()) * lerp(0.7, 1.1, aspects.radiance) * u;
             const alpha = lerp(0.02, 0.10, aspects.radiance) * (0.65 + 0.7 * glowRng());
             softGlow(x, y, r, isLast ? alpha * glowFrac : alpha);
         }
-        ctx.restore();
 
         // Nodes — fractional count, last node gets weight for glow/attraction
         const nodes = [];
@@ -139,7 +209,7 @@ export function createRenderer(canvas, ctx) {
         const nodeFrac = p.nodeCountF - nodeFloor;
         for (let i = 0; i <= nodeFloor; i++) {
             const isLast = i === nodeFloor;
-            const r = lerp(10, 28, nodeRng());
+            const r = lerp(10, 28, nodeRng()) * u;
             const x = lerp(W * 0.20, W * 0.80, nodeRng());
             const y = lerp(H * 0.22, H * 0.82, nodeRng());
             nodes.push({ x, y, r, weight: isLast ? nodeFrac : 1 });
@@ -148,25 +218,42 @@ export function createRenderer(canvas, ctx) {
         // Symmetry axis hint
         const axisAlpha = lerp(0.00, 0.08, p.symmetry) * (1 - 0.35 * p.fracture);
         if (axisAlpha > 0.001) {
-            ctx.save();
-            ctx.globalCompositeOperation = 'screen';
-            ctx.strokeStyle = `rgba(255,255,255,${axisAlpha})`;
-            ctx.lineWidth = 1;
-            ctx.beginPath();
-            ctx.moveTo(cx, H * 0.10);
-            ctx.lineTo(cx, H * 0.92);
-            ctx.stroke();
-            ctx.restore();
+            backend.strokePath([cx, H * 0.10, cx, H * 0.92], false, `rgba(255,255,255,${axisAlpha})`, u, 'butt', 'screen');
         }
 
         function mirrorX(x, rng) {
             const dx = x - cx;
             const perfect = cx - dx;
-            const fractured = perfect + (rng() * 2 - 1) * (p.fracture * 95);
-            const axisSkew = (rng() * 2 - 1) * (p.multiAxis * 60);
+            const fractured = perfect + (rng() * 2 - 1) * (p.fracture * 95 * u);
+            const axisSkew = (rng() * 2 - 1) * (p.multiAxis * 60 * u);
             return lerp(fractured + axisSkew, perfect, p.symmetry);
         }
 
+        /** Both halves of one mirrored shard, drawing from a single seed's stream. */
+        function layoutShard(rng, layerT) {
+            const sides = 3 + Math.floor(rng() * 5);
+            const radius = lerp(60, 235, rng()) * lerp(0.75, 1.10, layerT) * u;
+            const angle0 = rng() * Math.PI * 2;
+
+            let x0 = lerp(W * 0.18, W * 0.82, rng());
+            let y0 = lerp(H * 0.18, H * 0.86, rng());
+
+            const n = nodes[Math.floor(rng() * nodes.length)];
+            const attract = lerp(0.05, 0.24, p.density) * (0.7 + 0.7 * rng()) * n.weight;
+            x0 = lerp(x0, n.x, attract);
+            y0 = lerp(y0, n.y, attract);
+
+            x0 += (rng() * 2 - 1) * (p.bleed * 24 * u);
+            y0 += (rng() * 2 - 1) * (p.bleed * 24 * u);
+
+            const shape = shardShape(x0, y0, radius, sides, angle0, rng, p, u);
+
+            const xm = mirrorX(x0, rng);
+            const ym = y0 + (rng() * 2 - 1) * p.fracture * 18 * u;
+            const mirrored = shardShape(xm, ym, radius * lerp(0.92, 1.06, rng()), sides, angle0 + (rng() * 2 - 1) * p.fracture * 0.25, rng, p, u);
+            return [shape, mirrored];
+        }
+
         // Shards — fractional layer and shard count blending
         const shardFloor = p.shardLayers;
         const shardLayerFrac = p.shardLayersF - shardFloor;
@@ -177,75 +264,61 @@ export function createRenderer(canvas, ctx) {
             const isLastLayer = layer === shardFloor;
             const layerScale = isLastLayer ? shardLayerFrac : 1;
 
-            const shardHue = (p.hue + lerp(-35, 75, shardRng()) + layer * lerp(8, 18, shardRng())) % 360;
-            const sat = lerp(35, 78, clamp01(p.lum + 0.15 * shardRng()));
-            const light = lerp(36, 72, clamp01(p.lum + 0.20 * shardRng()));
+            const shardHue = (p.hue + lerp(-35, 75, layerRng()) + layer * lerp(8, 18, layerRng())) % 360;
+            const sat = lerp(35, 78, clamp01(p.lum + 0.15 * layerRng()));
+            const light = lerp(36, 72, clamp01(p.lum + 0.20 * layerRng()));
             const layerT = 1 - layer / (shardFloor + 2);
 
             const baseAlpha = p.shardAlpha * lerp(0.65, 1.25, layerT) * (1 + 0.35 * p.bleed) * (1 - 0.18 * p.edgeSharpness);
             const layerAlpha = baseAlpha * layerScale;
 
-            ctx.save();
-            ctx.globalCompositeOperation = (p.bleed > 0.55) ? 'screen' : ((layer % 2 === 0) ? 'lighter' : 'screen');
+            const op = (p.bleed > 0.55) ? 'screen' : ((layer % 2 === 0) ? 'lighter' : 'screen');
 
-            ctx.fillStyle = hsl(shardHue, sat, light, layerAlpha);
-            ctx.strokeStyle = hsl(shardHue, sat, light, layerAlpha * 1.15);
+            let fill = hsl(shardHue, sat, light, layerAlpha);
+            let stroke = hsl(shardHue, sat, light, layerAlpha * 1.15);
 
             for (let s = 0; s <= spsFloor; s++) {
                 const isLastShard = s === spsFloor;
 
-                const sides = 3 + Math.floor(shardRng() * 5);
-                const radius = lerp(60, 235, shardRng()) * lerp(0.75, 1.10, layerT);
-                const angle0 = shardRng() * Math.PI * 2;
-
-                let x0 = lerp(W * 0.18, W * 0.82, shardRng());
-                let y0 = lerp(H * 0.18, H * 0.86, shardRng());
-
-                const n = nodes[Math.floor(shardRng() * nodes.length)];
-                const attract = lerp(0.05, 0.24, p.density) * (0.7 + 0.7 * shardRng()) * n.weight;
-                x0 = lerp(x0, n.x, attract);
-                y0 = lerp(y0, n.y, attract);
-
-                x0 += (shardRng() * 2 - 1) * (p.bleed * 24);
-                y0 += (shardRng() * 2 - 1) * (p.bleed * 24);
+                let shapes = layoutShard(a.shardRng, layerT);
+                if (b) {
+                    const other = layoutShard(b.shardRng, layerT);
+                    shapes = shapes.map((shape, i) => blendShape(shape, other[i], morphT));
+                }
 
                 // Fractional last-shard fade
                 if (isLastShard) {
                     const fracAlpha = layerAlpha * spsFrac;
-                    ctx.fillStyle = hsl(shardHue, sat, light, fracAlpha);
-                    ctx.strokeStyle = hsl(shardHue, sat, light, fracAlpha * 1.15);
+                    fill = hsl(shardHue, sat, light, fracAlpha);
+                    stroke = hsl(shardHue, sat, light, fracAlpha * 1.15);
                 }
 
-                drawShard(x0, y0, radius, sides, angle0, shardRng, p);
-
-                const xm = mirrorX(x0, shardRng);
-                const ym = y0 + (shardRng() * 2 - 1) * p.fracture * 18;
-                drawShard(xm, ym, radius * lerp(0.92, 1.06, shardRng()), sides, angle0 + (shardRng() * 2 - 1) * p.fracture * 0.25, shardRng, p);
+                for (const shape of shapes) drawShard(shape, fill, stroke, op);
             }
-
-            ctx.restore();
         }
 
         // Flow field
         if (p.flow > 0.01) {
-            ctx.save();
-            ctx.globalCompositeOperation = 'screen';
-            ctx.lineCap = 'round';
 
-            const grid = Math.floor(lerp(34, 92, clamp01(0.65 * p.flow + 0.35 * p.density)));
-            const stepX = W / grid;
-            const stepY = H / Math.floor(grid * (H / W));
+            const grid = Math.floor(lerp(34, 92, clamp01(0.65 * p.flow + 0.35 * p.density)) * (opts.draft ? 0.5 : 1));
+            // The grid is laid out in reference-frame units (W / u × H / u) and scaled
+            // to the frame, so it is the same grid, drawn in the same order, at any size
+            const refW = W / u, refH = H / u;
+            const stepX = refW / grid;
+            const stepY = refH / Math.floor(grid * (H / W));
 
             const flowHue = (p.hue + 120) % 360;
-            ctx.strokeStyle = hsl(flowHue, lerp(28, 62, p.lum), lerp(52, 80, p.lum), lerp(0.06, 0.24, p.flow) * (1 + 0.25 * p.bleed));
+            const flowStroke = hsl(flowHue, lerp(28, 62, p.lum), lerp(52, 80, p.lum), lerp(0.06, 0.24, p.flow) * (1 + 0.25 * p.bleed));
 
-            for (let gy = 0; gy <= H; gy += stepY) {
-                for (let gx = 0; gx <= W; gx += stepX) {
+            for (let ry = 0; ry <= refH; ry += stepY) {
+                const gy = ry * u;
+                for (let rx = 0; rx <= refW; rx += stepX) {
+                    const gx = rx * u;
                     const dx = gx - cx;
                     const dy = gy - cy;
 
                     let ang = Math.atan2(dy, dx) + Math.PI / 2;
-                    const localNoise = signedNoise2D(gx, gy);
+                    const localNoise = signedNoise2D(rx, ry);
                     const curvature = lerp(0.4, 2.2, p.flow) * (1 + 0.6 * p.fracture) * (1 - 0.25 * p.symmetry);
                     ang += localNoise * curvature;
 
@@ -260,39 +333,34 @@ export function createRenderer(canvas, ctx) {
 
                     // multi-axis drift
                     if (p.multiAxis > 0.01) {
-                        const altCenterX = cx + (gx < cx ? -1 : 1) * (p.multiAxis * 170);
+                        const altCenterX = cx + (gx < cx ? -1 : 1) * (p.multiAxis * 170 * u);
                         const altDx = gx - altCenterX;
                         const altAng = Math.atan2(dy, altDx) + Math.PI / 2;
                         ang = lerp(ang, altAng, p.multiAxis * 0.45);
                     }
 
-                    const len = lerp(4, 18, p.flow) * (0.7 + 0.6 * flowRng());
+                    const len = lerp(4, 18, p.flow) * (0.7 + 0.6 * flowRng()) * u;
                     const x2 = gx + Math.cos(ang) * len;
                     const y2 = gy + Math.sin(ang) * len;
 
-                    ctx.lineWidth = lerp(0.6, 1.8, p.flow) * (0.6 + 0.7 * flowRng()) * (1 - 0.15 * p.edgeSharpness);
-                    ctx.beginPath();
-                    ctx.moveTo(gx, gy);
-                    ctx.lineTo(x2, y2);
-                    ctx.stroke();
+                    const lineWidth = lerp(0.6, 1.8, p.flow) * (0.6 + 0.7 * flowRng()) * (1 - 0.15 * p.edgeSharpness) * u;
+                    backend.strokePath([gx, gy, x2, y2], false, flowStroke, lineWidth, 'round', 'screen');
                 }
             }
-            ctx.restore();
         }
 
         // Node glows — weighted by fractional node weight
-        ctx.save();
-        ctx.globalCompositeOperation = 'screen';
         for (const n of nodes) {
             const glowR = n.r * lerp(6.5, 12.0, p.lum) * (1 + 0.35 * p.bleed) * n.weight;
             const glowA = lerp(0.02, 0.09, aspects.radiance) * n.weight;
             softGlow(n.x, n.y, glowR, glowA);
             softGlow(mirrorX(n.x, nodeRng), n.y, glowR * 0.92, lerp(0.015, 0.065, aspects.radiance) * n.weight);
         }
-        ctx.restore();
 
-        vignette(lerp(0.32, 0.70, 1 - p.lum));
-        addGrain(grainRng, clamp01(p.grain));
+        vignette(W, H, lerp(0.32, 0.70, 1 - p.lum));
+        backend.endFrame();
+
+        if (!opts.draft) backend.grain(a.grainSeed, clamp01(p.grain), frame, b ? { seed: b.grainSeed, t: morphT } : null);
 
         const altText = generateAltText(aspects, nodes.length, title);
 
@@ -0,0 +1,179 @@
+/**
+ * Data series import: drive an animation's aspects from an external time
+ * series (a mood journal, a sensor log) instead of the landmark curves.
+ *
+ * A file is CSV with a header row, or JSON (an array of row objects, or
+ * { rows: [...] }). Each row has a time and any of the six aspects, matched
+ * by column name (case-insensitive). Times are numbers in any unit, or
+ * dates; only their spacing matters, as the rows are stretched over the
+ * animation from the first to the last. An aspect column already within
+ * 0..1 is used as is; any other is rescaled from its own min..max.
+ *
+ * The rows are resampled to one sample per frame at ANIM_FPS and stored in
+ * the animation profile (`series`); interpolation.js plays them back, with
+ * the smoothing and loop / one-shot handling.
+ */
+
+import { ASPECT_KEYS } from './interpolation.js';
+import { ANIM_FPS, totalFrameCount } from './animation.js';
+
+/** Recognised time column names, in order of preference. */
+export const SERIES_TIME_COLUMNS = ['time', 't', 'timestamp', 'date', 'datetime', 'ms', 'seconds', 's'];
+
+/** Rows kept after resampling are capped, so long logs stay small in localStorage. */
+const MAX_SAMPLES = 2400;
+
+function parseCsvLine(line, sep) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === sep) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/** CSV text → row objects keyed by header. Comma, semicolon or tab separated. */
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.trimStart().startsWith('#'));
+    if (lines.length < 2) return [];
+    const sep = ['\t', ';', ','].find(s => lines[0].includes(s)) || ',';
+    const header = parseCsvLine(lines[0], sep);
+    return lines.slice(1).map((line) => {
+        const cells = parseCsvLine(line, sep);
+        return Object.fromEntries(header.map((h, i) => [h, cells[i]]));
+    });
+}
+
+function parseTime(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || !value.trim()) return NaN;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : Date.parse(value);
+}
+
+/**
+ * Read a series file into rows sorted by time.
+ * @param {string} text - CSV or JSON
+ * @returns {{ times: number[], columns: object, timeColumn: string, rescaled: string[] }}
+ *   columns: aspect → values (0..1), one per time
+ * @throws {Error} when there is no time column, no aspect column or fewer than 2 rows
+ */
+export function parseSeries(text) {
+    const trimmed = text.trim();
+    let rows;
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        rows = Array.isArray(data) ? data : data?.rows;
+        if (!Array.isArray(rows)) throw new Error('JSON must be an array of rows or { rows: [...] }');
+    } else {
+        rows = parseCsv(trimmed);
+    }
+    rows = rows.filter(r => r && typeof r === 'object');
+    if (rows.length === 0) throw new Error('no rows');
+
+    // Column names as written, by lower-cased name
+    const names = new Map(Object.keys(rows[0]).map(k => [k.trim().toLowerCase(), k]));
+    const timeColumn = SERIES_TIME_COLUMNS.find(c => names.has(c));
+    if (!timeColumn) throw new Error(`no time column (one of: ${SERIES_TIME_COLUMNS.join(', ')})`);
+    const aspectKeys = ASPECT_KEYS.filter(k => names.has(k));
+    if (aspectKeys.length === 0) throw new Error(`no aspect columns (${ASPECT_KEYS.join(', ')})`);
+
+    const parsed = rows
+        .map(r => ({
+            time: parseTime(r[names.get(timeColumn)]),
+            values: aspectKeys.map(k => Number(r[names.get(k)])),
+        }))
+        .filter(r => Number.isFinite(r.time))
+        .sort((a, b) => a.time - b.time);
+    if (parsed.length < 2) throw new Error('needs 2+ rows with a readable time');
+
+    const columns = {};
+    const rescaled = [];
+    aspectKeys.forEach((k, j) => {
+        // Gaps (empty or non-numeric cells) take the previous reading, or the next one at the start
+        const values = parsed.map(r => r.values[j]);
+        const first = values.find(Number.isFinite);
+        if (first === undefined) return;
+        let last = first;
+        const filled = values.map(v => (Number.isFinite(v) ? (last = v) : last));
+
+        // A loop, not Math.min(...filled): spreading a long column overflows the call stack
+        let min = Infinity;
+        let max = -Infinity;
+        for (const v of filled) {
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        if (min >= 0 && max <= 1) {
+            columns[k] = filled;
+        } else {
+            rescaled.push(k);
+            columns[k] = filled.map(v => (max > min ? (v - min) / (max - min) : 0.5));
+        }
+    });
+    if (!Object.keys(columns).length) throw new Error('aspect columns have no numbers');
+
+    return { times: parsed.map(r => r.time), columns, timeColumn, rescaled };
+}
+
+/**
+ * Resample parsed rows to evenly spaced samples (linear between rows).
+ * @param {{ times: number[], columns: object }} parsed - from parseSeries
+ * @param {number} count - samples per aspect, spread from the first row to the last
+ * @returns {object} aspect → number[]
+ */
+export function resampleSeries({ times, columns }, count) {
+    const t0 = times[0];
+    const span = times[times.length - 1] - t0;
+    const out = {};
+    for (const [k, values] of Object.entries(columns)) {
+        const samples = new Array(count);
+        let row = 0;
+        for (let i = 0; i < count; i++) {
+            const t = t0 + (count > 1 ? i / (count - 1) : 0) * span;
+            while (row < times.length - 2 && times[row + 1] <= t) row++;
+            const dt = times[row + 1] - times[row];
+            const u = dt > 0 ? Math.min(Math.max((t - times[row]) / dt, 0), 1) : 1;
+            samples[i] = +(values[row] + (values[row + 1] - values[row]) * u).toFixed(4);
+        }
+        out[k] = samples;
+    }
+    return out;
+}
+
+/**
+ * Import a series file for an animation profile.
+ * @param {string} text - CSV or JSON (see parseSeries)
+ * @param {object} opts
+ * @param {string} opts.name - file name, for display and manifest.json
+ * @param {number} opts.durationMs - animation length; one sample per frame
+ * @param {number} [opts.fps=ANIM_FPS]
+ * @param {number} [opts.smoothingMs=0]
+ * @returns {{ name: string, rows: number, samples: object, smoothingMs: number, rescaled: string[] }}
+ *   rescaled: aspects rescaled from their own range (for the user; not stored)
+ */
+export function importSeries(text, { name, durationMs, fps = ANIM_FPS, smoothingMs = 0 }) {
+    const parsed = parseSeries(text);
+    const count = Math.min(Math.max(totalFrameCount(durationMs, fps), 2), MAX_SAMPLES);
+    return {
+        name,
+        rows: parsed.times.length,
+        samples: resampleSeries(parsed, count),
+        smoothingMs,
+        rescaled: parsed.rescaled,
+    };
+}
@@ -0,0 +1,169 @@
+/**
+ * SVG drawing backend.
+ * Records backend calls as SVG elements: polygons and lines become paths,
+ * glows become circles filled with radial gradients, and composite modes map
+ * to CSS mix-blend-mode ('lighter' → 'plus-lighter').
+ *
+ * The grain pass is not rasterized; its seed and amount are kept so toSvg()
+ * can embed it as an exact raster layer, approximate it with an SVG filter,
+ * or leave it out.
+ */
+
+import { mulberry32At } from './prng.js';
+import { parseColor, toHex } from './color.js';
+
+const BLEND_MODES = {
+    'source-over': null,
+    'screen': 'screen',
+    'lighter': 'plus-lighter',
+};
+
+function fmt(n) {
+    return String(Math.round(n * 100) / 100);
+}
+
+export function escapeXml(s) {
+    return String(s).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+export function createSvgBackend(width, height) {
+    const defs = [];
+    const body = [];
+    let gradientId = 0;
+    let translate = '';
+    let grain = null;
+
+    function gradientRef(g) {
+        const id = `g${++gradientId}`;
+
+        // Concentric gradients (all the renderer draws) fold r0 into the stop offsets
+        // so they don't depend on SVG 2's `fr`.
+        const concentric = g.x0 === g.x1 && g.y0 === g.y1 && g.r1 > 0;
+        const offsetFor = (t) => concentric ? (g.r0 + t * (g.r1 - g.r0)) / g.r1 : t;
+        const focal = concentric ? '' : ` fx="${fmt(g.x0)}" fy="${fmt(g.y0)}" fr="${fmt(g.r0)}"`;
+
+        const stops = g.stops.map(([offset, color]) => {
+            const c = parseColor(color);
+            return `<stop offset="${fmt(offsetFor(offset))}" stop-color="${toHex(c)}" stop-opacity="${fmt(c.a)}"/>`;
+        }).join('');
+        defs.push(
+            `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${fmt(g.x1)}" cy="${fmt(g.y1)}" r="${fmt(g.r1)}"${focal}>${stops}</radialGradient>`
+        );
+        return `url(#${id})`;
+    }
+
+    function paintAttrs(kind, paint) {
+        if (typeof paint !== 'string') return `${kind}="${gradientRef(paint)}"`;
+        const c = parseColor(paint);
+        return `${kind}="${toHex(c)}"` + (c.a < 1 ? ` ${kind}-opacity="${fmt(c.a)}"` : '');
+    }
+
+    function opAttrs(op) {
+        const blend = BLEND_MODES[op];
+        return (blend ? ` style="mix-blend-mode:${blend}"` : '') + translate;
+    }
+
+    function pathData(points, closed) {
+        let d = `M${fmt(points[0])} ${fmt(points[1])}`;
+        for (let i = 2; i < points.length; i += 2) d += `L${fmt(points[i])} ${fmt(points[i + 1])}`;
+        return closed ? d + 'Z' : d;
+    }
+
+    /**
+     * Grey grain image matching the Canvas2D pass: 128 + noise per pixel,
+     * added back onto the artwork by an arithmetic composite.
+     */
+    function grainDataUrl(seed, amount) {
+        const c = document.createElement('canvas');
+        c.width = width;
+        c.height = height;
+        const g = c.getContext('2d');
+        const img = g.createImageData(width, height);
+        const d = img.data;
+        const a = amount * 255;
+        for (let y = 0; y < height; y++) {
+            const rng = mulberry32At(seed, y * width);
+            for (let i = y * width * 4, end = i + width * 4; i < end; i += 4) {
+                const v = 128 + (rng() * 2 - 1) * a;
+                d[i] = d[i + 1] = d[i + 2] = v;
+                d[i + 3] = 255;
+            }
+        }
+        g.putImageData(img, 0, 0);
+        return c.toDataURL('image/png');
+    }
+
+    function grainFilter(mode) {
+        const open = `<filter id="grain" x="0" y="0" width="${width}" height="${height}" filterUnits="userSpaceOnUse" color-interpolation-filters="sRGB">`;
+        if (mode === 'raster') {
+            return open +
+                `<feImage href="${grainDataUrl(grain.seed, grain.amount)}" x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="none" result="noise"/>` +
+                `<feComposite in="SourceGraphic" in2="noise" operator="arithmetic" k1="0" k2="1" k3="1" k4="${fmt(-128 / 255)}"/>` +
+                '</filter>';
+        }
+        // fractalNoise sits around 0.5 ± ~0.25; scale it to ± amount
+        const k3 = grain.amount * 4;
+        return open +
+            `<feTurbulence type="fractalNoise" baseFrequency="0.85" numOctaves="1" seed="${grain.seed % 10000}" result="turb"/>` +
+            '<feColorMatrix in="turb" type="matrix" values="1 0 0 0 0  1 0 0 0 0  1 0 0 0 0  0 0 0 0 1" result="noise"/>' +
+            `<feComposite in="SourceGraphic" in2="noise" operator="arithmetic" k1="0" k2="1" k3="${fmt(k3)}" k4="${fmt(-k3 / 2)}"/>` +
+            '</filter>';
+    }
+
+    return {
+        width,
+        height,
+
+        beginFrame(frame) {
+            translate = (frame.x || frame.y) ? ` transform="translate(${fmt(-frame.x)} ${fmt(-frame.y)})"` : '';
+        },
+
+        endFrame() {
+            translate = '';
+        },
+
+        fillRect(x, y, w, h, paint, op) {
+            body.push(`<rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(w)}" height="${fmt(h)}" ${paintAttrs('fill', paint)}${opAttrs(op)}/>`);
+        },
+
+        fillCircle(cx, cy, r, paint, op) {
+            body.push(`<circle cx="${fmt(cx)}" cy="${fmt(cy)}" r="${fmt(r)}" ${paintAttrs('fill', paint)}${opAttrs(op)}/>`);
+        },
+
+        fillPath(points, closed, paint, op) {
+            body.push(`<path d="${pathData(points, closed)}" ${paintAttrs('fill', paint)}${opAttrs(op)}/>`);
+        },
+
+        strokePath(points, closed, paint, lineWidth, cap, op) {
+            const capAttr = cap !== 'butt' ? ` stroke-linecap="${cap}"` : '';
+            body.push(`<path d="${pathData(points, closed)}" fill="none" ${paintAttrs('stroke', paint)} stroke-width="${fmt(lineWidth)}"${capAttr}${opAttrs(op)}/>`);
+        },
+
+        grain(seed, amount) {
+            grain = { seed, amount };
+        },
+
+        /**
+         * Serialize the recorded drawing.
+         * @param {object} [opts]
+         * @param {'raster'|'filter'|'none'} [opts.grainMode='none']
+         * @param {string} [opts.title]
+         * @param {string} [opts.description]
+         * @returns {string}
+         */
+        toSvg({ grainMode = 'none', title = '', description = '' } = {}) {
+            const useGrain = grain && grainMode !== 'none';
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+                title ? `<title>${escapeXml(title)}</title>` : '',
+                description ? `<desc>${escapeXml(description)}</desc>` : '',
+                `<defs>${defs.join('')}${useGrain ? grainFilter(grainMode) : ''}</defs>`,
+                `<g style="isolation:isolate"${useGrain ? ' filter="url(#grain)"' : ''}>`,
+                ...body,
+                '</g>',
+                '</svg>',
+            ].filter(Boolean).join('\n') + '\n';
+        },
+    };
+}
@@ -80,10 +80,15 @@ const TRANSITION_VERBS = {
  * @param {Array<{name: string, aspects: object}>} landmarks
  * @param {number} durationSecs
  * @param {Array<{name: string, title: string}>} keyframeTexts
+ * @param {object} [opts]
+ * @param {string} [opts.playback='loop'] - 'loop' | 'once' | 'ping-pong' | 'intro'
+ * @param {number} [opts.introLandmarks=0] - landmarks before the loop body (resolved, see introLandmarkCount)
  * @returns {string}
  */
-export function generateAnimAltText(landmarks, durationSecs, keyframeTexts) {
+export function generateAnimAltText(landmarks, durationSecs, keyframeTexts, { playback = 'loop', introLandmarks = 0 } = {}) {
     const n = landmarks.length;
+    const intro = playback === 'intro' && introLandmarks > 0;
+    if (playback === 'intro' && !intro) playback = 'loop';
 
     // Compute aspect ranges
     const ranges = {};
@@ -105,9 +110,14 @@ export function generateAnimAltText(landmarks, durationSecs, keyframeTexts) {
     const parts = [];
 
     // Opening
-    parts.push(
-        `A ${durationSecs}-second loop cycles through ${n} landmark${n !== 1 ? 's' : ''}, each a geometry of interiority under revision.`
-    );
+    const count = (k) => `${k} landmark${k !== 1 ? 's' : ''}`;
+    const openings = {
+        'loop': `A ${durationSecs}-second loop cycles through ${count(n)}`,
+        'once': `A ${durationSecs}-second animation passes once through ${count(n)}`,
+        'ping-pong': `A ${durationSecs}-second loop travels out through ${count(n)} and back again`,
+        'intro': `A ${durationSecs}-second animation opens through ${count(introLandmarks)}, then cycles through the remaining ${n - introLandmarks}`,
+    };
+    parts.push(`${openings[playback] ?? openings.loop}, each a geometry of interiority under revision.`);
 
     // Dynamic aspects
     if (dynamicAspects.length > 0) {
@@ -124,14 +134,19 @@ export function generateAnimAltText(landmarks, durationSecs, keyframeTexts) {
         );
     }
 
-    // Per-transition descriptions
+    // Per-transition descriptions; only a loop (or an intro's body) wraps back
     if (n >= 2) {
+        const steps = [];
+        for (let i = 0; i + 1 < n; i++) steps.push([i, i + 1]);
+        if (intro) steps.push([n - 1, introLandmarks]);
+        else if (playback !== 'once' && playback !== 'ping-pong') steps.push([n - 1, 0]);
+
         const transitions = [];
-        for (let i = 0; i < n; i++) {
+        for (const [i, j] of steps) {
             const from = landmarks[i];
-            const to = landmarks[(i + 1) % n];
+            const to = landmarks[j];
             const fromTitle = keyframeTexts[i]?.title || from.name;
-            const toTitle = keyframeTexts[(i + 1) % n]?.title || to.name;
+            const toTitle = keyframeTexts[j]?.title || to.name;
 
             let maxDelta = 0, maxKey = ASPECT_KEYS[0];
             for (const key of ASPECT_KEYS) {
@@ -143,15 +158,30 @@ export function generateAnimAltText(landmarks, durationSecs, keyframeTexts) {
             const verb = TRANSITION_VERBS[maxKey]?.[direction] || 'the field shifting';
             transitions.push(`from \u201c${fromTitle}\u201d to \u201c${toTitle}\u201d: ${verb}`);
         }
-        parts.push(`The journey moves ${transitions.join('; ')}.`);
+        const retrace = playback === 'ping-pong' ? ', then retraces the same path back' : '';
+        parts.push(`The journey moves ${transitions.join('; ')}${retrace}.`);
     }
 
     // Closing
-    parts.push(
-        'Motion completes its cycle but never truly repeats. ' +
-        'Forms overlap but do not collapse. ' +
-        'The geometry returns to where it began, changed by having moved.'
-    );
+    if (playback === 'once') {
+        parts.push(
+            'Motion passes through once and does not return. ' +
+            'Forms overlap but do not collapse. ' +
+            'The geometry comes to rest, changed by having moved.'
+        );
+    } else if (intro) {
+        parts.push(
+            'After its opening, motion settles into a cycle that never truly repeats. ' +
+            'Forms overlap but do not collapse. ' +
+            'The geometry returns to where the cycle began, changed by having moved.'
+        );
+    } else {
+        parts.push(
+            'Motion completes its cycle but never truly repeats. ' +
+            'Forms overlap but do not collapse. ' +
+            'The geometry returns to where it began, changed by having moved.'
+        );
+    }
 
     return parts.join('\n');
 }
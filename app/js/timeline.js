@@ -0,0 +1,206 @@
+/**
+ * Animation timeline: transport controls for the frame buffer.
+ *
+ * - Scrub bar: click or drag to seek; shift-drag selects a loop range
+ * - Landmark markers where each landmark is reached (spanning its hold)
+ * - Continuity flags below the bar (see continuity.js) and the loop's score
+ * - Play/pause (resumes from the playhead), single-frame stepping, speed
+ * - In/Out set the loop range from the playhead; Full clears it
+ *
+ * Keyboard (scrub bar focused): ←/→ step a frame, space play/pause,
+ * Home/End jump to the range ends, I/O set in/out.
+ *
+ * All playback state lives in the animation controller; this module only
+ * reflects it and forwards input.
+ */
+
+/**
+ * @param {HTMLElement} root - the .timeline element (see index.html)
+ * @param {object} controller - createAnimationController() instance
+ */
+export function createTimeline(root, controller) {
+    const track = root.querySelector('.timeline-track');
+    const rangeEl = root.querySelector('.timeline-range');
+    const markersEl = root.querySelector('.timeline-markers');
+    const flagsEl = root.querySelector('.timeline-flags');
+    const playhead = root.querySelector('.timeline-playhead');
+    const playBtn = root.querySelector('.timeline-play');
+    const timeEl = root.querySelector('.timeline-time');
+    const continuityEl = root.querySelector('.timeline-continuity');
+    const speedSelect = root.querySelector('.timeline-speed');
+
+    let durationMs = 0;
+    let drag = null;            // { resume, anchor }
+
+    function tAtPointer(e) {
+        const rect = track.getBoundingClientRect();
+        return Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    }
+
+    function renderRange() {
+        const { start, end } = controller.getRange();
+        rangeEl.style.left = `${(start * 100).toFixed(3)}%`;
+        rangeEl.style.width = `${((end - start) * 100).toFixed(3)}%`;
+        rangeEl.classList.toggle('partial', start > 0 || end < 1);
+    }
+
+    /** Reflect the playhead (called from the controller's onFrame). */
+    function update(tNorm, frameIndex) {
+        const { frameCount } = controller.getPosition();
+        playhead.style.left = `${(tNorm * 100).toFixed(3)}%`;
+        const secs = (tNorm * durationMs) / 1000;
+        timeEl.textContent = `${secs.toFixed(2)}s / ${(durationMs / 1000).toFixed(2)}s · ${frameIndex + 1}/${frameCount}`;
+        track.setAttribute('aria-valuenow', String(frameIndex));
+        track.setAttribute('aria-valuetext', `${secs.toFixed(2)} seconds, frame ${frameIndex + 1} of ${frameCount}`);
+    }
+
+    function setPlaying(playing) {
+        playBtn.textContent = playing ? 'Pause' : 'Play';
+        playBtn.setAttribute('aria-pressed', String(playing));
+    }
+
+    /**
+     * Bind to a freshly loaded buffer.
+     * @param {object} buffer
+     * @param {number} buffer.durationMs
+     * @param {{ tNorm: number, hold?: number, name: string }[]} buffer.markers - landmark positions
+     * @param {object} [buffer.continuity] - analyzeContinuity() report
+     */
+    function setBuffer({ durationMs: ms, markers, continuity = null }) {
+        durationMs = ms;
+        controller.setSpeed(parseFloat(speedSelect.value));
+        track.setAttribute('aria-valuemax', String(Math.max(0, controller.getPosition().frameCount - 1)));
+
+        markersEl.replaceChildren(...markers.map(({ tNorm, hold = 0, name }) => {
+            const m = document.createElement('button');
+            m.type = 'button';
+            m.className = 'timeline-marker';
+            m.style.left = `${(tNorm * 100).toFixed(3)}%`;
+            if (hold > 0) {
+                m.classList.add('hold');
+                m.style.width = `${(Math.min(hold, 1 - tNorm) * 100).toFixed(3)}%`;
+            }
+            m.title = name;
+            m.setAttribute('aria-label', `Jump to ${name}`);
+            m.addEventListener('pointerdown', (e) => e.stopPropagation());
+            m.addEventListener('click', () => {
+                controller.pause();
+                controller.seek(tNorm);
+            });
+            return m;
+        }));
+
+        renderContinuity(continuity);
+        renderRange();
+        const { tNorm, frameIndex } = controller.getPosition();
+        update(tNorm, frameIndex);
+        setPlaying(controller.isPlaying());
+    }
+
+    function renderContinuity(report) {
+        const flags = report?.flags || [];
+        flagsEl.replaceChildren(...flags.map(({ tNorm, kind, detail }) => {
+            const f = document.createElement('button');
+            f.type = 'button';
+            f.className = 'timeline-flag';
+            // Count steps are often too small to notice; the rest are visible
+            f.classList.toggle('minor', kind === 'count');
+            f.style.left = `${(tNorm * 100).toFixed(3)}%`;
+            f.title = `${kind}: ${detail}`;
+            f.setAttribute('aria-label', `Jump to ${kind} at ${((tNorm * durationMs) / 1000).toFixed(2)}s`);
+            f.addEventListener('pointerdown', (e) => e.stopPropagation());
+            f.addEventListener('click', () => {
+                controller.pause();
+                controller.seek(tNorm);
+            });
+            return f;
+        }));
+
+        continuityEl.classList.toggle('hidden', !report);
+        if (!report) return;
+        const serious = flags.filter(f => f.kind !== 'count').length;
+        continuityEl.textContent = `continuity ${report.score.toFixed(2)}`;
+        continuityEl.classList.toggle('flagged', serious > 0);
+        continuityEl.title = flags.length
+            ? `${flags.length} flagged frame${flags.length === 1 ? '' : 's'} (${serious} besides count steps)`
+            : 'No discontinuities found';
+    }
+
+    function setIn() {
+        controller.setRange(controller.getPosition().tNorm, controller.getRange().end);
+        renderRange();
+    }
+
+    function setOut() {
+        controller.setRange(controller.getRange().start, controller.getPosition().tNorm);
+        renderRange();
+    }
+
+    /* ── Scrubbing ── */
+
+    track.addEventListener('pointerdown', (e) => {
+        if (!durationMs || e.button !== 0) return;
+        track.setPointerCapture(e.pointerId);
+        const t = tAtPointer(e);
+        drag = { resume: controller.isPlaying(), anchor: e.shiftKey ? t : null };
+        controller.pause();
+        controller.seek(t);
+    });
+
+    track.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const t = tAtPointer(e);
+        if (drag.anchor !== null) {
+            controller.setRange(drag.anchor, t);
+            renderRange();
+        }
+        controller.seek(t);
+    });
+
+    function endDrag() {
+        if (!drag) return;
+        if (drag.resume) controller.play();
+        drag = null;
+    }
+    track.addEventListener('pointerup', endDrag);
+    track.addEventListener('pointercancel', endDrag);
+
+    track.addEventListener('keydown', (e) => {
+        if (!durationMs) return;
+        const { start, end } = controller.getRange();
+        switch (e.key) {
+            case 'ArrowLeft': controller.step(-1); break;
+            case 'ArrowRight': controller.step(1); break;
+            case ' ': controller.toggle(); break;
+            case 'Home': controller.seek(start); break;
+            case 'End': controller.seek(end); break;
+            case 'i': case 'I': setIn(); break;
+            case 'o': case 'O': setOut(); break;
+            default: return;
+        }
+        e.preventDefault();
+    });
+
+    /* ── Buttons ── */
+
+    playBtn.addEventListener('click', () => controller.toggle());
+    for (const btn of root.querySelectorAll('.timeline-step')) {
+        btn.addEventListener('click', () => controller.step(parseInt(btn.dataset.step, 10)));
+    }
+    root.querySelector('.timeline-in').addEventListener('click', setIn);
+    root.querySelector('.timeline-out').addEventListener('click', setOut);
+    root.querySelector('.timeline-full').addEventListener('click', () => {
+        controller.setRange(0, 1);
+        renderRange();
+    });
+    speedSelect.addEventListener('change', () => controller.setSpeed(parseFloat(speedSelect.value)));
+
+    function show() { root.classList.remove('hidden'); }
+
+    function hide() {
+        drag = null;
+        root.classList.add('hidden');
+    }
+
+    return { setBuffer, update, setPlaying, show, hide };
+}
@@ -0,0 +1,258 @@
+/**
+ * WebM (Matroska) muxing for WebCodecs output, in memory: one video track
+ * (VP9 or AV1) and an optional Opus track.
+ *
+ * The same shape as mp4-muxer's Muxer, so the export path can take either:
+ * addVideoChunk / addAudioChunk as the encoders emit, then finalize() for
+ * the file. Chunks are kept until then, so every element is written with
+ * its size known: EBML header, then a Segment of Info, Tracks, Cues and the
+ * Clusters. A cluster starts at each video keyframe (or every 30 s, the
+ * reach of a block's 16-bit relative timestamp), and the cues point at the
+ * keyframe clusters so players can seek.
+ *
+ * Timestamps are milliseconds (the Matroska default scale). As with
+ * mp4-muxer's 'offset' behaviour, each track is shifted to start at 0, for
+ * audio encoders that prime with a negative first timestamp.
+ */
+
+/** Muxer codecs → Matroska codec IDs. */
+const CODEC_IDS = { vp9: 'V_VP9', av1: 'V_AV1', opus: 'A_OPUS' };
+
+const CLUSTER_MAX_MS = 30_000;
+/** libopus look-ahead at 48 kHz, for an OpusHead when the encoder gives none. */
+const OPUS_PRE_SKIP = 312;
+const OPUS_SEEK_PRE_ROLL_NS = 80_000_000;
+
+/* ---------------------------
+ * EBML
+ * ---------------------------
+ */
+
+const ID = {
+    EBML: 0x1A45DFA3, EBMLVersion: 0x4286, EBMLReadVersion: 0x42F7, EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3, DocType: 0x4282, DocTypeVersion: 0x4287, DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966, TimestampScale: 0x2AD7B1, Duration: 0x4489, MuxingApp: 0x4D80, WritingApp: 0x5741,
+    Tracks: 0x1654AE6B, TrackEntry: 0xAE, TrackNumber: 0xD7, TrackUID: 0x73C5, TrackType: 0x83,
+    CodecID: 0x86, CodecPrivate: 0x63A2, CodecDelay: 0x56AA, SeekPreRoll: 0x56BB, DefaultDuration: 0x23E383,
+    Video: 0xE0, PixelWidth: 0xB0, PixelHeight: 0xBA,
+    Audio: 0xE1, SamplingFrequency: 0xB5, Channels: 0x9F,
+    Cues: 0x1C53BB6B, CuePoint: 0xBB, CueTime: 0xB3, CueTrackPositions: 0xB7, CueTrack: 0xF7,
+    CueClusterPosition: 0xF1,
+    Cluster: 0x1F43B675, Timestamp: 0xE7, SimpleBlock: 0xA3,
+};
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let at = 0;
+    for (const p of parts) { out.set(p, at); at += p.length; }
+    return out;
+}
+
+/** Big-endian unsigned integer in `width` bytes (the fewest that hold it by default). */
+function uintBytes(value, width = 0) {
+    const bytes = [];
+    for (let v = value; v > 0 || bytes.length === 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+    while (bytes.length < width) bytes.unshift(0);
+    return Uint8Array.from(bytes);
+}
+
+/** Element data size as an EBML variable-length integer. */
+function sizeVint(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) length++;
+    const bytes = uintBytes(size, length);
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function element(id, ...children) {
+    const body = concat(children);
+    return concat([uintBytes(id), sizeVint(body.length), body]);
+}
+
+const uintEl = (id, value, width) => element(id, uintBytes(value, width));
+const stringEl = (id, text) => element(id, new TextEncoder().encode(text));
+
+function floatEl(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, bytes);
+}
+
+/* ---------------------------
+ * Codec private data
+ * ---------------------------
+ */
+
+/** AV1CodecConfigurationRecord header from an 'av01.P.LLT.DD' codec string (4:2:0). */
+function av1Config(codec) {
+    const [, profile = '0', levelTier = '08M', depth = '08'] = codec.split('.');
+    const level = parseInt(levelTier, 10) || 0;
+    const bits = parseInt(depth, 10) || 8;
+    return Uint8Array.from([
+        0x81,
+        (Number(profile) << 5) | level,
+        (levelTier.endsWith('H') ? 0x80 : 0) | (bits > 8 ? 0x40 : 0) | (bits === 12 ? 0x20 : 0) | 0x0C,
+        0,
+    ]);
+}
+
+function opusHead(numberOfChannels, sampleRate) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'));
+    head[8] = 1;
+    head[9] = numberOfChannels;
+    view.setUint16(10, OPUS_PRE_SKIP, true);
+    view.setUint32(12, sampleRate, true);
+    return head;
+}
+
+function descriptionBytes(meta) {
+    const desc = meta?.decoderConfig?.description;
+    if (!desc) return null;
+    return ArrayBuffer.isView(desc)
+        ? new Uint8Array(desc.buffer, desc.byteOffset, desc.byteLength).slice()
+        : new Uint8Array(desc).slice();
+}
+
+/* ---------------------------
+ * Muxer
+ * ---------------------------
+ */
+
+/**
+ * @param {object} opts
+ * @param {{ codec: 'vp9'|'av1', codecString?: string, width: number, height: number, frameRate?: number }} opts.video
+ *        codecString: the WebCodecs codec, for the AV1 configuration record when the encoder gives none
+ * @param {{ codec: 'opus', numberOfChannels: number, sampleRate: number }} [opts.audio]
+ * @param {number} [opts.durationMs] - written to Info; otherwise the last block's end
+ * @returns {{ addVideoChunk: function, addAudioChunk: function, finalize: function(): Uint8Array }}
+ */
+export function createWebmMuxer({ video, audio = null, durationMs }) {
+    if (!CODEC_IDS[video.codec]) throw new Error(`WebM cannot carry video codec "${video.codec}"`);
+    if (audio && audio.codec !== 'opus') throw new Error(`WebM cannot carry audio codec "${audio.codec}"`);
+
+    const blocks = [];
+    const first = {};
+    let videoPrivate = null;
+    let audioPrivate = null;
+
+    function add(track, chunk, meta) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        first[track] ??= chunk.timestamp;
+        blocks.push({
+            track,
+            ms: Math.round((chunk.timestamp - first[track]) / 1000),
+            endMs: Math.round((chunk.timestamp - first[track] + (chunk.duration || 0)) / 1000),
+            key: chunk.type === 'key',
+            data,
+        });
+        return descriptionBytes(meta);
+    }
+
+    function tracks() {
+        const entries = [element(ID.TrackEntry,
+            uintEl(ID.TrackNumber, 1),
+            uintEl(ID.TrackUID, 1),
+            uintEl(ID.TrackType, 1),
+            stringEl(ID.CodecID, CODEC_IDS[video.codec]),
+            ...(video.frameRate ? [uintEl(ID.DefaultDuration, Math.round(1e9 / video.frameRate))] : []),
+            ...(videoPrivate || video.codec === 'av1'
+                ? [element(ID.CodecPrivate, videoPrivate || av1Config(video.codecString || ''))]
+                : []),
+            element(ID.Video, uintEl(ID.PixelWidth, video.width), uintEl(ID.PixelHeight, video.height)),
+        )];
+        if (audio) {
+            const head = audioPrivate || opusHead(audio.numberOfChannels, audio.sampleRate);
+            const preSkip = new DataView(head.buffer, head.byteOffset).getUint16(10, true);
+            entries.push(element(ID.TrackEntry,
+                uintEl(ID.TrackNumber, 2),
+                uintEl(ID.TrackUID, 2),
+                uintEl(ID.TrackType, 2),
+                stringEl(ID.CodecID, CODEC_IDS.opus),
+                element(ID.CodecPrivate, head),
+                uintEl(ID.CodecDelay, Math.round(preSkip * 1e9 / 48_000)),
+                uintEl(ID.SeekPreRoll, OPUS_SEEK_PRE_ROLL_NS),
+                element(ID.Audio, floatEl(ID.SamplingFrequency, audio.sampleRate), uintEl(ID.Channels, audio.numberOfChannels)),
+            ));
+        }
+        return element(ID.Tracks, ...entries);
+    }
+
+    /** Group blocks (in time order, video first on a tie) into clusters. */
+    function clusters() {
+        const sorted = blocks.slice().sort((a, b) => a.ms - b.ms || a.track - b.track);
+        const out = [];
+        let current = null;
+        for (const b of sorted) {
+            const videoKey = b.track === 1 && b.key;
+            if (!current || (videoKey && current.blocks.length) || b.ms - current.ms > CLUSTER_MAX_MS) {
+                current = { ms: b.ms, cue: videoKey, blocks: [] };
+                out.push(current);
+            }
+            current.blocks.push(b);
+        }
+        return out.map(c => ({
+            ms: c.ms,
+            cue: c.cue,
+            bytes: element(ID.Cluster,
+                uintEl(ID.Timestamp, c.ms),
+                ...c.blocks.map((b) => {
+                    const header = new Uint8Array(4);
+                    header[0] = 0x80 | b.track;
+                    new DataView(header.buffer).setInt16(1, b.ms - c.ms);
+                    header[3] = b.key ? 0x80 : 0;
+                    return element(ID.SimpleBlock, header, b.data);
+                })),
+        }));
+    }
+
+    function cues(list, offset) {
+        // Positions are fixed-width, so the cues' size does not depend on them
+        let at = offset;
+        const points = [];
+        for (const c of list) {
+            if (c.cue) {
+                points.push(element(ID.CuePoint,
+                    uintEl(ID.CueTime, c.ms),
+                    element(ID.CueTrackPositions, uintEl(ID.CueTrack, 1), uintEl(ID.CueClusterPosition, at, 8))));
+            }
+            at += c.bytes.length;
+        }
+        return element(ID.Cues, ...points);
+    }
+
+    return {
+        addVideoChunk(chunk, meta) {
+            videoPrivate = add(1, chunk, meta) || videoPrivate;
+        },
+        addAudioChunk(chunk, meta) {
+            if (!audio) throw new Error('no audio track configured');
+            audioPrivate = add(2, chunk, meta) || audioPrivate;
+        },
+        finalize() {
+            const header = element(ID.EBML,
+                uintEl(ID.EBMLVersion, 1),
+                uintEl(ID.EBMLReadVersion, 1),
+                uintEl(ID.EBMLMaxIDLength, 4),
+                uintEl(ID.EBMLMaxSizeLength, 8),
+                stringEl(ID.DocType, 'webm'),
+                uintEl(ID.DocTypeVersion, 4),
+                uintEl(ID.DocTypeReadVersion, 2));
+            const end = blocks.reduce((ms, b) => Math.max(ms, b.endMs), 0);
+            const info = element(ID.Info,
+                uintEl(ID.TimestampScale, 1_000_000),
+                floatEl(ID.Duration, durationMs ?? end),
+                stringEl(ID.MuxingApp, 'geometric-interior'),
+                stringEl(ID.WritingApp, 'geometric-interior'));
+            const trackBytes = tracks();
+            const list = clusters();
+            const head = info.length + trackBytes.length;
+            const cueBytes = cues(list, head + cues(list, 0).length);
+            return concat([header, element(ID.Segment, info, trackBytes, cueBytes, ...list.map(c => c.bytes))]);
+        },
+    };
+}
@@ -0,0 +1,185 @@
+/**
+ * Streaming ZIP writer, for archives too big to assemble in one piece.
+ *
+ * Entries are stored, not deflated: the large payloads (PNG, video, GIF)
+ * are compressed already. Each entry is written as it is added, local
+ * header then data, and finish() appends the central directory. Written
+ * bytes are folded into Blob parts as they pile up and Blob inputs are
+ * referenced rather than copied, so the archive never needs a second copy
+ * of its contents in memory (the browser is free to page large Blobs out).
+ *
+ * Every local header carries its entry's CRC and sizes (no data
+ * descriptors), so streaming readers such as Java's ZipInputStream and
+ * older macOS Archive Utility accept the stored entries.
+ *
+ * No Zip64: an archive that would pass 4 GB or 65535 entries fails with an
+ * error instead.
+ */
+
+/** Written bytes kept as typed arrays before they are folded into a Blob. */
+const FOLD_BYTES = 16 * 1024 * 1024;
+
+const LOCAL_HEADER = 0x04034B50;
+const CENTRAL_HEADER = 0x02014B50;
+const END_OF_CENTRAL = 0x06054B50;
+const VERSION = 20;
+const FLAG_UTF8 = 0x0800;
+
+function crc32Table() {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        t[n] = c;
+    }
+    return t;
+}
+
+const CRC_TABLE = crc32Table();
+
+/**
+ * CRC-32 (as used by ZIP and PNG).
+ * @param {Uint8Array} buf
+ * @param {number} [crc=0] - the CRC of the bytes before buf, to continue it
+ * @returns {number}
+ */
+export function crc32(buf, crc = 0) {
+    let c = (crc ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** MS-DOS time and date fields for a Date (local time, 2 s resolution). */
+function dosDateTime(d) {
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+        date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+}
+
+/**
+ * @returns {{
+ *   addFile: function(string, string|Uint8Array|Blob): Promise<void>,
+ *   addStream: function(string, AsyncIterable<Uint8Array>): Promise<void>,
+ *   finish: function(): Blob
+ * }} addFile stores a whole payload (strings as UTF-8); addStream writes
+ *    chunks as they arrive and fills in the entry's header once they end.
+ *    Calls must not overlap: await each before the next.
+ */
+export function createZipWriter() {
+    const parts = [];
+    let pending = [];
+    let pendingBytes = 0;
+    let offset = 0;
+    const entries = [];
+    const { time, date } = dosDateTime(new Date());
+
+    /** Append to the archive; held parts stay out of the folded Blobs, to be patched later. */
+    function emit(part, held = false) {
+        const size = part instanceof Blob ? part.size : part.length;
+        if (offset + size > 0xFFFFFFFF) throw new Error('ZIP archive would pass 4 GB (Zip64 is not supported)');
+        offset += size;
+        if (part instanceof Blob || held) {
+            fold();
+            parts.push(part);
+            return;
+        }
+        pending.push(part);
+        pendingBytes += size;
+        if (pendingBytes >= FOLD_BYTES) fold();
+    }
+
+    function fold() {
+        if (!pending.length) return;
+        parts.push(new Blob(pending));
+        pending = [];
+        pendingBytes = 0;
+    }
+
+    function localHeader(entry) {
+        const header = new Uint8Array(30 + entry.name.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, LOCAL_HEADER, true);
+        view.setUint16(4, VERSION, true);
+        view.setUint16(6, entry.flags, true);
+        view.setUint16(10, time, true);
+        view.setUint16(12, date, true);
+        view.setUint32(14, entry.crc, true);
+        view.setUint32(18, entry.size, true);
+        view.setUint32(22, entry.size, true);
+        view.setUint16(26, entry.name.length, true);
+        header.set(entry.name, 30);
+        return header;
+    }
+
+    function begin(name, crc, size) {
+        if (entries.length === 0xFFFF) throw new Error('ZIP archive would pass 65535 entries (Zip64 is not supported)');
+        const entry = { name: new TextEncoder().encode(name), flags: FLAG_UTF8, crc, size, offset };
+        entries.push(entry);
+        return entry;
+    }
+
+    async function blobCrc(blob) {
+        const reader = blob.stream().getReader();
+        let crc = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return crc;
+            crc = crc32(value, crc);
+        }
+    }
+
+    return {
+        async addFile(name, data) {
+            if (typeof data === 'string') data = new TextEncoder().encode(data);
+            const size = data instanceof Blob ? data.size : data.length;
+            const crc = data instanceof Blob ? await blobCrc(data) : crc32(data);
+            emit(localHeader(begin(name, crc, size)));
+            emit(data);
+        },
+
+        async addStream(name, chunks) {
+            // The header is written now and filled in once the CRC and size are known
+            const entry = begin(name, 0, 0);
+            const header = localHeader(entry);
+            emit(header, true);
+            for await (const chunk of chunks) {
+                entry.crc = crc32(chunk, entry.crc);
+                entry.size += chunk.length;
+                emit(chunk);
+            }
+            header.set(localHeader(entry));
+        },
+
+        finish() {
+            const start = offset;
+            for (const entry of entries) {
+                const header = new Uint8Array(46 + entry.name.length);
+                const view = new DataView(header.buffer);
+                view.setUint32(0, CENTRAL_HEADER, true);
+                view.setUint16(4, VERSION, true);
+                view.setUint16(6, VERSION, true);
+                view.setUint16(8, entry.flags, true);
+                view.setUint16(12, time, true);
+                view.setUint16(14, date, true);
+                view.setUint32(16, entry.crc, true);
+                view.setUint32(20, entry.size, true);
+                view.setUint32(24, entry.size, true);
+                view.setUint16(28, entry.name.length, true);
+                view.setUint32(42, entry.offset, true);
+                header.set(entry.name, 46);
+                emit(header);
+            }
+            const end = new Uint8Array(22);
+            const view = new DataView(end.buffer);
+            view.setUint32(0, END_OF_CENTRAL, true);
+            view.setUint16(8, entries.length, true);
+            view.setUint16(10, entries.length, true);
+            view.setUint32(12, offset - start, true);
+            view.setUint32(16, start, true);
+            emit(end);
+            fold();
+            return new Blob(parts, { type: 'application/zip' });
+        },
+    };
+}
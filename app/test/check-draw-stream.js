@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Golden check of the renderer's draw-call stream.
+ *
+ * Renders fixed seeds through the recording backend and compares each
+ * display list with test/draw-stream.golden.json (a SHA-256 of the list
+ * plus its call counts, per case). A mismatch means the picture changed:
+ * either a regression, or an intended change to re-record with --update.
+ *
+ *   node test/check-draw-stream.js [--update]
+ *
+ * Numbers are rounded to 10 significant digits before hashing, so the
+ * check is about geometry and paint, not the last bit of a float.
+ *
+ * The grain is applied by the backend, not recorded, so it is checked on
+ * its own: a whole-frame applyGrain must match the original sequential
+ * per-pixel loop, and tiles must stitch into the whole frame.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { createRenderer } from '../js/renderer.js';
+import { createRecordingBackend } from '../js/recording-backend.js';
+import { applyGrain } from '../js/canvas-backend.js';
+import { mulberry32 } from '../js/prng.js';
+
+const GOLDEN = new URL('./draw-stream.golden.json', import.meta.url);
+
+/**
+ * 1400×900 is the reference frame (frame unit 1); the others scale it. Its
+ * streams draw the same picture as the renderer did before it had backends,
+ * so they must not change unless the reference picture is meant to.
+ */
+const SIZES = [[1400, 900], [2800, 1800], [1080, 1080]];
+
+const CASES = {
+    portrait: { coherence: 0.2, tension: 0.2, recursion: 0.3, motion: 0.2, vulnerability: 0.3, radiance: 0.3 },
+    interior: { coherence: 0.9, tension: 0.8, recursion: 0.7, motion: 0.9, vulnerability: 0.6, radiance: 0.9 },
+    midpoint: { coherence: 0.5, tension: 0.5, recursion: 0.5, motion: 0.5, vulnerability: 0.5, radiance: 0.5 },
+};
+
+function canonical(value) {
+    if (typeof value === 'number') return Number.isInteger(value) ? value : +value.toPrecision(10);
+    if (Array.isArray(value)) {
+        // Trailing optional arguments left out and passed as null / undefined record the same
+        const items = value.map(canonical);
+        while (items.length && items[items.length - 1] == null) items.pop();
+        return items;
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(k => [k, canonical(value[k])]));
+    }
+    return value;
+}
+
+function record(seed, aspects, width, height) {
+    const backend = createRecordingBackend(width, height);
+    createRenderer(backend).renderWith(seed, aspects);
+    const counts = {};
+    for (const c of backend.calls) counts[c.op] = (counts[c.op] || 0) + 1;
+    const sha256 = createHash('sha256').update(JSON.stringify(canonical(backend.calls))).digest('hex');
+    return { counts, sha256 };
+}
+
+/** The grain loop as it was before tiling: one generator, pixel by pixel. */
+function sequentialGrain(d, seed, amount) {
+    const rng = mulberry32(seed);
+    const a = amount * 255;
+    for (let i = 0; i < d.length; i += 4) {
+        const n = (rng() * 2 - 1) * a;
+        d[i] = Math.max(0, Math.min(255, d[i] + n));
+        d[i + 1] = Math.max(0, Math.min(255, d[i + 1] + n));
+        d[i + 2] = Math.max(0, Math.min(255, d[i + 2] + n));
+    }
+}
+
+function testPixels(w, h) {
+    const d = new Uint8ClampedArray(w * h * 4);
+    for (let i = 0; i < d.length; i++) d[i] = (i * 37) % 256;
+    return d;
+}
+
+function checkGrain(seed, amount, w, h, tile) {
+    const want = testPixels(w, h);
+    sequentialGrain(want, seed, amount);
+    const whole = testPixels(w, h);
+    applyGrain(whole, w, h, seed, amount, { width: w, x: 0, y: 0 });
+    if (!whole.every((v, i) => v === want[i])) return 'whole frame differs from the sequential grain';
+    const tiled = testPixels(w, h);
+    for (let ty = 0; ty < h; ty += tile) {
+        for (let tx = 0; tx < w; tx += tile) {
+            const tw = Math.min(tile, w - tx), th = Math.min(tile, h - ty);
+            const d = new Uint8ClampedArray(tw * th * 4);
+            for (let y = 0; y < th; y++) d.set(tiled.subarray(((ty + y) * w + tx) * 4, ((ty + y) * w + tx + tw) * 4), y * tw * 4);
+            applyGrain(d, tw, th, seed, amount, { width: w, x: tx, y: ty });
+            for (let y = 0; y < th; y++) tiled.set(d.subarray(y * tw * 4, (y + 1) * tw * 4), ((ty + y) * w + tx) * 4);
+        }
+    }
+    if (!tiled.every((v, i) => v === want[i])) return 'tiles differ from the whole frame';
+    return null;
+}
+
+const update = process.argv.includes('--update');
+const golden = update ? {} : JSON.parse(await readFile(GOLDEN, 'utf8'));
+const current = {};
+let failed = 0;
+
+for (const [width, height] of SIZES) {
+    for (const [seed, aspects] of Object.entries(CASES)) {
+        const name = `${seed} ${width}x${height}`;
+        const got = current[name] = record(seed, aspects, width, height);
+        if (update) continue;
+        const want = golden[name];
+        if (want && want.sha256 === got.sha256) {
+            console.log(`ok    ${name}`);
+            continue;
+        }
+        failed++;
+        console.log(`FAIL  ${name}`);
+        if (want) console.log(`      calls ${JSON.stringify(want.counts)} → ${JSON.stringify(got.counts)}`);
+        else console.log('      not in the golden file');
+    }
+}
+
+let grainFailed = 0;
+for (const [seed, amount, w, h, tile] of [[0x9E3779B9, 0.05, 140, 90, 64], [12345, 0.12, 97, 61, 32]]) {
+    const name = `grain ${seed} ${w}x${h}`;
+    const error = checkGrain(seed, amount, w, h, tile);
+    if (!error) {
+        console.log(`ok    ${name}`);
+        continue;
+    }
+    grainFailed++;
+    console.log(`FAIL  ${name}\n      ${error}`);
+}
+
+if (update) {
+    await writeFile(GOLDEN, JSON.stringify(current, null, 2) + '\n');
+    console.log(`Recorded ${Object.keys(current).length} draw streams in ${GOLDEN.pathname}`);
+} else if (failed) {
+    console.log(`\n${failed} draw stream(s) changed. If the change is intended: npm test -- --update`);
+    process.exitCode = 1;
+}
+if (grainFailed) process.exitCode = 1;